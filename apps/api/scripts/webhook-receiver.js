@@ -0,0 +1,31 @@
+#!/usr/bin/env node
+// Minimal local webhook receiver for trying out subscriptions:
+//   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js   (listens on RECEIVER_PORT, default 4010)
+// then POST /webhooks { "url": "http://localhost:4010/hook" } and POST /webhooks/:id/test. The API only
+// delivers to localhost with WEBHOOK_ALLOW_PRIVATE_HOSTS=localhost (see src/webhooks.js).
+// Set RECEIVER_FAIL=1 to answer 500 and watch the API retry.
+import http from 'node:http';
+import { verifySignature } from '../src/webhooks.js';
+
+const PORT = Number(process.env.RECEIVER_PORT || 4010);
+const SECRET = process.env.WEBHOOK_SECRET;
+const FAIL = process.env.RECEIVER_FAIL === '1';
+
+http.createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const signature = req.headers['x-photocard-signature'];
+    const verified = SECRET ? verifySignature(SECRET, body, signature) : null;
+    console.log(`${new Date().toISOString()} ${req.method} ${req.url} event=${req.headers['x-photocard-event']} delivery=${req.headers['x-photocard-delivery']} signature=${verified === null ? 'unchecked' : verified ? 'valid' : 'INVALID'}`);
+    console.log(body);
+    if (verified === false) {
+      res.writeHead(401).end('bad signature');
+    } else if (FAIL) {
+      res.writeHead(500).end('failing on purpose');
+    } else {
+      res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"ok":true}');
+    }
+  });
+}).listen(PORT, () => console.log(`Webhook receiver listening on http://localhost:${PORT}`));
@@ -0,0 +1,200 @@
+// Credentials. Every route except /health, /auth/login and the public /output files needs one, sent
+// as `Authorization: Bearer <token>` (or `X-API-Key`):
+//   API keys (pc_…)       for integrations; random, stored only as SHA-256 hashes, with explicit scopes
+//   session tokens (ps_…) from POST /auth/login for portal users; scopes follow the user's role
+//
+// Two keys come from the environment instead of the database:
+//   ADMIN_API_KEY   all scopes; used to create the first real keys
+//   WORKER_API_KEY  the worker's service credential for status callbacks and asset reads
+import crypto from 'node:crypto';
+import { promisify } from 'node:util';
+
+export const SCOPES = {
+  read: 'list and read jobs, assets, brands, templates and job streams',
+  'jobs:write': 'create, re-render and delete jobs, upload images',
+  'brands:write': 'create, edit and delete brands',
+  'templates:write': 'create, edit and archive card templates',
+  review: 'approve and reject cards',
+  webhooks: 'manage webhook subscriptions',
+  'jobs:manage': "re-render and delete other people's jobs",
+  keys: 'manage API keys',
+  users: 'manage users and teams',
+  retention: 'see the retention report and run the sweep',
+  worker: 'report render progress (PUT /jobs/:id)',
+};
+const ALL = '*';
+const WORKER_SCOPES = ['worker', 'read'];
+
+// What each portal role may do; reporters only act on their own cards (see canManageJob)
+export const ROLE_SCOPES = {
+  REPORTER: ['read', 'jobs:write'],
+  EDITOR: ['read', 'jobs:write', 'jobs:manage', 'review', 'brands:write'],
+  ADMIN: [ALL],
+};
+export const ROLES = Object.keys(ROLE_SCOPES);
+
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_HOURS || 168) * 60 * 60 * 1000;
+const SCRYPT_OPTIONS = { N: 16384, r: 8, p: 1 };
+const MAX_NAME = 120;
+// lastUsedAt is only written when it is older than this, not on every request
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+export const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+// A new key: `pc_<prefix>_<secret>`; the prefix is stored in clear so keys can be told apart in lists
+export function generateKey() {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  return { key: `pc_${prefix}_${crypto.randomBytes(24).toString('base64url')}`, prefix };
+}
+
+const scryptAsync = promisify(crypto.scrypt);
+
+// Passwords are stored as `scrypt$<salt>$<hash>` (base64)
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scryptAsync(String(password), salt, 64, SCRYPT_OPTIONS);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scryptAsync(String(password), Buffer.from(salt, 'base64'), expected.length, SCRYPT_OPTIONS);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// compared against when the email is unknown, so a miss takes as long as a wrong password
+const DUMMY_PASSWORD_HASH = `scrypt$${Buffer.alloc(16).toString('base64')}$${Buffer.alloc(64).toString('base64')}`;
+
+export const hasScope = (principal, scope) => Boolean(principal?.scopes?.includes(ALL) || principal?.scopes?.includes(scope));
+
+// What the API shows of a stored key (never the hash)
+export const publicKey = ({ keyHash, ...key }) => key;
+
+// Validate POST /api-keys { name, scopes, expiresAt? }. Returns { data } ready for prisma, or { error }.
+export function validateApiKeyInput(body = {}) {
+  const name = String(body.name ?? '').trim();
+  if (!name) return { error: 'name is required' };
+  if (name.length > MAX_NAME) return { error: `name must be at most ${MAX_NAME} characters` };
+  const scopes = body.scopes;
+  if (!Array.isArray(scopes) || !scopes.length) return { error: 'scopes must be a non-empty array' };
+  const unknown = scopes.find((s) => s !== ALL && !SCOPES[s]);
+  if (unknown) return { error: `unknown scope "${unknown}"` };
+  let expiresAt = null;
+  if (body.expiresAt != null && body.expiresAt !== '') {
+    expiresAt = new Date(body.expiresAt);
+    if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) return { error: 'expiresAt must be a future date' };
+  }
+  return { data: { name, scopes: [...new Set(scopes)], expiresAt } };
+}
+
+// A request URL with the value of ?access_token= replaced, for access logs
+export const redactUrl = (url) => String(url).replace(/([?&]access_token=)[^&#]*/gi, '$1[redacted]');
+
+const sameHash = (a, b) => a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// The credential of a request. EventSource can't send headers, so event streams also take ?access_token=.
+// It is a working credential: logs get the URL through redactUrl.
+function credentialOf(req) {
+  const header = req.get('authorization');
+  if (header && /^bearer\s+/i.test(header)) return header.replace(/^bearer\s+/i, '').trim();
+  if (req.get('x-api-key')) return req.get('x-api-key').trim();
+  if (req.method === 'GET' && req.path.endsWith('/events') && req.query.access_token) return String(req.query.access_token);
+  return null;
+}
+
+// Reporters may only re-render (or otherwise act on) cards they created; other credentials need
+// `jobs:manage` to touch someone else's card. API keys and the worker act on any job they have scopes for.
+export const canManageJob = (principal, job) =>
+  principal?.kind !== 'user' || hasScope(principal, 'jobs:manage') || job.createdById === principal.id;
+
+// Whose jobs a principal may see: a user their own and their team's, unless they may manage everyone's
+// (editors, admins); keys, the admin key and the worker all. Every job read goes through this rule: the
+// list (followableWhere), a single job, its ZIP and the live streams (canFollowJob).
+export const canFollowJob = (principal, job) =>
+  canManageJob(principal, job) || Boolean(principal.teamId && job.teamId === principal.teamId);
+
+// canFollowJob as a prisma where clause; null when the principal sees every job
+export const followableWhere = (principal) => {
+  if (principal?.kind !== 'user' || hasScope(principal, 'jobs:manage')) return null;
+  return { OR: [{ createdById: principal.id }, ...(principal.teamId ? [{ teamId: principal.teamId }] : [])] };
+};
+
+const userPrincipal = (user) => ({
+  kind: 'user',
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  teamId: user.teamId,
+  scopes: ROLE_SCOPES[user.role] || [],
+});
+
+// Middleware bound to a prisma client: `authenticate` sets req.auth (or answers 401),
+// `requireScope(scope)` answers 403 unless req.auth has the scope. `login`/`logout` manage sessions.
+export function createAuth(prisma) {
+  const envKeys = [
+    process.env.ADMIN_API_KEY && { hash: hashKey(process.env.ADMIN_API_KEY), principal: { kind: 'admin', id: null, name: 'admin', scopes: [ALL] } },
+    process.env.WORKER_API_KEY && { hash: hashKey(process.env.WORKER_API_KEY), principal: { kind: 'service', id: null, name: 'worker', scopes: WORKER_SCOPES } },
+  ].filter(Boolean);
+  if (!process.env.ADMIN_API_KEY) console.warn('ADMIN_API_KEY not set; only users and API keys already in the database can sign in');
+  if (!process.env.WORKER_API_KEY) console.warn('WORKER_API_KEY not set; the worker cannot report job progress');
+
+  async function authenticate(req, res, next) {
+    const key = credentialOf(req);
+    if (!key) return res.status(401).json({ error: 'authentication required', code: 'AUTH_REQUIRED' });
+    const hash = hashKey(key);
+    const fromEnv = envKeys.find((k) => sameHash(k.hash, hash));
+    if (fromEnv) {
+      req.auth = fromEnv.principal;
+      return next();
+    }
+    try {
+      if (key.startsWith('ps_')) {
+        const session = await prisma.session.findUnique({ where: { tokenHash: hash }, include: { user: true } });
+        if (!session || session.expiresAt <= new Date() || session.user.disabledAt) {
+          return res.status(401).json({ error: 'session expired, sign in again', code: 'AUTH_INVALID' });
+        }
+        req.auth = userPrincipal(session.user);
+        req.sessionId = session.id;
+        if (Date.now() - session.lastSeenAt.getTime() > TOUCH_INTERVAL_MS) {
+          prisma.session.update({ where: { id: session.id }, data: { lastSeenAt: new Date() } }).catch(() => {});
+        }
+        return next();
+      }
+      const stored = await prisma.apiKey.findUnique({ where: { keyHash: hash } });
+      if (!stored || stored.revokedAt || (stored.expiresAt && stored.expiresAt <= new Date())) {
+        return res.status(401).json({ error: 'invalid or expired API key', code: 'AUTH_INVALID' });
+      }
+      req.auth = { kind: 'key', id: stored.id, name: stored.name, scopes: stored.scopes };
+      if (!stored.lastUsedAt || Date.now() - stored.lastUsedAt.getTime() > TOUCH_INTERVAL_MS) {
+        prisma.apiKey.update({ where: { id: stored.id }, data: { lastUsedAt: new Date() } }).catch(() => {});
+      }
+      next();
+    } catch (e) {
+      console.error('Failed to check API key', e);
+      res.status(500).json({ error: 'failed to check credentials' });
+    }
+  }
+
+  const requireScope = (scope) => (req, res, next) => {
+    if (hasScope(req.auth, scope)) return next();
+    res.status(403).json({ error: `this key lacks the "${scope}" scope`, code: 'AUTH_FORBIDDEN' });
+  };
+
+  // Check email + password; resolves { token, expiresAt, user } or null
+  async function login(email, password) {
+    const user = await prisma.user.findUnique({ where: { email: String(email || '').trim().toLowerCase() } });
+    const ok = await verifyPassword(password, user?.passwordHash || DUMMY_PASSWORD_HASH);
+    if (!user || !ok || user.disabledAt) return null;
+    const token = `ps_${crypto.randomBytes(32).toString('base64url')}`;
+    const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+    await prisma.session.create({ data: { userId: user.id, tokenHash: hashKey(token), expiresAt } });
+    return { token, expiresAt, user: userPrincipal(user) };
+  }
+
+  const logout = (sessionId) => prisma.session.deleteMany({ where: { id: sessionId } });
+
+  return { authenticate, requireScope, login, logout };
+}
@@ -0,0 +1,48 @@
+// Brand profiles: one per publication. A job's brand decides the logo, colors,
+// CTA and footer text the worker renders instead of the built-in defaults.
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const MAX_TEXT = 120;
+
+// Validate the writable fields of a brand request body.
+// With `partial` (updates) missing fields are left out instead of required.
+// Returns { data } ready for prisma, or { error }.
+export function validateBrandInput(body = {}, { partial = false } = {}) {
+  const data = {};
+  if (body.name !== undefined || !partial) {
+    const name = String(body.name ?? '').trim();
+    if (!name) return { error: 'name is required' };
+    if (name.length > MAX_TEXT) return { error: `name must be at most ${MAX_TEXT} characters` };
+    data.name = name;
+  }
+  for (const key of ['primaryColor', 'accentColor']) {
+    if (body[key] === undefined) continue;
+    if (body[key] === null || body[key] === '') {
+      data[key] = null;
+      continue;
+    }
+    // colors end up inside the card's CSS, so only plain hex values are allowed
+    if (!HEX_COLOR.test(String(body[key]))) return { error: `${key} must be a hex color like #dc2626` };
+    data[key] = String(body[key]);
+  }
+  for (const key of ['ctaText', 'footerText']) {
+    if (body[key] === undefined) continue;
+    const v = body[key] === null ? '' : String(body[key]).trim();
+    if (v.length > MAX_TEXT) return { error: `${key} must be at most ${MAX_TEXT} characters` };
+    data[key] = v || null;
+  }
+  if (body.logoAssetId !== undefined) data.logoAssetId = body.logoAssetId ? String(body.logoAssetId) : null;
+  return { data };
+}
+
+// What the worker needs to render a brand; snapshotted into the queue payload.
+export const brandPayload = (brand) => brand && {
+  id: brand.id,
+  name: brand.name,
+  logoAssetId: brand.logoAssetId,
+  logoMimeType: brand.logoAsset?.mimeType || null,
+  primaryColor: brand.primaryColor,
+  accentColor: brand.accentColor,
+  ctaText: brand.ctaText,
+  footerText: brand.footerText,
+};
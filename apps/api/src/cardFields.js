@@ -0,0 +1,31 @@
+// Optional text fields printed on a card besides the headline, and how its date badge is written.
+export const CARD_LOCALES = ['bn', 'en', 'bn-calendar'];
+export const DEFAULT_LOCALE = 'bn';
+
+const TEXT_FIELDS = { subheadline: 200, sourceCredit: 120, photoCredit: 120, ctaText: 60 };
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Validate subheadline / credits / CTA / cardDate / locale of a job request.
+// Returns { data } ready for prisma (empty strings become null), or { error }.
+export function validateCardFields(body = {}) {
+  const data = {};
+  for (const [key, max] of Object.entries(TEXT_FIELDS)) {
+    if (body[key] == null) continue;
+    const v = String(body[key]).normalize('NFC').trim(); // NFC so searches match (see jobQuery.js)
+    if (v.length > max) return { error: `${key} must be at most ${max} characters` };
+    data[key] = v || null;
+  }
+
+  if (body.cardDate != null && body.cardDate !== '') {
+    // a calendar day, not an instant: keep it at UTC midnight so it never shifts by timezone
+    const m = DATE_ONLY.exec(String(body.cardDate));
+    const d = m && new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])));
+    if (!d || d.getUTCDate() !== Number(m[3])) return { error: 'cardDate must be a date like 2024-10-05' };
+    data.cardDate = d;
+  }
+
+  const locale = body.locale == null || body.locale === '' ? DEFAULT_LOCALE : String(body.locale);
+  if (!CARD_LOCALES.includes(locale)) return { error: `locale must be one of ${CARD_LOCALES.join(', ')}` };
+  data.locale = locale;
+  return { data };
+}
@@ -0,0 +1,75 @@
+// Carousel jobs (Job.kind "carousel"): one post made of 3-10 slides rendered with the same look, in
+// Job.slides. The first slide is the cover, the last the closing slide and the ones between are bullet
+// slides; each has its own text and image (URL or uploaded asset, with an optional focal point).
+// The worker renders them with its carousel layout (apps/worker/src/templates/carousel.js).
+import { validateCrop } from './crops.js';
+import { normalizeText } from './jobQuery.js';
+
+export const JOB_KINDS = ['card', 'carousel'];
+export const CAROUSEL_TEMPLATE = 'carousel';
+export const MIN_SLIDES = 3;
+export const MAX_SLIDES = 10;
+export const SLIDE_TYPES = ['cover', 'bullets', 'closing'];
+
+const MAX_TITLE = 200;
+const MAX_SUBHEADLINE = 200;
+const MAX_TEXT = 300;
+const MAX_BULLETS = 6;
+const MAX_BULLET = 160;
+const MAX_URL = 2048;
+
+// The type a slide gets from its place in the carousel
+export const slideType = (index, count) => (index === 0 ? 'cover' : index === count - 1 ? 'closing' : 'bullets');
+
+const text = (v) => (v == null ? '' : normalizeText(v).trim());
+
+// Validate the `slides` of a carousel request. Returns { slides } ready for Job.slides, or { error }.
+// A slide may name its `type`, but it has to match its place.
+export function validateSlides(input) {
+  if (!Array.isArray(input)) return { error: 'slides must be a list' };
+  if (input.length < MIN_SLIDES || input.length > MAX_SLIDES) {
+    return { error: `a carousel needs ${MIN_SLIDES} to ${MAX_SLIDES} slides` };
+  }
+  const slides = [];
+  for (const [i, slide] of input.entries()) {
+    const at = `slides[${i}]`;
+    if (!slide || typeof slide !== 'object' || Array.isArray(slide)) return { error: `${at} must be an object` };
+    const type = slideType(i, input.length);
+    if (slide.type != null && slide.type !== type) return { error: `${at} must be a ${type} slide` };
+
+    const title = text(slide.title);
+    if (!title) return { error: `${at}.title is required` };
+    if (title.length > MAX_TITLE) return { error: `${at}.title must be at most ${MAX_TITLE} characters` };
+    const subheadline = text(slide.subheadline);
+    if (subheadline.length > MAX_SUBHEADLINE) return { error: `${at}.subheadline must be at most ${MAX_SUBHEADLINE} characters` };
+    const body = text(slide.text);
+    if (body.length > MAX_TEXT) return { error: `${at}.text must be at most ${MAX_TEXT} characters` };
+
+    let bullets = [];
+    if (type === 'bullets') {
+      if (!Array.isArray(slide.bullets)) return { error: `${at}.bullets must be a list` };
+      bullets = slide.bullets.map(text).filter(Boolean);
+      if (!bullets.length || bullets.length > MAX_BULLETS) return { error: `${at} needs 1 to ${MAX_BULLETS} bullets` };
+      if (bullets.some((b) => b.length > MAX_BULLET)) return { error: `${at}: a bullet must be at most ${MAX_BULLET} characters` };
+    } else if (Array.isArray(slide.bullets) && slide.bullets.some((b) => text(b))) {
+      return { error: `${at}: only bullet slides have bullets` };
+    }
+
+    const imageUrl = slide.imageUrl ? String(slide.imageUrl).trim() : '';
+    if (imageUrl.length > MAX_URL) return { error: `${at}.imageUrl is too long` };
+    const { crop: imageCrop, error: cropError } = validateCrop(slide.imageCrop, `${at}.imageCrop`);
+    if (cropError) return { error: cropError };
+
+    slides.push({
+      type,
+      title,
+      subheadline: subheadline || null,
+      bullets,
+      text: body || null,
+      imageUrl: imageUrl || null,
+      imageAssetId: slide.imageAssetId ? String(slide.imageAssetId) : null,
+      imageCrop,
+    });
+  }
+  return { slides };
+}
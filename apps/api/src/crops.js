@@ -0,0 +1,33 @@
+// Focal point and zoom of a job's news and background images (Job.newsImageCrop / backgroundCrop):
+// { x, y } is the point to keep in view, in percent of the image from its top-left corner, and `zoom`
+// (1 = the whole image) crops in around it. An image without one gets a focal point picked by the
+// worker (apps/worker/src/focus.js); the worker's templates apply both (cropStyle in partials.js).
+export const CROP_FIELDS = ['newsImageCrop', 'backgroundCrop'];
+export const MAX_ZOOM = 4;
+
+const round = (n) => Math.round(n * 10) / 10;
+
+// Validate one crop (`label` names it in errors). Returns { crop } as { x, y, zoom } or null (no crop:
+// automatic), or { error }.
+export function validateCrop(crop, label) {
+  if (crop == null || crop === '') return { crop: null };
+  if (typeof crop !== 'object' || Array.isArray(crop)) return { error: `${label} must be { x, y, zoom } or null` };
+  const x = Number(crop.x);
+  const y = Number(crop.y);
+  const zoom = crop.zoom == null ? 1 : Number(crop.zoom);
+  if (![x, y].every((v) => Number.isFinite(v) && v >= 0 && v <= 100)) return { error: `${label}.x and ${label}.y must be percentages from 0 to 100` };
+  if (!Number.isFinite(zoom) || zoom < 1 || zoom > MAX_ZOOM) return { error: `${label}.zoom must be from 1 to ${MAX_ZOOM}` };
+  return { crop: { x: round(x), y: round(y), zoom: Math.round(zoom * 100) / 100 } };
+}
+
+// Validate the crops of a job request. Returns { data } with each given crop (see validateCrop), or { error }.
+export function validateCrops(body = {}) {
+  const data = {};
+  for (const key of CROP_FIELDS) {
+    if (body[key] === undefined) continue;
+    const { crop, error } = validateCrop(body[key], key);
+    if (error) return { error };
+    data[key] = crop;
+  }
+  return { data };
+}
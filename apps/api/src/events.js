@@ -0,0 +1,39 @@
+// Job status changes pushed to browsers over Server-Sent Events.
+// In-process: every API instance streams the changes that went through it.
+import { EventEmitter } from 'events';
+
+const HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS || 25000);
+
+const bus = new EventEmitter();
+bus.setMaxListeners(0); // one listener per open stream
+
+// Announce a job's new state (after it was written to the database)
+export function publishJob(job) {
+  if (job) bus.emit('job', job);
+}
+
+// Turn the response into an SSE stream of `job` events; `filter(job)` picks which jobs it carries.
+// `initial` jobs are sent right away so a client that (re)connects starts from the current state.
+export function streamJobs(req, res, { filter = () => true, initial = [] } = {}) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // nginx: don't buffer the stream
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const send = (job) => res.write(`event: job\nid: ${job.id}:${new Date(job.updatedAt).getTime()}\ndata: ${JSON.stringify(job)}\n\n`);
+  const onJob = (job) => {
+    if (filter(job)) send(job);
+  };
+  initial.forEach(send);
+  bus.on('job', onJob);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    bus.off('job', onJob);
+  });
+}
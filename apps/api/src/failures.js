@@ -0,0 +1,28 @@
+// Shape the failure / warning reports the worker sends with PUT /jobs/:id before storing them.
+// Only known keys are kept and strings are capped so a misbehaving reporter can't bloat the row.
+
+export const FAILURE_STAGES = ['fetch_assets', 'page_load', 'screenshot', 'store'];
+const MAX_MESSAGE = 1000;
+const MAX_WARNINGS = 50;
+
+const str = (v, max = 300) => (v == null || v === '' ? null : String(v).slice(0, max));
+
+export function normalizeFailure(input) {
+  if (!input) return null;
+  if (typeof input === 'string') return { code: 'RENDER_FAILED', message: str(input, MAX_MESSAGE), stage: null, assetUrl: null };
+  return {
+    code: str(input.code, 64) || 'RENDER_FAILED',
+    message: str(input.message, MAX_MESSAGE),
+    stage: FAILURE_STAGES.includes(input.stage) ? input.stage : null,
+    assetUrl: str(input.assetUrl, 2048),
+  };
+}
+
+export function normalizeWarnings(input) {
+  if (!Array.isArray(input)) return [];
+  return input.slice(0, MAX_WARNINGS).map((w) => ({
+    ...normalizeFailure(w),
+    code: str(w?.code, 64) || 'WARNING',
+    at: str(w?.at, 40),
+  }));
+}
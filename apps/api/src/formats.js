@@ -0,0 +1,19 @@
+// Output formats a job can ask for. Quality only applies to the lossy formats.
+export const OUTPUT_FORMATS = ['png', 'jpeg', 'webp', 'pdf'];
+export const DEFAULT_FORMAT = 'png';
+const LOSSY_FORMATS = ['jpeg', 'webp'];
+const DEFAULT_QUALITY = 85;
+
+// Normalize `format` / `quality` of a job request.
+// Returns { format, quality } (quality is null for lossless formats) or { error }.
+export function resolveFormat({ format, quality }) {
+  let f = String(format || DEFAULT_FORMAT).toLowerCase();
+  if (f === 'jpg') f = 'jpeg';
+  if (!OUTPUT_FORMATS.includes(f)) return { error: `format must be one of ${OUTPUT_FORMATS.join(', ')}` };
+  if (!LOSSY_FORMATS.includes(f)) return { format: f, quality: null };
+
+  if (quality == null || quality === '') return { format: f, quality: DEFAULT_QUALITY };
+  const q = Number(quality);
+  if (!Number.isInteger(q) || q < 1 || q > 100) return { error: 'quality must be an integer between 1 and 100' };
+  return { format: f, quality: q };
+}
@@ -0,0 +1,44 @@
+// Read-only view of the worker's input image cache (apps/worker/src/imageCache.js) for GET /cache/stats.
+// The cache sits in IMAGE_CACHE_DIR on a volume shared with the worker, not under the public OUTPUT_DIR.
+import fs from 'node:fs';
+import path from 'node:path';
+
+export const IMAGE_CACHE_DIR = process.env.IMAGE_CACHE_DIR || '/app/cache';
+
+const COUNTERS = ['hits', 'revalidated', 'stale', 'misses', 'evictions'];
+
+const listDir = (dir) => (fs.existsSync(dir) ? fs.readdirSync(dir) : []);
+
+// Sizes on disk plus the counters each worker host writes to stats/<host>.json
+export function imageCacheStats(dir = IMAGE_CACHE_DIR) {
+  let bytes = 0;
+  const blobs = listDir(path.join(dir, 'blobs'));
+  for (const name of blobs) {
+    try {
+      bytes += fs.statSync(path.join(dir, 'blobs', name)).size;
+    } catch {
+      // evicted while we were counting
+    }
+  }
+
+  const workers = listDir(path.join(dir, 'stats')).filter((f) => f.endsWith('.json')).map((f) => {
+    try {
+      return { host: path.basename(f, '.json'), ...JSON.parse(fs.readFileSync(path.join(dir, 'stats', f), 'utf8')) };
+    } catch {
+      return null;
+    }
+  }).filter(Boolean);
+  const totals = Object.fromEntries(COUNTERS.map((c) => [c, workers.reduce((sum, w) => sum + (Number(w[c]) || 0), 0)]));
+  const lookups = totals.hits + totals.revalidated + totals.stale + totals.misses;
+
+  return {
+    blobs: blobs.length,
+    urls: listDir(path.join(dir, 'urls')).length,
+    bytes,
+    maxBytes: workers.length ? Math.max(...workers.map((w) => Number(w.maxBytes) || 0)) : null,
+    ...totals,
+    // share of lookups answered without downloading the image again
+    hitRate: lookups ? Number(((lookups - totals.misses) / lookups).toFixed(3)) : null,
+    workers,
+  };
+}
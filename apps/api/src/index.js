@@ -2,13 +2,35 @@ import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
 import morgan from 'morgan';
-import { PrismaClient } from '@prisma/client';
+import multer from 'multer';
+import { Prisma, PrismaClient } from '@prisma/client';
 import { Queue } from 'bullmq';
 import path from 'node:path';
-import fs from 'node:fs';
 import { fileURLToPath } from 'node:url';
-import stream from 'node:stream';
 import { google } from 'googleapis';
+import { FETCH_MAX_BYTES, IMAGE_TYPES, SafeFetchError, checkUrl, safeFetch, sniffContentType } from 'photocard-shared/safeFetch.js';
+import { createStorage } from 'photocard-shared/storage.js';
+import { DEFAULT_TEMPLATE, TEMPLATES, isKnownTemplate, presentTemplate, validateTemplateInput } from './templates.js';
+import { SIZE_PRESETS, resolveSizes } from './sizes.js';
+import { resolveFormat } from './formats.js';
+import { UPLOAD_MAX_BYTES, sniffImageType, storeUpload, uploadKey } from './uploads.js';
+import { brandPayload, validateBrandInput } from './brands.js';
+import { validateCardFields } from './cardFields.js';
+import { CROP_FIELDS, validateCrops } from './crops.js';
+import { CAROUSEL_TEMPLATE, JOB_KINDS, validateSlides } from './carousels.js';
+import { normalizeFailure, normalizeWarnings } from './failures.js';
+import { WORKER_STATUSES, parseRequireApproval, validateReviewComment } from './review.js';
+import { normalizeText, parseJobListQuery } from './jobQuery.js';
+import { publishJob, streamJobs } from './events.js';
+import { SCOPES, canFollowJob, canManageJob, createAuth, generateKey, hashKey, hashPassword, publicKey, redactUrl, validateApiKeyInput } from './auth.js';
+import { publicUser, validateTeamInput, validateUserInput } from './users.js';
+import { createWebhookDispatcher, generateSecret, validateWebhookInput, withoutSecret } from './webhooks.js';
+import { imageCacheStats } from './imageCache.js';
+import { normalizeTimings, summarizeTimings } from './metrics.js';
+import { PREVIEW_QUALITY, PREVIEW_RATE_LIMIT, PreviewError, createPreviewQueue, previewSize, serverTiming } from './preview.js';
+import { createRateLimiter } from './rateLimit.js';
+import { createRetention, purgeJobFiles } from './retention.js';
+import { writeZip } from './zip.js';
 
 const app = express();
 const prisma = new PrismaClient();
@@ -16,13 +38,12 @@ const prisma = new PrismaClient();
 const PORT = process.env.API_PORT || 4000;
 const HOST = process.env.API_HOST || '0.0.0.0';
 const REDIS_URL = process.env.REDIS_URL;
-const OUTPUT_DIR = process.env.STATIC_OUTPUT_DIR || '/app/output';
-const PUBLIC_BASE = process.env.PUBLIC_OUTPUT_BASE_URL || `http://localhost:${PORT}/output`;
-
-if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+// rendered cards and uploads (local directory or S3-compatible bucket, see storage.js)
+const storage = createStorage();
 
 // Queue (optional) - only initialize when REDIS_URL is provided
 let renderQueue = null;
+let previewQueue = null;
 console.log('API REDIS_URL:', REDIS_URL);
 if (REDIS_URL) {
   try {
@@ -31,10 +52,12 @@ if (REDIS_URL) {
     const conn = { host: u.hostname, port: Number(u.port || 6379) };
     if (u.password) conn.password = u.password;
     renderQueue = new Queue('render', { connection: conn });
+    previewQueue = createPreviewQueue(conn);
     console.log('Render queue created, connecting to', conn.host + ':' + conn.port);
   } catch (err) {
     console.error('Failed to create render queue', err);
     renderQueue = null;
+    previewQueue = null;
   }
 } else {
   console.warn('REDIS_URL not set; worker queue disabled');
@@ -42,160 +65,1204 @@ if (REDIS_URL) {
 
 app.use(cors());
 app.use(express.json({ limit: '5mb' }));
+// morgan's :url, minus the credential event streams carry in ?access_token=
+morgan.token('url', (req) => redactUrl(req.originalUrl || req.url));
 app.use(morgan('dev'));
 
-// Serve generated files
-app.use('/output', express.static(OUTPUT_DIR));
+// Serve generated files (with S3 storage they are served by the bucket instead)
+if (storage.driver === 'local') app.use('/output', express.static(storage.root));
 
 app.get('/health', (_req, res) => res.json({ ok: true }));
 
-// Download proxy: fetches a remote URL server-side and returns it as an attachment.
+const { authenticate, requireScope, login, logout } = createAuth(prisma);
+
+// Portal sign-in { email, password } -> { token, expiresAt, user }; send the token as a Bearer credential
+app.post('/auth/login', async (req, res) => {
+  const { email, password } = req.body || {};
+  if (!email || !password) return res.status(400).json({ error: 'email and password are required' });
+  try {
+    const session = await login(email, password);
+    if (!session) return res.status(401).json({ error: 'wrong email or password', code: 'AUTH_INVALID' });
+    res.json(session);
+  } catch (e) {
+    console.error('Failed to sign in', e);
+    res.status(500).json({ error: 'failed to sign in' });
+  }
+});
+
+// Everything below needs credentials; each route names the scope it requires (see auth.js)
+app.use(authenticate);
+
+// Who the credentials belong to; the portal uses this to check them on sign-in
+app.get('/auth/me', (req, res) => res.json(req.auth));
+
+// End the current login session (API keys are revoked through /api-keys instead)
+app.post('/auth/logout', async (req, res) => {
+  try {
+    if (req.sessionId) await logout(req.sessionId);
+    res.status(204).end();
+  } catch (e) {
+    console.error('Failed to sign out', e);
+    res.status(500).json({ error: 'failed to sign out' });
+  }
+});
+
+// Output size presets available for `size` / `sizes`
+app.get('/sizes', requireScope('read'), (_req, res) => res.json(SIZE_PRESETS));
+
+// Input image cache shared by the workers: size on disk, budget, hit/miss counters (see imageCache.js)
+app.get('/cache/stats', requireScope('read'), (_req, res) => {
+  try {
+    res.json(imageCacheStats());
+  } catch (e) {
+    console.error('Failed to read image cache stats', e);
+    res.status(500).json({ error: 'failed to read cache stats' });
+  }
+});
+
+// Per-stage render times over recent jobs (`hours`, default 24), split by cold and warm browser starts
+app.get('/metrics/render', requireScope('read'), async (req, res) => {
+  const hours = Math.min(Math.max(Number(req.query.hours) || 24, 1), 24 * 30);
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+  try {
+    const jobs = await prisma.job.findMany({
+      where: { updatedAt: { gte: since }, timings: { not: Prisma.DbNull } },
+      select: { timings: true },
+      orderBy: { updatedAt: 'desc' },
+      take: 5000,
+    });
+    res.json({ since, ...summarizeTimings(jobs.map((j) => j.timings)) });
+  } catch (e) {
+    console.error('Failed to summarise render timings', e);
+    res.status(500).json({ error: 'failed to read render metrics' });
+  }
+});
+
+// HTTP status for each way safeFetch refuses a URL
+const FETCH_ERROR_STATUS = {
+  INVALID_URL: 400,
+  UNSUPPORTED_PROTOCOL: 400,
+  HOST_DENIED: 403,
+  HOST_NOT_ALLOWED: 403,
+  BLOCKED_ADDRESS: 403,
+  TOO_LARGE: 413,
+  UNSUPPORTED_TYPE: 415,
+  TIMEOUT: 504,
+};
+// Stream a file from storage (see storage.js get()) as the response body
+function sendStored(res, file) {
+  if (file.bytes != null) res.setHeader('Content-Length', file.bytes);
+  file.body.on('error', (e) => {
+    console.error('Failed to read from storage', e);
+    res.destroy(e);
+  });
+  file.body.pipe(res);
+}
+
+const attachment = (name) => `attachment; filename="${String(name).replace(/["\r\n]/g, '')}"`;
+
+// Download proxy: fetches a remote image (or PDF) server-side and returns it as an attachment.
 // Useful for making cross-origin images downloadable and for streaming Google Drive / Dropbox files.
-app.get('/download', async (req, res) => {
+// Remote URLs go through safeFetch (no private addresses, host lists, size/time/redirect limits,
+// sniffed type); refusals answer { error, code }. URLs of our own storage are read from it directly.
+app.get('/download', requireScope('read'), async (req, res) => {
   const { url, filename } = req.query || {};
-  if (!url) return res.status(400).send('url query required');
-  let parsed;
-  try {
-    parsed = new URL(String(url));
-  } catch (e) {
-    return res.status(400).send('invalid url');
-  }
-  if (!['http:', 'https:'].includes(parsed.protocol)) return res.status(400).send('invalid protocol');
-
-  try {
-    // Handle Google Drive file links specially when requested via the `drive` query flag
-    if (parsed.hostname.includes('drive.google.com')) {
-      // If the user passed drive=1 we attempt to stream via Drive API (requires service account JSON in env)
-      if (req.query.drive === '1') {
-        // try streaming through Drive API
-        try {
-          const fileIdMatch = parsed.pathname.match(/\/d\/([a-zA-Z0-9_-]+)/);
-          const fileId = fileIdMatch ? fileIdMatch[1] : null;
-          if (!fileId) return res.status(400).send('could not parse drive file id');
-          // stream via Drive API
-          const keyJson = process.env.GOOGLE_SERVICE_ACCOUNT_JSON;
-          if (!keyJson) return res.status(501).send('drive proxy not configured');
-          const auth = new google.auth.GoogleAuth({
-            credentials: JSON.parse(keyJson),
-            scopes: ['https://www.googleapis.com/auth/drive.readonly']
-          });
-          const drive = google.drive({ version: 'v3', auth });
-          // set headers to hint download
-          res.setHeader('Content-Type', 'application/octet-stream');
-          const suggested = filename || `${fileId}`;
-          res.setHeader('Content-Disposition', `attachment; filename="${suggested.replace(/\"/g, '')}"`);
-          const driveRes = await drive.files.get({ fileId, alt: 'media' }, { responseType: 'stream' });
-          driveRes.data.pipe(res);
-          return;
-        } catch (driveErr) {
-          console.error('Drive proxy streaming failed', driveErr);
-          return res.status(502).send('drive proxy failed');
+  if (!url) return res.status(400).json({ error: 'url query required', code: 'INVALID_URL' });
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+
+  try {
+    // Rendered cards: their public URL is usually not reachable from here (and is often a private address)
+    const key = storage.keyFromUrl(url);
+    if (key) {
+      const file = await storage.get(key);
+      if (!file) return res.status(404).json({ error: 'file not found' });
+      res.setHeader('Content-Type', file.contentType);
+      res.setHeader('Content-Disposition', attachment(filename || path.basename(key)));
+      return sendStored(res, file);
+    }
+
+    const parsed = checkUrl(url);
+    // Google Drive files can be streamed through the Drive API with `drive=1` (needs a service account in env)
+    if (parsed.hostname === 'drive.google.com' && req.query.drive === '1') {
+      const fileIdMatch = parsed.pathname.match(/\/d\/([a-zA-Z0-9_-]+)/);
+      const fileId = fileIdMatch ? fileIdMatch[1] : parsed.searchParams.get('id');
+      if (!fileId) return res.status(400).json({ error: 'could not parse drive file id', code: 'INVALID_URL' });
+      const keyJson = process.env.GOOGLE_SERVICE_ACCOUNT_JSON;
+      if (!keyJson) return res.status(501).json({ error: 'drive proxy not configured' });
+      try {
+        const auth = new google.auth.GoogleAuth({
+          credentials: JSON.parse(keyJson),
+          scopes: ['https://www.googleapis.com/auth/drive.readonly'],
+        });
+        const drive = google.drive({ version: 'v3', auth });
+        const meta = await drive.files.get({ fileId, fields: 'size,mimeType' });
+        if (Number(meta.data.size) > FETCH_MAX_BYTES) {
+          return res.status(413).json({ error: `file is larger than ${FETCH_MAX_BYTES} bytes`, code: 'TOO_LARGE' });
         }
+        const driveRes = await drive.files.get({ fileId, alt: 'media' }, { responseType: 'arraybuffer' });
+        const body = Buffer.from(driveRes.data);
+        const sniffed = sniffContentType(body);
+        if (!sniffed) return res.status(415).json({ error: 'file is not an image or PDF', code: 'UNSUPPORTED_TYPE' });
+        res.setHeader('Content-Type', sniffed.mimeType);
+        res.setHeader('Content-Disposition', attachment(filename || `${fileId}.${sniffed.ext}`));
+        return res.send(body);
+      } catch (driveErr) {
+        console.error('Drive proxy failed', driveErr);
+        return res.status(502).json({ error: 'drive proxy failed', code: 'UPSTREAM_STATUS' });
       }
-      // otherwise fallthrough to normal fetch (may return HTML preview)
     }
 
-    const r = await fetch(String(url));
-    if (!r.ok) return res.status(502).send('failed to fetch resource');
-    const contentType = r.headers.get('content-type') || 'application/octet-stream';
-    // pipe response to client without buffering large files fully in memory
-    res.setHeader('Content-Type', contentType);
-    const suggested = filename || path.basename(parsed.pathname) || 'download';
-    res.setHeader('Content-Disposition', `attachment; filename="${suggested.replace(/\"/g, '')}"`);
-    const reader = r.body.getReader();
-    const pass = new stream.PassThrough();
-    // convert the ReadableStream (web) to node stream
-    (async () => {
-      try {
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-          pass.write(Buffer.from(value));
+    // otherwise a plain fetch (a Drive link without drive=1 may answer an HTML preview, which is refused)
+    const r = await safeFetch(parsed, { types: [...IMAGE_TYPES, 'application/pdf'] });
+    res.setHeader('Content-Type', r.contentType);
+    const base = filename || path.basename(new URL(r.url).pathname) || 'download';
+    res.setHeader('Content-Disposition', attachment(path.extname(base) ? base : `${base}.${r.ext}`));
+    res.send(r.body);
+  } catch (e) {
+    if (e instanceof SafeFetchError) {
+      return res.status(FETCH_ERROR_STATUS[e.code] || 502).json({ error: e.message, code: e.code });
+    }
+    console.error('download proxy error', e);
+    res.status(500).json({ error: 'error fetching resource' });
+  }
+});
+
+// Uploaded images (assets) --------------------------------------------------
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: UPLOAD_MAX_BYTES, files: 1 } });
+
+const assetUrl = (asset) => storage.url(uploadKey(asset.fileName));
+const withAssetUrl = async (asset) => ({ ...asset, url: await assetUrl(asset) });
+
+// Run multer for a single `file` field, check its bytes and store it as an Asset.
+// Sends the error response itself and resolves null when the upload is unusable.
+function handleImageUpload(req, res, { allowSvg = false } = {}) {
+  return new Promise((resolve) => {
+    upload.single('file')(req, res, async (err) => {
+      if (err) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          res.status(413).json({ error: `file too large (max ${UPLOAD_MAX_BYTES} bytes)` });
+        } else {
+          res.status(400).json({ error: err.message || 'invalid upload' });
         }
+        return resolve(null);
+      }
+      if (!req.file) {
+        res.status(400).json({ error: 'file is required' });
+        return resolve(null);
+      }
+      const type = sniffImageType(req.file.buffer, { allowSvg });
+      if (!type) {
+        res.status(415).json({ error: `only JPEG, PNG, WebP${allowSvg ? ', SVG' : ''} and GIF images are accepted` });
+        return resolve(null);
+      }
+      try {
+        const fileName = await storeUpload(storage, req.file.buffer, type);
+        const asset = await prisma.asset.create({
+          data: {
+            fileName,
+            originalName: req.file.originalname || null,
+            mimeType: type.mimeType,
+            size: req.file.size,
+          }
+        });
+        resolve(asset);
       } catch (e) {
-        console.error('stream read error', e);
-      } finally {
-        pass.end();
+        console.error('Failed to store upload', e);
+        res.status(500).json({ error: 'failed to store upload' });
+        resolve(null);
       }
-    })();
-    pass.pipe(res);
+    });
+  });
+}
+
+// Upload an image (multipart field `file`); returns the stored asset, which jobs can reference by id
+app.post('/assets', requireScope('jobs:write'), async (req, res) => {
+  const asset = await handleImageUpload(req, res);
+  if (asset) res.status(201).json(await withAssetUrl(asset));
+});
+
+app.get('/assets/:id', requireScope('read'), async (req, res) => {
+  try {
+    const asset = await prisma.asset.findUnique({ where: { id: req.params.id } });
+    if (!asset) return res.status(404).json({ error: 'not found' });
+    res.json(await withAssetUrl(asset));
+  } catch (err) {
+    console.error('Failed to get asset', err);
+    res.status(500).json({ error: 'failed to get asset' });
+  }
+});
+
+// Raw bytes of an asset (the worker loads uploaded images through this)
+app.get('/assets/:id/file', requireScope('read'), async (req, res) => {
+  try {
+    const asset = await prisma.asset.findUnique({ where: { id: req.params.id } });
+    if (!asset) return res.status(404).json({ error: 'not found' });
+    const file = await storage.get(uploadKey(asset.fileName));
+    if (!file) return res.status(404).json({ error: 'file missing from storage' });
+    res.type(asset.mimeType);
+    sendStored(res, file);
+  } catch (err) {
+    console.error('Failed to send asset', err);
+    res.status(500).json({ error: 'failed to send asset' });
+  }
+});
+
+// Brands ---------------------------------------------------------------------
+
+const withLogoUrl = async (brand) => ({ ...brand, logoUrl: brand.logoAsset ? await assetUrl(brand.logoAsset) : null });
+
+app.get('/brands', requireScope('read'), async (_req, res) => {
+  try {
+    const brands = await prisma.brand.findMany({ orderBy: { name: 'asc' }, include: { logoAsset: true } });
+    res.json(await Promise.all(brands.map(withLogoUrl)));
+  } catch (err) {
+    console.error('Failed to list brands', err);
+    res.status(500).json({ error: 'failed to list brands' });
+  }
+});
+
+app.post('/brands', requireScope('brands:write'), async (req, res) => {
+  const { data, error } = validateBrandInput(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    if (data.logoAssetId && !(await prisma.asset.findUnique({ where: { id: data.logoAssetId } }))) {
+      return res.status(400).json({ error: `unknown asset "${data.logoAssetId}"` });
+    }
+    const brand = await prisma.brand.create({ data, include: { logoAsset: true } });
+    res.status(201).json(await withLogoUrl(brand));
   } catch (e) {
-    console.error('download proxy error', e);
-    res.status(500).send('error fetching resource');
+    if (e.code === 'P2002') return res.status(409).json({ error: 'a brand with this name already exists' });
+    console.error('Failed to create brand', e);
+    res.status(500).json({ error: 'failed to create brand' });
   }
 });
 
-// Create Job
-app.post('/jobs', async (req, res) => {
+app.get('/brands/:id', requireScope('read'), async (req, res) => {
+  try {
+    const brand = await prisma.brand.findUnique({ where: { id: req.params.id }, include: { logoAsset: true } });
+    if (!brand) return res.status(404).json({ error: 'not found' });
+    res.json(await withLogoUrl(brand));
+  } catch (err) {
+    console.error('Failed to get brand', err);
+    res.status(500).json({ error: 'failed to get brand' });
+  }
+});
+
+app.put('/brands/:id', requireScope('brands:write'), async (req, res) => {
+  const { data, error } = validateBrandInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ error });
   try {
-    const { headline, backgroundUrl, newsImageUrl, templateName = 'default' } = req.body || {};
-    if (!headline) return res.status(400).json({ error: 'headline is required' });
+    if (data.logoAssetId && !(await prisma.asset.findUnique({ where: { id: data.logoAssetId } }))) {
+      return res.status(400).json({ error: `unknown asset "${data.logoAssetId}"` });
+    }
+    const brand = await prisma.brand.update({ where: { id: req.params.id }, data, include: { logoAsset: true } });
+    res.json(await withLogoUrl(brand));
+  } catch (e) {
+    if (e.code === 'P2025') return res.status(404).json({ error: 'not found' });
+    if (e.code === 'P2002') return res.status(409).json({ error: 'a brand with this name already exists' });
+    console.error('Failed to update brand', e);
+    res.status(500).json({ error: 'failed to update brand' });
+  }
+});
 
-    const job = await prisma.job.create({
-      data: { headline, backgroundUrl, newsImageUrl, templateName, status: 'PENDING' }
+// Deleting a brand keeps its jobs; they simply lose the brand reference
+app.delete('/brands/:id', requireScope('brands:write'), async (req, res) => {
+  try {
+    await prisma.brand.delete({ where: { id: req.params.id } });
+    res.status(204).end();
+  } catch (e) {
+    if (e.code === 'P2025') return res.status(404).json({ error: 'not found' });
+    console.error('Failed to delete brand', e);
+    res.status(500).json({ error: 'failed to delete brand' });
+  }
+});
+
+// Upload a logo (multipart field `file`, SVG allowed) and make it the brand's logo
+app.post('/brands/:id/logo', requireScope('brands:write'), async (req, res) => {
+  try {
+    const existing = await prisma.brand.findUnique({ where: { id: req.params.id } });
+    if (!existing) return res.status(404).json({ error: 'not found' });
+    const asset = await handleImageUpload(req, res, { allowSvg: true });
+    if (!asset) return;
+    const brand = await prisma.brand.update({
+      where: { id: req.params.id },
+      data: { logoAssetId: asset.id },
+      include: { logoAsset: true }
     });
+    res.json(await withLogoUrl(brand));
+  } catch (e) {
+    console.error('Failed to set brand logo', e);
+    res.status(500).json({ error: 'failed to set brand logo' });
+  }
+});
 
-    // enqueue with data (if queue available)
-    if (renderQueue) {
-      try {
-        await renderQueue.add("render", {
-          id: job.id,
-          headline,
-          backgroundUrl,
-          newsImageUrl
+// Templates ------------------------------------------------------------------
+
+const latestVersion = { versions: { orderBy: { version: 'desc' }, take: 1 } };
+
+// Card layouts available for `templateName`: the built-in ones ({ name, label }), then the templates
+// made in the editor with their latest definition (see presentTemplate). ?archived=1 adds archived ones.
+app.get('/templates', requireScope('read'), async (req, res) => {
+  try {
+    const stored = await prisma.template.findMany({
+      where: req.query.archived === '1' ? {} : { archivedAt: null },
+      orderBy: { label: 'asc' },
+      include: latestVersion,
+    });
+    res.json([...TEMPLATES, ...stored.map((t) => presentTemplate(t, t.versions[0]))]);
+  } catch (err) {
+    console.error('Failed to list templates', err);
+    res.status(500).json({ error: 'failed to list templates' });
+  }
+});
+
+// Create a template: { name, label, definition } becomes version 1
+app.post('/templates', requireScope('templates:write'), async (req, res) => {
+  const { data, definition, error } = validateTemplateInput(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    const template = await prisma.template.create({
+      data: { ...data, version: 1, versions: { create: { version: 1, definition, createdById: req.auth.kind === 'user' ? req.auth.id : null } } },
+      include: latestVersion,
+    });
+    res.status(201).json(presentTemplate(template, template.versions[0]));
+  } catch (e) {
+    if (e.code === 'P2002') return res.status(409).json({ error: 'a template with this name already exists' });
+    console.error('Failed to create template', e);
+    res.status(500).json({ error: 'failed to create template' });
+  }
+});
+
+// A stored template with its latest definition, or ?version=n for an older one
+app.get('/templates/:id', requireScope('read'), async (req, res) => {
+  try {
+    const template = await prisma.template.findUnique({ where: { id: req.params.id } });
+    if (!template) return res.status(404).json({ error: 'not found' });
+    const version = req.query.version ? Number(req.query.version) : template.version;
+    const found = Number.isInteger(version) && await prisma.templateVersion.findUnique({
+      where: { templateId_version: { templateId: template.id, version } },
+    });
+    if (!found) return res.status(404).json({ error: `template has no version ${req.query.version}` });
+    res.json(presentTemplate(template, found));
+  } catch (err) {
+    console.error('Failed to get template', err);
+    res.status(500).json({ error: 'failed to get template' });
+  }
+});
+
+// Every saved version, newest first: { id, version, createdAt, createdBy, jobs } (jobs = cards rendered with it)
+app.get('/templates/:id/versions', requireScope('read'), async (req, res) => {
+  try {
+    const template = await prisma.template.findUnique({
+      where: { id: req.params.id },
+      include: {
+        versions: {
+          orderBy: { version: 'desc' },
+          select: {
+            id: true, version: true, createdAt: true,
+            createdBy: { select: { id: true, name: true } },
+            _count: { select: { jobs: true } },
+          },
+        },
+      },
+    });
+    if (!template) return res.status(404).json({ error: 'not found' });
+    res.json(template.versions.map(({ _count, ...v }) => ({ ...v, jobs: _count.jobs })));
+  } catch (err) {
+    console.error('Failed to list template versions', err);
+    res.status(500).json({ error: 'failed to list template versions' });
+  }
+});
+
+// Update the label, archive/restore ({ archived }), or save a new definition. A definition that differs
+// from the latest one adds a version; cards already made keep theirs.
+app.put('/templates/:id', requireScope('templates:write'), async (req, res) => {
+  const { data, definition, error } = validateTemplateInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ error });
+  try {
+    const template = await prisma.$transaction(async (tx) => {
+      const current = await tx.template.findUniqueOrThrow({ where: { id: req.params.id }, include: latestVersion });
+      const changed = definition && JSON.stringify(definition) !== JSON.stringify(current.versions[0]?.definition);
+      const version = changed ? current.version + 1 : current.version;
+      if (changed) {
+        await tx.templateVersion.create({
+          data: { templateId: current.id, version, definition, createdById: req.auth.kind === 'user' ? req.auth.id : null },
         });
-      } catch (qerr) {
-        console.error('Failed to enqueue job to renderQueue', qerr);
       }
-    } else {
-      console.warn('Render queue not available; job created but not enqueued');
+      return tx.template.update({ where: { id: current.id }, data: { ...data, version }, include: latestVersion });
+    });
+    res.json(presentTemplate(template, template.versions[0]));
+  } catch (e) {
+    if (e.code === 'P2025') return res.status(404).json({ error: 'not found' });
+    // someone else saved a version at the same moment
+    if (e.code === 'P2002') return res.status(409).json({ error: 'the template was changed meanwhile, reload it and save again' });
+    console.error('Failed to update template', e);
+    res.status(500).json({ error: 'failed to update template' });
+  }
+});
+
+// Templates are archived rather than deleted, so the cards made with them can still be re-rendered
+app.delete('/templates/:id', requireScope('templates:write'), async (req, res) => {
+  try {
+    await prisma.template.update({ where: { id: req.params.id }, data: { archivedAt: new Date() } });
+    res.status(204).end();
+  } catch (e) {
+    if (e.code === 'P2025') return res.status(404).json({ error: 'not found' });
+    console.error('Failed to archive template', e);
+    res.status(500).json({ error: 'failed to archive template' });
+  }
+});
+
+// Jobs -----------------------------------------------------------------------
+
+// Retry policy of the `render` queue: a failed render is retried with backoff before the job is marked ERROR
+const RENDER_ATTEMPTS = Math.max(1, Number(process.env.RENDER_ATTEMPTS || 3));
+const RENDER_BACKOFF = {
+  type: process.env.RENDER_BACKOFF_TYPE === 'fixed' ? 'fixed' : 'exponential',
+  delay: Number(process.env.RENDER_BACKOFF_MS || 5000),
+};
+
+// The stored template version a job with `templateName` renders with; null for the built-in layouts.
+// That's the template's latest version, or `version` when given (a rerender keeps the version its card
+// was made with). Resolves { templateVersion } or { error } (a 400 response body).
+async function resolveTemplateVersion(templateName, version) {
+  if (isKnownTemplate(templateName)) return { templateVersion: null };
+  const template = await prisma.template.findUnique({ where: { name: String(templateName) } });
+  if (!template) return { error: { error: `unknown templateName "${templateName}"`, templates: TEMPLATES.map((t) => t.name) } };
+  if (version == null) {
+    if (template.archivedAt) return { error: { error: `template "${templateName}" is archived` } };
+    version = template.version;
+  }
+  if (!Number.isInteger(Number(version))) return { error: { error: 'templateVersion must be a version number' } };
+  const templateVersion = await prisma.templateVersion.findUnique({
+    where: { templateId_version: { templateId: template.id, version: Number(version) } },
+  });
+  if (!templateVersion) return { error: { error: `template "${templateName}" has no version ${version}` } };
+  return { templateVersion };
+}
+
+// Validate a job request body (POST /jobs, rerender) and look up its brand and template version.
+// Resolves { data, brand, templateVersion } with data ready for prisma, or { error } (a 400 response body).
+// A carousel (`kind: "carousel"`) takes its `slides` instead of the headline and news image, and always
+// renders with the carousel layout; its headline is the cover's title.
+async function parseJobInput(body = {}) {
+  const { backgroundUrl, backgroundAssetId, brandId, size, sizes: requestedSizes, format: requestedFormat, quality: requestedQuality } = body;
+  const kind = body.kind == null || body.kind === '' ? 'card' : String(body.kind);
+  if (!JOB_KINDS.includes(kind)) return { error: { error: `kind must be one of ${JOB_KINDS.join(', ')}` } };
+  const carousel = kind === 'carousel';
+  let { headline, newsImageUrl, newsImageAssetId, templateName = DEFAULT_TEMPLATE } = body;
+  let slides = null;
+  if (carousel) {
+    const checked = validateSlides(body.slides);
+    if (checked.error) return { error: { error: checked.error } };
+    slides = checked.slides;
+    headline = slides[0].title;
+    newsImageUrl = null;
+    newsImageAssetId = null;
+    templateName = CAROUSEL_TEMPLATE;
+  }
+  if (!headline) return { error: { error: 'headline is required' } };
+  const { templateVersion, error: templateError } = carousel
+    ? { templateVersion: null }
+    : await resolveTemplateVersion(templateName, body.templateVersion);
+  if (templateError) return { error: templateError };
+  const { sizes, error: sizeError } = resolveSizes({ size, sizes: requestedSizes });
+  if (sizeError) return { error: { error: sizeError } };
+  const { format, quality, error: formatError } = resolveFormat({ format: requestedFormat, quality: requestedQuality });
+  if (formatError) return { error: { error: formatError } };
+  const { data: cardFields, error: fieldsError } = validateCardFields(body);
+  if (fieldsError) return { error: { error: fieldsError } };
+  const { data: crops, error: cropError } = validateCrops(body);
+  if (cropError) return { error: { error: cropError } };
+  const { value: requiresApproval, error: approvalError } = parseRequireApproval(body.requireApproval);
+  if (approvalError) return { error: { error: approvalError } };
+  for (const assetId of [backgroundAssetId, newsImageAssetId, ...(slides || []).map((s) => s.imageAssetId)]) {
+    if (assetId && !(await prisma.asset.findUnique({ where: { id: String(assetId) } }))) {
+      return { error: { error: `unknown asset "${assetId}"` } };
+    }
+  }
+  let brand = null;
+  if (brandId) {
+    brand = await prisma.brand.findUnique({ where: { id: String(brandId) }, include: { logoAsset: true } });
+    if (!brand) return { error: { error: `unknown brand "${brandId}"` } };
+  }
+
+  return {
+    brand,
+    templateVersion,
+    data: {
+      kind,
+      headline: normalizeText(headline),
+      backgroundUrl: backgroundUrl || null,
+      newsImageUrl: newsImageUrl || null,
+      backgroundAssetId: backgroundAssetId ? String(backgroundAssetId) : null,
+      newsImageAssetId: newsImageAssetId ? String(newsImageAssetId) : null,
+      ...Object.fromEntries(CROP_FIELDS.map((key) => [key, crops[key] ?? Prisma.DbNull])),
+      slides: slides ?? Prisma.DbNull,
+      brandId: brand?.id ?? null,
+      templateName,
+      templateVersionId: templateVersion?.id ?? null,
+      sizes: sizes ?? Prisma.DbNull,
+      format,
+      quality,
+      ...cardFields,
+      requiresApproval,
     }
+  };
+}
+
+// The stored inputs of a job in POST /jobs shape, so a rerender can start from them
+// (`job` with its templateVersion included)
+function jobToInput(job) {
+  return {
+    kind: job.kind,
+    slides: job.slides ?? undefined,
+    headline: job.headline,
+    subheadline: job.subheadline,
+    sourceCredit: job.sourceCredit,
+    photoCredit: job.photoCredit,
+    ctaText: job.ctaText,
+    cardDate: job.cardDate ? job.cardDate.toISOString().slice(0, 10) : null,
+    locale: job.locale,
+    backgroundUrl: job.backgroundUrl,
+    newsImageUrl: job.newsImageUrl,
+    backgroundAssetId: job.backgroundAssetId,
+    newsImageAssetId: job.newsImageAssetId,
+    newsImageCrop: job.newsImageCrop,
+    backgroundCrop: job.backgroundCrop,
+    brandId: job.brandId,
+    templateName: job.templateName,
+    templateVersion: job.templateVersion?.version,
+    sizes: Array.isArray(job.sizes)
+      ? job.sizes.map((sz) => (sz.name && sz.name !== 'custom' ? sz.name : { width: sz.width, height: sz.height }))
+      : undefined,
+    format: job.format,
+    quality: job.quality,
+    requireApproval: job.requiresApproval,
+  };
+}
+
+// What the worker gets to render a card: a job row's inputs (or parseJobInput data for a preview),
+// with its brand and stored template definition snapshotted in
+const renderPayload = (job, brand, templateVersion) => ({
+  id: job.id,
+  kind: job.kind,
+  slides: job.slides === Prisma.DbNull ? null : job.slides,
+  headline: job.headline,
+  backgroundUrl: job.backgroundUrl,
+  newsImageUrl: job.newsImageUrl,
+  backgroundAssetId: job.backgroundAssetId,
+  newsImageAssetId: job.newsImageAssetId,
+  // Prisma.DbNull in parseJobInput data (previews) means no crop
+  newsImageCrop: job.newsImageCrop === Prisma.DbNull ? null : job.newsImageCrop,
+  backgroundCrop: job.backgroundCrop === Prisma.DbNull ? null : job.backgroundCrop,
+  brand: brandPayload(brand),
+  templateName: job.templateName,
+  templateVersion: templateVersion?.version ?? null,
+  templateDefinition: templateVersion?.definition ?? null,
+  sizes: job.sizes,
+  format: job.format,
+  quality: job.quality,
+  subheadline: job.subheadline,
+  sourceCredit: job.sourceCredit,
+  photoCredit: job.photoCredit,
+  ctaText: job.ctaText,
+  cardDate: job.cardDate,
+  locale: job.locale
+});
+
+// Put a job on the render queue; the payload carries everything the worker needs
+async function enqueueRender(job, brand, templateVersion) {
+  if (!renderQueue) {
+    console.warn('Render queue not available; job saved but not enqueued');
+    return;
+  }
+  try {
+    await renderQueue.add("render", renderPayload(job, brand, templateVersion), { attempts: RENDER_ATTEMPTS, backoff: RENDER_BACKOFF });
+  } catch (qerr) {
+    console.error('Failed to enqueue job to renderQueue', qerr);
+  }
+}
+
+const webhooks = createWebhookDispatcher(prisma);
+webhooks.start();
+
+const retention = createRetention(prisma, { storage, onDeleted: (job) => jobChanged(job, job.status) });
+retention.start();
+
+// Jobs store storage keys (outputKey, outputs[].key); the URLs (public or presigned) are made here,
+// whenever a job is sent out. Jobs rendered before storage keys keep the URLs stored with them.
+async function presentJob(job) {
+  const outputs = Array.isArray(job.outputs)
+    ? await Promise.all(job.outputs.map(async (o) => (o.key ? { ...o, url: await storage.url(o.key) } : o)))
+    : job.outputs;
+  return { ...job, outputUrl: job.outputKey ? await storage.url(job.outputKey) : job.outputUrl, outputs };
+}
+
+// A job row was written: push it to SSE clients, and to webhook subscribers when its status moved
+async function jobChanged(job, previousStatus) {
+  try {
+    const presented = await presentJob(job);
+    publishJob(presented);
+    if (job.status !== previousStatus) await webhooks.dispatchJobStatus(presented);
+  } catch (e) {
+    console.error('Failed to announce job change', e);
+  }
+}
+
+// Create Job
+app.post('/jobs', requireScope('jobs:write'), async (req, res) => {
+  try {
+    const { data, brand, templateVersion, error } = await parseJobInput(req.body || {});
+    if (error) return res.status(400).json(error);
+
+    // cards made in the portal belong to their author and the author's team
+    const owner = req.auth.kind === 'user' ? { createdById: req.auth.id, teamId: req.auth.teamId } : {};
+    const job = await prisma.job.create({ data: { ...data, ...owner, status: 'PENDING' } });
+    jobChanged(job, null);
+    await enqueueRender(job, brand, templateVersion);
 
-    res.status(201).json(job);
+    res.status(201).json(await presentJob(job));
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: 'failed to create job' });
   }
 });
 
-// List Jobs
-app.get('/jobs', async (_req, res) => {
+const DEPENDENT_INPUTS = {
+  templateName: ['kind'],
+  templateVersion: ['templateName'],
+  newsImageCrop: ['newsImageUrl', 'newsImageAssetId'],
+  backgroundCrop: ['backgroundUrl', 'backgroundAssetId'],
+};
+
+// Re-render a finished job, optionally with edited inputs (same fields as POST /jobs).
+// The job keeps its id; previous outputs, failure and warnings are cleared. A stored template renders
+// with the version the card was made with unless the body names another template or templateVersion
+// (null = the latest); a new image loses the old one's focal point unless the body gives one.
+app.post('/jobs/:id/rerender', requireScope('jobs:write'), async (req, res) => {
   try {
-    const jobs = await prisma.job.findMany({ orderBy: { createdAt: 'desc' } });
-    res.json(jobs);
+    const existing = await prisma.job.findFirst({ where: { id: req.params.id, deletedAt: null }, include: { templateVersion: true } });
+    if (!existing) return res.status(404).json({ error: 'not found' });
+    if (!canManageJob(req.auth, existing)) return res.status(403).json({ error: 'only the author or an editor can re-render this card' });
+    if (existing.status === 'PENDING' || existing.status === 'PROCESSING') {
+      return res.status(409).json({ error: `job is already ${existing.status.toLowerCase()}` });
+    }
+    const body = req.body || {};
+    const input = { ...jobToInput(existing), ...body };
+    // inputs tied to another input go when it changes: another template renders with its latest
+    // version, another image gets its own focal point
+    for (const [key, sources] of Object.entries(DEPENDENT_INPUTS)) {
+      if (body[key] === undefined && sources.some((s) => body[s] !== undefined && body[s] !== existing[s])) delete input[key];
+    }
+    const { data, brand, templateVersion, error } = await parseJobInput(input);
+    if (error) return res.status(400).json(error);
+
+    const job = await prisma.job.update({
+      where: { id: existing.id },
+      data: {
+        ...data,
+        status: 'PENDING',
+        outputKey: null,
+        outputUrl: null,
+        outputs: Prisma.DbNull,
+        fileSize: null,
+        error: Prisma.DbNull,
+        warnings: Prisma.DbNull,
+        reviewComment: null,
+        reviewedAt: null,
+      }
+    });
+    jobChanged(job, existing.status);
+    await enqueueRender(job, brand, templateVersion);
+    res.json(await presentJob(job));
+  } catch (e) {
+    console.error('Failed to rerender job', e);
+    res.status(500).json({ error: 'failed to rerender job' });
+  }
+});
+
+// List Jobs, newest first: { jobs, total, nextCursor }. See parseJobListQuery for the query params;
+// pass nextCursor back as ?cursor= to get the next page.
+app.get('/jobs', requireScope('read'), async (req, res) => {
+  const { where, take, cursor, error } = parseJobListQuery(req.query, { principal: req.auth });
+  if (error) return res.status(400).json({ error });
+  try {
+    // prisma fails on a cursor row that doesn't exist (a made-up id, or a job purged since)
+    if (cursor && !(await prisma.job.findUnique({ where: { id: cursor }, select: { id: true } }))) {
+      return res.status(400).json({ error: 'cursor does not match any job; start again from the first page' });
+    }
+    const [jobs, total] = await prisma.$transaction([
+      prisma.job.findMany({
+        where,
+        include: { createdBy: { select: { id: true, name: true } } },
+        orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+        take: take + 1,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+      }),
+      prisma.job.count({ where }),
+    ]);
+    const hasMore = jobs.length > take;
+    const page = hasMore ? jobs.slice(0, take) : jobs;
+    res.json({ jobs: await Promise.all(page.map(presentJob)), total, nextCursor: hasMore ? page[page.length - 1].id : null });
   } catch (err) {
     console.error('Failed to list jobs', err);
     res.status(500).json({ error: 'failed to list jobs' });
   }
 });
 
+// Live job updates (Server-Sent Events, `job` events carrying the full job)
+// The jobs the caller may follow (canFollowJob); ?ids=a,b limits the stream to those jobs
+app.get('/jobs/events', requireScope('read'), (req, res) => {
+  const ids = req.query.ids ? new Set(String(req.query.ids).split(',').filter(Boolean)) : null;
+  streamJobs(req, res, { filter: (job) => (!ids || ids.has(job.id)) && canFollowJob(req.auth, job) });
+});
+
+// A single job: its current state first, then every change
+app.get('/jobs/:id/events', requireScope('read'), async (req, res) => {
+  try {
+    const job = await prisma.job.findFirst({ where: { id: req.params.id, deletedAt: null } });
+    if (!job || !canFollowJob(req.auth, job)) return res.status(404).json({ error: 'not found' });
+    streamJobs(req, res, { filter: (j) => j.id === job.id, initial: [await presentJob(job)] });
+  } catch (err) {
+    console.error('Failed to open job stream', err);
+    res.status(500).json({ error: 'failed to open job stream' });
+  }
+});
+
+// Preview: a small JPEG of the card a POST /jobs with this body would make, rendered by a worker right
+// away (see preview.js). Only the first size counts. No job is created and nothing is stored.
+const takePreview = createRateLimiter({ limit: PREVIEW_RATE_LIMIT, windowMs: 60 * 1000 });
+app.post('/preview', requireScope('jobs:write'), async (req, res) => {
+  const limit = takePreview(`${req.auth.kind}:${req.auth.id ?? req.auth.name}`);
+  res.setHeader('X-RateLimit-Limit', limit.limit);
+  res.setHeader('X-RateLimit-Remaining', limit.remaining);
+  if (!limit.ok) {
+    res.setHeader('Retry-After', limit.retryAfter);
+    return res.status(429).json({ error: 'too many preview requests, try again shortly', code: 'RATE_LIMITED' });
+  }
+  if (!previewQueue) return res.status(503).json({ error: 'previews need the worker queue (REDIS_URL)', code: 'PREVIEW_UNAVAILABLE' });
+  try {
+    const { data, brand, templateVersion, error } = await parseJobInput(req.body || {});
+    if (error) return res.status(400).json(error);
+    // a carousel preview is one slide: `slide` (from 1), the cover by default
+    const slide = data.kind === 'carousel' ? Number(req.body.slide ?? 1) : null;
+    if (slide != null && !(Number.isInteger(slide) && slide >= 1 && slide <= data.slides.length)) {
+      return res.status(400).json({ error: `slide must be from 1 to ${data.slides.length}` });
+    }
+    const size = previewSize(Array.isArray(data.sizes) ? data.sizes[0] : { width: 1080, height: 1080 });
+    const { image, warnings, timings } = await previewQueue.render({
+      ...renderPayload({ ...data, id: null }, brand, templateVersion),
+      slide,
+      sizes: [size],
+      format: 'jpeg',
+      quality: PREVIEW_QUALITY,
+    });
+    res.setHeader('Content-Type', 'image/jpeg');
+    res.setHeader('Cache-Control', 'no-store');
+    if (warnings.length) res.setHeader('X-Preview-Warnings', [...new Set(warnings.map((w) => w.code))].join(', '));
+    if (timings) res.setHeader('Server-Timing', serverTiming(timings));
+    res.send(image);
+  } catch (e) {
+    if (e instanceof PreviewError) return res.status(e.status).json({ error: e.message, code: e.code });
+    console.error('Preview failed', e);
+    res.status(500).json({ error: 'failed to render preview' });
+  }
+});
+
 // Get Job
-app.get('/jobs/:id', async (req, res) => {
+app.get('/jobs/:id', requireScope('read'), async (req, res) => {
   try {
-    const job = await prisma.job.findUnique({ where: { id: req.params.id } });
-    if (!job) return res.status(404).json({ error: 'not found' });
-    res.json(job);
+    const job = await prisma.job.findFirst({ where: { id: req.params.id, deletedAt: null } });
+    if (!job || !canFollowJob(req.auth, job)) return res.status(404).json({ error: 'not found' });
+    res.json(await presentJob(job));
   } catch (err) {
     console.error('Failed to get job', err);
     res.status(500).json({ error: 'failed to get job' });
   }
 });
 
+// File name of an output inside the job's ZIP: `slide-01.png` for carousels (`slide-01-1080x1350.png`
+// when there are several sizes), `1080x1080.png` for cards
+function zipEntryName(output, outputs) {
+  const ext = path.extname(output.key);
+  if (!output.width) return path.basename(output.key);
+  const sized = `${output.width}x${output.height}`;
+  if (!output.slide) return `${sized}${ext}`;
+  const several = new Set(outputs.map((o) => `${o.width}x${o.height}`)).size > 1;
+  return `slide-${String(output.slide).padStart(2, '0')}${several ? `-${sized}` : ''}${ext}`;
+}
+
+// Every output of a job in one ZIP (each is also available alone at its url in `outputs`)
+app.get('/jobs/:id/zip', requireScope('read'), async (req, res) => {
+  let files = [];
+  try {
+    const job = await prisma.job.findFirst({ where: { id: req.params.id, deletedAt: null } });
+    if (!job || !canFollowJob(req.auth, job)) return res.status(404).json({ error: 'not found' });
+    const outputs = Array.isArray(job.outputs) ? job.outputs.filter((o) => o.key) : [];
+    if (!outputs.length) return res.status(409).json({ error: `job has no outputs to download (${job.status.toLowerCase()})` });
+    // every file is opened before answering, so a missing one is a 404 rather than a broken archive
+    files = await Promise.all(outputs.map((o) => storage.get(o.key)));
+    if (files.some((f) => !f)) {
+      files.forEach((f) => f?.body.destroy?.());
+      return res.status(404).json({ error: 'output file not found' });
+    }
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', attachment(`${job.kind}-${job.id}.zip`));
+    await writeZip(res, outputs.map((o, i) => ({ name: zipEntryName(o, outputs), body: files[i].body })));
+    res.end();
+  } catch (e) {
+    files.forEach((f) => f?.body.destroy?.());
+    console.error('Failed to send job zip', e);
+    if (res.headersSent) res.destroy(e);
+    else res.status(500).json({ error: 'failed to build zip' });
+  }
+});
+
+// Delete a job: it disappears from every endpoint and its output files are removed at once
+// (see retention.js). Same rules as re-rendering: the author, or anyone with jobs:manage.
+app.delete('/jobs/:id', requireScope('jobs:write'), async (req, res) => {
+  try {
+    const job = await prisma.job.findFirst({ where: { id: req.params.id, deletedAt: null } });
+    if (!job) return res.status(404).json({ error: 'not found' });
+    if (!canManageJob(req.auth, job)) return res.status(403).json({ error: 'only the author or an editor can delete this card' });
+    const done = await retention.deleteJob(job.id);
+    if (!done) return res.status(404).json({ error: 'not found' });
+    res.json({ id: job.id, deletedAt: done.job.deletedAt, files: done.files, bytes: done.bytes });
+  } catch (e) {
+    console.error('Failed to delete job', e);
+    res.status(500).json({ error: 'failed to delete job' });
+  }
+});
+
 // Update Job (worker will call this)
-app.put('/jobs/:id', async (req, res) => {
-  const { status, outputFileName } = req.body || {};
+app.put('/jobs/:id', requireScope('worker'), async (req, res) => {
+  // outputKey / outputs[].key are storage keys; workers from before storage.js send outputFileName / fileName
+  const { status, outputKey = req.body?.outputFileName, outputs, error, warnings, timings } = req.body || {};
+  if (status && !WORKER_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${WORKER_STATUSES.join(', ')}` });
+  }
   try {
+    const job = await prisma.job.findUnique({ where: { id: req.params.id }, select: { status: true, requiresApproval: true, deletedAt: true } });
+    if (!job) return res.status(404).json({ error: 'not found' });
+    // deleted while queued or rendering: drop whatever the worker wrote and tell it to stop
+    if (job.deletedAt) {
+      await purgeJobFiles(storage, req.params.id);
+      return res.status(410).json({ error: 'job was deleted', code: 'JOB_DELETED' });
+    }
     const data = {};
-    if (status) data.status = status;
-    if (outputFileName) data.outputUrl = `${PUBLIC_BASE}/${outputFileName}`;
+    // a finished render that needs an editor's sign-off waits for review instead of being DONE
+    if (status) data.status = status === 'DONE' && job.requiresApproval ? 'AWAITING_APPROVAL' : status;
+    // every PROCESSING report is the start of one render attempt
+    if (status === 'PROCESSING') data.attempts = { increment: 1 };
+    // the last failure is kept while the worker retries (status back to PENDING) and when it gives up;
+    // a status report without one (new attempt, success) clears it
+    if (error) data.error = normalizeFailure(error);
+    else if (status === 'ERROR') data.error = { code: 'RENDER_FAILED', message: null, stage: null, assetUrl: null };
+    else if (status) data.error = Prisma.DbNull;
+    if (warnings !== undefined) data.warnings = normalizeWarnings(warnings);
+    if (timings !== undefined) data.timings = normalizeTimings(timings) ?? Prisma.DbNull;
+    if (outputKey) {
+      data.outputKey = String(outputKey);
+      data.outputUrl = null;
+    }
+    if (Array.isArray(outputs)) {
+      data.outputs = outputs.map(({ key, fileName, slide, name, width, height, format, bytes }) => ({
+        key: String(key || fileName), ...(Number.isInteger(slide) && { slide }), name, width, height, format, bytes,
+      }));
+      if (outputs[0] && Number.isFinite(outputs[0].bytes)) data.fileSize = outputs[0].bytes;
+    }
     const up = await prisma.job.update({ where: { id: req.params.id }, data });
-    res.json(up);
+    jobChanged(up, job.status);
+    res.json(await presentJob(up));
   } catch (e) {
     console.error(e);
     res.status(500).json({ error: 'failed to update job' });
   }
 });
 
+// Review ---------------------------------------------------------------------
+
+// Move a job out of AWAITING_APPROVAL; 404 when it doesn't exist, 409 when it isn't waiting for review
+async function reviewJob(req, res, status, { requireComment }) {
+  const { comment, error } = validateReviewComment(req.body?.comment, { required: requireComment });
+  if (error) return res.status(400).json({ error });
+  try {
+    const { count } = await prisma.job.updateMany({
+      where: { id: req.params.id, status: 'AWAITING_APPROVAL', deletedAt: null },
+      data: { status, reviewComment: comment, reviewedAt: new Date() },
+    });
+    const job = await prisma.job.findFirst({ where: { id: req.params.id, deletedAt: null } });
+    if (!job) return res.status(404).json({ error: 'not found' });
+    if (!count) return res.status(409).json({ error: `job is ${job.status.toLowerCase()}, not awaiting approval` });
+    jobChanged(job, 'AWAITING_APPROVAL');
+    res.json(await presentJob(job));
+  } catch (e) {
+    console.error(`Failed to set job ${status}`, e);
+    res.status(500).json({ error: 'failed to review job' });
+  }
+}
+
+// Approve a rendered card; optional { comment }
+app.post('/jobs/:id/approve', requireScope('review'), (req, res) => reviewJob(req, res, 'APPROVED', { requireComment: false }));
+
+// Reject a rendered card; { comment } says why
+app.post('/jobs/:id/reject', requireScope('review'), (req, res) => reviewJob(req, res, 'REJECTED', { requireComment: true }));
+
+// Retention ------------------------------------------------------------------
+
+// What the retention sweep would delete right now (dry run), with the policy in force
+app.get('/retention', requireScope('retention'), async (_req, res) => {
+  try {
+    res.json(await retention.report());
+  } catch (e) {
+    console.error('Failed to build retention report', e);
+    res.status(500).json({ error: 'failed to build retention report' });
+  }
+});
+
+// Run the sweep now; { dryRun: true } only reports, like GET /retention
+app.post('/retention/sweep', requireScope('retention'), async (req, res) => {
+  try {
+    res.json(await retention.sweep({ dryRun: Boolean(req.body?.dryRun) }));
+  } catch (e) {
+    console.error('Retention sweep failed', e);
+    res.status(500).json({ error: 'retention sweep failed' });
+  }
+});
+
+// Webhooks -------------------------------------------------------------------
+
+// List subscriptions (secrets hidden)
+app.get('/webhooks', requireScope('webhooks'), async (_req, res) => {
+  try {
+    const subs = await prisma.webhookSubscription.findMany({ orderBy: { createdAt: 'asc' } });
+    res.json(subs.map(withoutSecret));
+  } catch (err) {
+    console.error('Failed to list webhooks', err);
+    res.status(500).json({ error: 'failed to list webhooks' });
+  }
+});
+
+// Subscribe { url, events?, description?, secret? }; the response is the only place the secret is shown
+app.post('/webhooks', requireScope('webhooks'), async (req, res) => {
+  const { data, error, events } = validateWebhookInput(req.body);
+  if (error) return res.status(400).json({ error, events });
+  try {
+    const sub = await prisma.webhookSubscription.create({ data: { secret: generateSecret(), ...data } });
+    res.status(201).json(sub);
+  } catch (e) {
+    console.error('Failed to create webhook', e);
+    res.status(500).json({ error: 'failed to create webhook' });
+  }
+});
+
+app.get('/webhooks/:id', requireScope('webhooks'), async (req, res) => {
+  try {
+    const sub = await prisma.webhookSubscription.findUnique({ where: { id: req.params.id } });
+    if (!sub) return res.status(404).json({ error: 'not found' });
+    res.json(withoutSecret(sub));
+  } catch (err) {
+    console.error('Failed to get webhook', err);
+    res.status(500).json({ error: 'failed to get webhook' });
+  }
+});
+
+// Update; { rotateSecret: true } issues a new secret, returned once in the response
+app.put('/webhooks/:id', requireScope('webhooks'), async (req, res) => {
+  const { data, error, events } = validateWebhookInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ error, events });
+  const rotate = req.body?.rotateSecret === true;
+  if (rotate) data.secret = generateSecret();
+  try {
+    const sub = await prisma.webhookSubscription.update({ where: { id: req.params.id }, data });
+    res.json(data.secret ? sub : withoutSecret(sub));
+  } catch (e) {
+    if (e.code === 'P2025') return res.status(404).json({ error: 'not found' });
+    console.error('Failed to update webhook', e);
+    res.status(500).json({ error: 'failed to update webhook' });
+  }
+});
+
+// Unsubscribe (the delivery log goes with it)
+app.delete('/webhooks/:id', requireScope('webhooks'), async (req, res) => {
+  try {
+    await prisma.webhookSubscription.delete({ where: { id: req.params.id } });
+    res.status(204).end();
+  } catch (e) {
+    if (e.code === 'P2025') return res.status(404).json({ error: 'not found' });
+    console.error('Failed to delete webhook', e);
+    res.status(500).json({ error: 'failed to delete webhook' });
+  }
+});
+
+// Delivery log, newest first; ?status=PENDING|SUCCEEDED|FAILED, ?limit= (max 200)
+app.get('/webhooks/:id/deliveries', requireScope('webhooks'), async (req, res) => {
+  const status = req.query.status ? String(req.query.status).toUpperCase() : null;
+  if (status && !['PENDING', 'SUCCEEDED', 'FAILED'].includes(status)) {
+    return res.status(400).json({ error: 'status must be PENDING, SUCCEEDED or FAILED' });
+  }
+  const take = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+  try {
+    const sub = await prisma.webhookSubscription.findUnique({ where: { id: req.params.id }, select: { id: true } });
+    if (!sub) return res.status(404).json({ error: 'not found' });
+    const deliveries = await prisma.webhookDelivery.findMany({
+      where: { subscriptionId: sub.id, ...(status ? { status } : {}) },
+      orderBy: { createdAt: 'desc' },
+      take,
+    });
+    res.json(deliveries);
+  } catch (err) {
+    console.error('Failed to list webhook deliveries', err);
+    res.status(500).json({ error: 'failed to list webhook deliveries' });
+  }
+});
+
+// Send a `ping` event now and return the delivery with the receiver's answer (retried like any other)
+app.post('/webhooks/:id/test', requireScope('webhooks'), async (req, res) => {
+  try {
+    const sub = await prisma.webhookSubscription.findUnique({ where: { id: req.params.id } });
+    if (!sub) return res.status(404).json({ error: 'not found' });
+    res.json(await webhooks.sendTest(sub));
+  } catch (e) {
+    console.error('Failed to send test webhook', e);
+    res.status(500).json({ error: 'failed to send test webhook' });
+  }
+});
+
+// Users & teams -----------------------------------------------------------------
+
+app.get('/users', requireScope('users'), async (_req, res) => {
+  try {
+    const users = await prisma.user.findMany({ orderBy: { name: 'asc' }, include: { team: true } });
+    res.json(users.map(publicUser));
+  } catch (err) {
+    console.error('Failed to list users', err);
+    res.status(500).json({ error: 'failed to list users' });
+  }
+});
+
+// Create a user { email, name, password, role?, teamId? }
+app.post('/users', requireScope('users'), async (req, res) => {
+  const { data, password, error } = validateUserInput(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    const user = await prisma.user.create({ data: { ...data, passwordHash: await hashPassword(password) }, include: { team: true } });
+    res.status(201).json(publicUser(user));
+  } catch (e) {
+    if (e.code === 'P2002') return res.status(409).json({ error: 'a user with this email already exists' });
+    if (e.code === 'P2003') return res.status(400).json({ error: `unknown team "${data.teamId}"` });
+    console.error('Failed to create user', e);
+    res.status(500).json({ error: 'failed to create user' });
+  }
+});
+
+// Update a user; { disabled: true } blocks sign-in and ends their sessions, a new password does too
+app.put('/users/:id', requireScope('users'), async (req, res) => {
+  const { data, password, error } = validateUserInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ error });
+  try {
+    if (password) data.passwordHash = await hashPassword(password);
+    const user = await prisma.user.update({ where: { id: req.params.id }, data, include: { team: true } });
+    if (password || data.disabledAt) await prisma.session.deleteMany({ where: { userId: user.id } });
+    res.json(publicUser(user));
+  } catch (e) {
+    if (e.code === 'P2025') return res.status(404).json({ error: 'not found' });
+    if (e.code === 'P2002') return res.status(409).json({ error: 'a user with this email already exists' });
+    if (e.code === 'P2003') return res.status(400).json({ error: `unknown team "${data.teamId}"` });
+    console.error('Failed to update user', e);
+    res.status(500).json({ error: 'failed to update user' });
+  }
+});
+
+app.get('/teams', requireScope('read'), async (_req, res) => {
+  try {
+    res.json(await prisma.team.findMany({ orderBy: { name: 'asc' } }));
+  } catch (err) {
+    console.error('Failed to list teams', err);
+    res.status(500).json({ error: 'failed to list teams' });
+  }
+});
+
+app.post('/teams', requireScope('users'), async (req, res) => {
+  const { data, error } = validateTeamInput(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    res.status(201).json(await prisma.team.create({ data }));
+  } catch (e) {
+    if (e.code === 'P2002') return res.status(409).json({ error: 'a team with this name already exists' });
+    console.error('Failed to create team', e);
+    res.status(500).json({ error: 'failed to create team' });
+  }
+});
+
+app.put('/teams/:id', requireScope('users'), async (req, res) => {
+  const { data, error } = validateTeamInput(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    res.json(await prisma.team.update({ where: { id: req.params.id }, data }));
+  } catch (e) {
+    if (e.code === 'P2025') return res.status(404).json({ error: 'not found' });
+    if (e.code === 'P2002') return res.status(409).json({ error: 'a team with this name already exists' });
+    console.error('Failed to update team', e);
+    res.status(500).json({ error: 'failed to update team' });
+  }
+});
+
+// Deleting a team leaves its users and cards without one
+app.delete('/teams/:id', requireScope('users'), async (req, res) => {
+  try {
+    await prisma.team.delete({ where: { id: req.params.id } });
+    res.status(204).end();
+  } catch (e) {
+    if (e.code === 'P2025') return res.status(404).json({ error: 'not found' });
+    console.error('Failed to delete team', e);
+    res.status(500).json({ error: 'failed to delete team' });
+  }
+});
+
+// API keys -------------------------------------------------------------------
+
+// Scopes a key can be given
+app.get('/api-keys/scopes', requireScope('keys'), (_req, res) => res.json(SCOPES));
+
+app.get('/api-keys', requireScope('keys'), async (_req, res) => {
+  try {
+    const keys = await prisma.apiKey.findMany({ orderBy: { createdAt: 'desc' } });
+    res.json(keys.map(publicKey));
+  } catch (err) {
+    console.error('Failed to list API keys', err);
+    res.status(500).json({ error: 'failed to list API keys' });
+  }
+});
+
+// Issue a key { name, scopes, expiresAt? }; the response is the only time the key is shown
+app.post('/api-keys', requireScope('keys'), async (req, res) => {
+  const { data, error } = validateApiKeyInput(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    const { key, prefix } = generateKey();
+    const stored = await prisma.apiKey.create({ data: { ...data, prefix, keyHash: hashKey(key) } });
+    res.status(201).json({ ...publicKey(stored), key });
+  } catch (e) {
+    console.error('Failed to create API key', e);
+    res.status(500).json({ error: 'failed to create API key' });
+  }
+});
+
+// Revoke a key; it stays listed with revokedAt set
+app.delete('/api-keys/:id', requireScope('keys'), async (req, res) => {
+  try {
+    const key = await prisma.apiKey.update({ where: { id: req.params.id }, data: { revokedAt: new Date() } });
+    res.json(publicKey(key));
+  } catch (e) {
+    if (e.code === 'P2025') return res.status(404).json({ error: 'not found' });
+    console.error('Failed to revoke API key', e);
+    res.status(500).json({ error: 'failed to revoke API key' });
+  }
+});
+
 app.listen(PORT, HOST, async () => {
   // run prisma migrate (deploy) once on boot (simple way for dev)
   try {
@@ -0,0 +1,99 @@
+// Query string of GET /jobs: cursor pagination, filters and headline search.
+import { JOB_STATUSES, PUBLISHABLE_WHERE } from './review.js';
+import { followableWhere } from './auth.js';
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_SEARCH_TERMS = 8;
+// job ids are cuids
+const CURSOR = /^[a-z0-9]{1,64}$/i;
+
+// Bangla text can spell the same letter in more than one code point sequence (e.g. য় as one
+// character or য + nukta); NFC makes stored headlines and search terms compare equal.
+export const normalizeText = (s) => String(s).normalize('NFC');
+
+// `from`/`to` bound createdAt; a bare date in `to` covers that whole day
+function parseBound(raw, name, { endOfDay = false } = {}) {
+  const s = String(raw);
+  let d = new Date(DATE_ONLY.test(s) ? `${s}T00:00:00.000Z` : s);
+  if (Number.isNaN(d.getTime())) return { error: `${name} must be a date like 2024-10-05 or an ISO timestamp` };
+  if (endOfDay && DATE_ONLY.test(s)) d = new Date(d.getTime() + 24 * 60 * 60 * 1000 - 1);
+  return { date: d };
+}
+
+// Search: every whitespace-separated term has to appear in the headline or subheadline.
+// Postgres ships no Bengali text-search parser or stemmer, so this is case-insensitive substring matching.
+function searchWhere(q) {
+  const terms = normalizeText(q).split(/\s+/).filter(Boolean).slice(0, MAX_SEARCH_TERMS);
+  return terms.map((term) => ({
+    OR: [
+      { headline: { contains: term, mode: 'insensitive' } },
+      { subheadline: { contains: term, mode: 'insensitive' } },
+    ],
+  }));
+}
+
+// Parse GET /jobs query params. Returns { where, take, cursor } for prisma, or { error }. The list is
+// limited to the jobs `principal` may see.
+//   limit      page size (default 20, max 100)
+//   cursor     id of the last job of the previous page (GET /jobs also checks that the job exists)
+//   status     comma-separated JobStatus list; publishable=1 keeps only cards cleared to go out
+//   template   templateName; brand: brandId
+//   createdBy  user id, or `me`; team: team id, or `mine` (both need a signed-in user for me/mine)
+//   from, to   createdAt range (dates or ISO timestamps)
+//   q          headline / subheadline search
+export function parseJobListQuery(query = {}, { principal } = {}) {
+  const and = [{ deletedAt: null }];
+
+  let take = DEFAULT_PAGE_SIZE;
+  if (query.limit !== undefined) {
+    take = Number(query.limit);
+    if (!Number.isInteger(take) || take < 1) return { error: 'limit must be a positive integer' };
+    take = Math.min(take, MAX_PAGE_SIZE);
+  }
+  if (query.cursor && !CURSOR.test(String(query.cursor))) return { error: 'cursor must be the nextCursor of a previous page' };
+
+  if (query.status) {
+    const statuses = String(query.status).split(',').map((v) => v.trim().toUpperCase()).filter(Boolean);
+    const unknown = statuses.find((v) => !JOB_STATUSES.includes(v));
+    if (unknown) return { error: `unknown status "${unknown}"` };
+    and.push({ status: { in: statuses } });
+  }
+  if (query.publishable === '1' || query.publishable === 'true') and.push(PUBLISHABLE_WHERE);
+  if (query.template) and.push({ templateName: String(query.template) });
+  if (query.brand) and.push({ brandId: String(query.brand) });
+  if (query.createdBy) {
+    if (query.createdBy === 'me' && principal?.kind !== 'user') return { error: 'createdBy=me needs a signed-in user' };
+    and.push({ createdById: query.createdBy === 'me' ? principal.id : String(query.createdBy) });
+  }
+  if (query.team) {
+    if (query.team === 'mine' && !principal?.teamId) return { error: 'team=mine needs a signed-in user with a team' };
+    and.push({ teamId: query.team === 'mine' ? principal.teamId : String(query.team) });
+  }
+
+  const createdAt = {};
+  if (query.from) {
+    const { date, error } = parseBound(query.from, 'from');
+    if (error) return { error };
+    createdAt.gte = date;
+  }
+  if (query.to) {
+    const { date, error } = parseBound(query.to, 'to', { endOfDay: true });
+    if (error) return { error };
+    createdAt.lte = date;
+  }
+  if (createdAt.gte || createdAt.lte) and.push({ createdAt });
+
+  if (query.q && String(query.q).trim()) and.push(...searchWhere(query.q));
+  // whatever the filters say, only jobs the caller may see (auth.js)
+  const visible = followableWhere(principal);
+  if (visible) and.push(visible);
+
+  return {
+    where: and.length ? { AND: and } : {},
+    take,
+    cursor: query.cursor ? String(query.cursor) : null,
+  };
+}
@@ -0,0 +1,50 @@
+// Render timings the worker reports with each job (see apps/worker/src/timings.js), and their summary
+// for GET /metrics/render.
+
+export const TIMING_STAGES = ['fetch_assets', 'browser', 'page_load', 'screenshot', 'store', 'total'];
+const MAX_MS = 24 * 60 * 60 * 1000;
+
+// Keep the known stages (whole, non-negative milliseconds) and the coldStart flag; null when none is left
+export function normalizeTimings(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return null;
+  const out = {};
+  for (const stage of TIMING_STAGES) {
+    const ms = Number(input[stage]);
+    if (Number.isFinite(ms) && ms >= 0) out[stage] = Math.min(Math.round(ms), MAX_MS);
+  }
+  if (typeof input.coldStart === 'boolean') out.coldStart = input.coldStart;
+  return Object.keys(out).length ? out : null;
+}
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+
+function describe(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    avg: Math.round(sorted.reduce((sum, v) => sum + v, 0) / sorted.length),
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    max: sorted[sorted.length - 1],
+  };
+}
+
+// { jobs, coldStarts, stages: { <stage>: { count, avg, p50, p95, max } }, warm: <total>, cold: <total> }
+// over a list of Job.timings
+export function summarizeTimings(list) {
+  const stages = {};
+  for (const stage of TIMING_STAGES) {
+    const s = describe(list.map((t) => t[stage]).filter(Number.isFinite));
+    if (s) stages[stage] = s;
+  }
+  const totals = (cold) => describe(list.filter((t) => Boolean(t.coldStart) === cold).map((t) => t.total).filter(Number.isFinite));
+  return {
+    jobs: list.length,
+    coldStarts: list.filter((t) => t.coldStart).length,
+    stages,
+    // total render time with the browser already running vs. waiting for it to start
+    warm: totals(false),
+    cold: totals(true),
+  };
+}
@@ -0,0 +1,61 @@
+// Low-resolution previews (POST /preview), rendered by a worker with the job pipeline but without a
+// Job row, the render queue or storage. A request is a job on the `preview` queue; the worker returns
+// the JPEG (base64) and the API picks it up from the queue's events (QueueEvents). Nothing stays behind:
+// finished preview jobs are dropped after a minute and the events stream is kept short.
+//   PREVIEW_TIMEOUT_MS  how long the API waits for the image (default 8000), then answers 504
+//   PREVIEW_MAX_SIDE    long side of the image in px (default 540); the aspect ratio of the size is kept
+//   PREVIEW_RATE_LIMIT  previews per minute per API key or user (default 20)
+import { Queue, QueueEvents } from 'bullmq';
+
+export const PREVIEW_TIMEOUT_MS = Number(process.env.PREVIEW_TIMEOUT_MS || 8000);
+export const PREVIEW_MAX_SIDE = Number(process.env.PREVIEW_MAX_SIDE || 540);
+export const PREVIEW_RATE_LIMIT = Number(process.env.PREVIEW_RATE_LIMIT || 20);
+export const PREVIEW_QUALITY = 70;
+
+export class PreviewError extends Error {
+  constructor(code, message, status) {
+    super(message);
+    this.name = 'PreviewError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// The requested size scaled down (never up) so its long side is at most `maxSide`
+export function previewSize({ width, height }, maxSide = PREVIEW_MAX_SIDE) {
+  const k = Math.min(1, maxSide / Math.max(width, height));
+  return { name: 'preview', width: Math.round(width * k), height: Math.round(height * k) };
+}
+
+// `Server-Timing` value for the worker's per-stage timings (apps/worker/src/timings.js)
+export const serverTiming = (timings) => Object.entries(timings || {})
+  .filter(([, ms]) => Number.isFinite(ms))
+  .map(([stage, ms]) => `${stage};dur=${ms}`)
+  .join(', ');
+
+export function createPreviewQueue(connection, { timeoutMs = PREVIEW_TIMEOUT_MS } = {}) {
+  const queue = new Queue('preview', { connection, streams: { events: { maxLen: 100 } } });
+  const events = new QueueEvents('preview', { connection });
+  events.on('error', (e) => console.error('Preview queue events error', e?.message || e));
+
+  // Render `payload` (the render job's fields, one size); resolves { image: Buffer, warnings, timings }
+  async function render(payload) {
+    const job = await queue.add('preview', { ...payload, deadline: Date.now() + timeoutMs }, {
+      attempts: 1,
+      // kept briefly so waitUntilFinished can still read the result of a very fast render
+      removeOnComplete: { age: 60 },
+      removeOnFail: { age: 60 },
+    });
+    let result;
+    try {
+      result = await job.waitUntilFinished(events, timeoutMs);
+    } catch (e) {
+      if (!/timed out/.test(e?.message)) throw new PreviewError('PREVIEW_FAILED', e?.message || String(e), 502);
+      await job.remove().catch(() => {}); // still waiting for a worker: don't render it at all
+      throw new PreviewError('PREVIEW_TIMEOUT', `no preview within ${timeoutMs} ms`, 504);
+    }
+    return { image: Buffer.from(result.image, 'base64'), warnings: result.warnings || [], timings: result.timings || null };
+  }
+
+  return { render };
+}
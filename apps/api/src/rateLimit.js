@@ -0,0 +1,19 @@
+// Fixed-window request counter per key (a principal, an IP…). Kept in this process's memory, so each
+// API replica counts on its own.
+export function createRateLimiter({ limit, windowMs }) {
+  const windows = new Map();
+  // Count one request for `key`: { ok, limit, remaining, retryAfter (seconds until the window resets) }
+  return function take(key) {
+    const now = Date.now();
+    if (windows.size > 1000) {
+      for (const [k, w] of windows) if (now >= w.reset) windows.delete(k);
+    }
+    let w = windows.get(key);
+    if (!w || now >= w.reset) {
+      w = { count: 0, reset: now + windowMs };
+      windows.set(key, w);
+    }
+    w.count++;
+    return { ok: w.count <= limit, limit, remaining: Math.max(0, limit - w.count), retryAfter: Math.ceil((w.reset - now) / 1000) };
+  };
+}
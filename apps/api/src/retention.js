@@ -0,0 +1,149 @@
+// Job deletion and the retention policy.
+//
+// Deleting a job is a soft delete: the row gets `deletedAt` (it disappears from every endpoint) and its
+// files in storage are removed right away. The sweep soft-deletes finished jobs older than the
+// policy, and removes soft-deleted rows for good after RETENTION_PURGE_DAYS. Policy, from the env:
+//   RETENTION_DAYS         finished cards older than this are deleted (0 = keep forever)
+//   RETENTION_FAILED_DAYS  ERROR and REJECTED cards, usually shorter (0 = same as RETENTION_DAYS)
+//   RETENTION_PURGE_DAYS   soft-deleted rows are kept this long (default 30)
+//   RETENTION_SWEEP_MS     how often the sweep runs (default 6h)
+//   RETENTION_DRY_RUN=1    the scheduled sweep only logs what it would delete
+import { Prisma } from '@prisma/client';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const RETENTION_POLICY = {
+  days: Number(process.env.RETENTION_DAYS || 0),
+  failedDays: Number(process.env.RETENTION_FAILED_DAYS || 0),
+  purgeDays: Number(process.env.RETENTION_PURGE_DAYS ?? 30),
+  sweepMs: Number(process.env.RETENTION_SWEEP_MS || 6 * 60 * 60 * 1000),
+  dryRun: process.env.RETENTION_DRY_RUN === '1',
+};
+
+// Cards still in the pipeline are never swept
+const IN_FLIGHT = ['PENDING', 'PROCESSING', 'AWAITING_APPROVAL'];
+const FAILED = ['ERROR', 'REJECTED'];
+const BATCH = 200;
+const SAMPLE = 20;
+
+// Objects a job left in storage: its outputs (`<id>.<ext>`, `<id>-<w>x<h>.<ext>`, carousel slides as
+// `<id>-s01[-<w>x<h>].<ext>`) and inputs saved there by older workers (`<id>-news-…`, `<id>-bg-…`).
+// Job ids are cuids, so the prefix is unambiguous.
+const isJobKey = (key, id) => key.startsWith(`${id}.`) || key.startsWith(`${id}-`);
+
+export async function jobFiles(storage, id) {
+  return (await storage.list(id)).filter((f) => isJobKey(f.key, id));
+}
+
+// Every top-level object grouped by the job id it starts with; one listing for many jobs
+async function filesByJob(storage) {
+  const byJob = new Map();
+  for (const f of await storage.list()) {
+    if (f.key.includes('/')) continue; // uploads/ and the like
+    const id = f.key.split(/[.-]/)[0];
+    if (!byJob.has(id)) byJob.set(id, []);
+    byJob.get(id).push(f);
+  }
+  return byJob;
+}
+
+// Delete a job's objects (listed with jobFiles unless given); resolves { files, bytes } removed
+export async function purgeJobFiles(storage, id, files) {
+  const list = files || (await jobFiles(storage, id));
+  if (list.length) await storage.remove(list.map((f) => f.key));
+  return { files: list.length, bytes: list.reduce((sum, f) => sum + (f.bytes || 0), 0) };
+}
+
+// The where clause for jobs the policy says should go, or null when it keeps everything
+function expiredWhere({ days, failedDays }, now = Date.now()) {
+  const or = [];
+  if (days > 0) or.push({ createdAt: { lt: new Date(now - days * DAY_MS) } });
+  if (failedDays > 0) or.push({ status: { in: FAILED }, createdAt: { lt: new Date(now - failedDays * DAY_MS) } });
+  if (!or.length) return null;
+  return { deletedAt: null, status: { notIn: IN_FLIGHT }, OR: or };
+}
+
+// Bound to a prisma client and the output storage (storage.js). `onDeleted(job)` runs after each soft delete
+// (the API pushes the change to SSE clients).
+export function createRetention(prisma, { storage, onDeleted = () => {}, policy = RETENTION_POLICY }) {
+  // Soft-delete one job and remove its files; resolves { job, files, bytes }, or null when it was already gone
+  async function deleteJob(id, files) {
+    const deletedAt = new Date();
+    const { count } = await prisma.job.updateMany({
+      where: { id, deletedAt: null },
+      data: { deletedAt, outputKey: null, outputUrl: null, outputs: Prisma.DbNull, fileSize: null },
+    });
+    if (!count) return null;
+    const removed = await purgeJobFiles(storage, id, files);
+    const job = await prisma.job.findUnique({ where: { id } });
+    onDeleted(job);
+    return { job, ...removed };
+  }
+
+  // What a sweep would do now, without doing it
+  async function report() {
+    const where = expiredWhere(policy);
+    const purgeBefore = new Date(Date.now() - policy.purgeDays * DAY_MS);
+    const [expired, purgeable] = await Promise.all([
+      where ? prisma.job.findMany({ where, select: { id: true, headline: true, status: true, createdAt: true }, orderBy: { createdAt: 'asc' } }) : [],
+      prisma.job.count({ where: { deletedAt: { lt: purgeBefore } } }),
+    ]);
+    const byJob = await filesByJob(storage);
+    let files = 0;
+    let bytes = 0;
+    for (const job of expired) {
+      for (const f of byJob.get(job.id) || []) {
+        files++;
+        bytes += f.bytes;
+      }
+    }
+    const { sweepMs, dryRun, ...rules } = policy;
+    return {
+      policy: { ...rules, enabled: Boolean(where), sweepMs, dryRun },
+      expired: { jobs: expired.length, files, bytes, oldest: expired[0]?.createdAt || null, sample: expired.slice(0, SAMPLE) },
+      purge: { jobs: purgeable, deletedBefore: purgeBefore },
+    };
+  }
+
+  // Delete expired jobs in batches, then drop old soft-deleted rows. With `dryRun` only reports.
+  async function sweep({ dryRun = false } = {}) {
+    if (dryRun) return { dryRun: true, ...(await report()) };
+    const where = expiredWhere(policy);
+    let jobs = 0;
+    let files = 0;
+    let bytes = 0;
+    // storage is listed once per sweep: expired jobs are finished, so no new files of theirs appear
+    // meanwhile, and the files of jobs deleted so far are never looked up again
+    const byJob = where ? await filesByJob(storage) : null;
+    while (where) {
+      const batch = await prisma.job.findMany({ where, select: { id: true }, take: BATCH });
+      for (const { id } of batch) {
+        const done = await deleteJob(id, byJob.get(id) || []);
+        if (!done) continue;
+        jobs++;
+        files += done.files;
+        bytes += done.bytes;
+      }
+      if (batch.length < BATCH) break;
+    }
+    const { count: purged } = await prisma.job.deleteMany({
+      where: { deletedAt: { lt: new Date(Date.now() - policy.purgeDays * DAY_MS) } },
+    });
+    return { dryRun: false, deleted: { jobs, files, bytes }, purged };
+  }
+
+  function start() {
+    const run = () => sweep({ dryRun: policy.dryRun })
+      .then((result) => {
+        if (result.dryRun) console.log('Retention dry run:', JSON.stringify({ expired: { ...result.expired, sample: undefined }, purge: result.purge }));
+        else if (result.deleted.jobs || result.purged) console.log('Retention sweep:', JSON.stringify(result));
+      })
+      .catch((e) => console.error('Retention sweep failed', e));
+    setTimeout(run, 60 * 1000).unref(); // first sweep soon after start, not a whole interval later
+    const timer = setInterval(run, policy.sweepMs);
+    timer.unref();
+    return timer;
+  }
+
+  return { deleteJob, report, sweep, start };
+}
@@ -0,0 +1,35 @@
+// Optional editorial review: a rendered card that requires approval stops at AWAITING_APPROVAL
+// until an editor approves (APPROVED) or rejects (REJECTED) it.
+
+// Default for jobs that don't say whether they need approval
+export const REVIEW_REQUIRED = process.env.REVIEW_REQUIRED === '1';
+
+// Every JobStatus, in lifecycle order (keep in sync with prisma/schema.prisma)
+export const JOB_STATUSES = ['PENDING', 'PROCESSING', 'DONE', 'ERROR', 'AWAITING_APPROVAL', 'APPROVED', 'REJECTED'];
+
+// Statuses the worker may report through PUT /jobs/:id; review statuses are set by the review endpoints only
+export const WORKER_STATUSES = ['PENDING', 'PROCESSING', 'DONE', 'ERROR'];
+
+const MAX_COMMENT = 1000;
+
+// Cards that may go out: approved ones, and finished ones that never needed approval
+export const PUBLISHABLE_WHERE = {
+  OR: [{ status: 'APPROVED' }, { status: 'DONE', requiresApproval: false }],
+};
+
+// `requireApproval` of a job request. Returns { value } or { error }.
+export function parseRequireApproval(raw) {
+  if (raw === undefined || raw === null || raw === '') return { value: REVIEW_REQUIRED };
+  if (typeof raw === 'boolean') return { value: raw };
+  if (raw === 'true' || raw === '1') return { value: true };
+  if (raw === 'false' || raw === '0') return { value: false };
+  return { error: 'requireApproval must be a boolean' };
+}
+
+// Editor comment on approve/reject; rejecting needs one. Returns { comment } or { error }.
+export function validateReviewComment(raw, { required = false } = {}) {
+  const comment = raw == null ? '' : String(raw).trim();
+  if (required && !comment) return { error: 'comment is required when rejecting a card' };
+  if (comment.length > MAX_COMMENT) return { error: `comment must be at most ${MAX_COMMENT} characters` };
+  return { comment: comment || null };
+}
@@ -0,0 +1,51 @@
+// Output size presets a job can ask for, plus validation of custom sizes.
+// A job may request one size (`size`) or several (`sizes`); the worker renders one output per size.
+export const SIZE_PRESETS = [
+  { name: 'square', label: 'Square (1080×1080)', width: 1080, height: 1080 },
+  { name: 'portrait', label: 'Portrait (1080×1350)', width: 1080, height: 1350 },
+  { name: 'story', label: 'Story (1080×1920)', width: 1080, height: 1920 },
+  { name: 'landscape', label: 'Landscape (1920×1080)', width: 1920, height: 1080 },
+  { name: 'og', label: 'Link preview / OG (1200×630)', width: 1200, height: 630 },
+];
+
+const MIN_SIDE = 200;
+const MAX_SIDE = Number(process.env.MAX_RENDER_SIDE || 4096);
+const MAX_SIZES_PER_JOB = 6;
+
+// Turn one entry ("story", { preset: 'og' } or { width, height }) into { name, width, height }.
+// Returns { error } instead when the entry is not usable.
+function resolveSize(entry) {
+  const presetName = typeof entry === 'string' ? entry : entry?.preset;
+  if (presetName) {
+    const preset = SIZE_PRESETS.find((p) => p.name === presetName);
+    if (!preset) return { error: `unknown size preset "${presetName}"` };
+    return { name: preset.name, width: preset.width, height: preset.height };
+  }
+  const width = Number(entry?.width);
+  const height = Number(entry?.height);
+  if (!Number.isInteger(width) || !Number.isInteger(height)) {
+    return { error: 'custom sizes need integer width and height' };
+  }
+  if ([width, height].some((v) => v < MIN_SIDE || v > MAX_SIDE)) {
+    return { error: `width and height must be between ${MIN_SIDE} and ${MAX_SIDE}` };
+  }
+  return { name: 'custom', width, height };
+}
+
+// Normalize the `size` / `sizes` fields of a job request.
+// Returns { sizes } (null when none were requested, so the worker default applies) or { error }.
+export function resolveSizes({ size, sizes }) {
+  const requested = sizes != null ? sizes : size != null ? [size] : null;
+  if (requested == null) return { sizes: null };
+  if (!Array.isArray(requested) || !requested.length) return { error: 'sizes must be a non-empty array' };
+  if (requested.length > MAX_SIZES_PER_JOB) return { error: `at most ${MAX_SIZES_PER_JOB} sizes per job` };
+
+  const out = [];
+  for (const entry of requested) {
+    const r = resolveSize(entry);
+    if (r.error) return { error: r.error };
+    // the same dimensions twice would overwrite each other's output file
+    if (!out.some((s) => s.width === r.width && s.height === r.height)) out.push(r);
+  }
+  return { sizes: out };
+}
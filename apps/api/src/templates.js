@@ -0,0 +1,74 @@
+// Card layouts the worker knows how to render (see apps/worker/src/templates).
+// Keep in sync with the worker's built-in registry; templates loaded into the
+// worker from WORKER_TEMPLATES_DIR can be allowed here via EXTRA_TEMPLATE_NAMES.
+import { validateDefinition } from 'photocard-shared/templateSchema.js';
+import { CAROUSEL_TEMPLATE } from './carousels.js';
+
+export const DEFAULT_TEMPLATE = 'default';
+
+const BUILT_IN_TEMPLATES = [
+  { name: 'default', label: 'Glass card' },
+  { name: 'fullbleed', label: 'Full-bleed photo' },
+  { name: 'quote', label: 'Quote card' },
+  { name: 'breaking', label: 'Breaking news' },
+];
+
+const EXTRA_TEMPLATES = String(process.env.EXTRA_TEMPLATE_NAMES || '')
+  .split(',')
+  .map((s) => s.trim())
+  .filter(Boolean)
+  .map((name) => ({ name, label: name }));
+
+export const TEMPLATES = [...BUILT_IN_TEMPLATES, ...EXTRA_TEMPLATES];
+
+export const isKnownTemplate = (name) => TEMPLATES.some((t) => t.name === name);
+
+// Templates made in the portal's editor live in the database (Template, one TemplateVersion per saved
+// definition) and are picked by `templateName` like the layouts above.
+const TEMPLATE_NAME = /^[a-z0-9][a-z0-9-]{1,47}$/;
+const MAX_LABEL = 80;
+
+// Validate the writable fields of a template request body: name, label, definition and (updates only)
+// archived. With `partial` (updates) missing fields are left out instead of required; a name can't be
+// changed, since jobs refer to templates by it. Returns { data, definition } or { error }.
+export function validateTemplateInput(body = {}, { partial = false } = {}) {
+  const data = {};
+  if (!partial) {
+    const name = String(body.name ?? '').trim();
+    if (!TEMPLATE_NAME.test(name)) return { error: 'name must be 2-48 lowercase letters, digits or dashes' };
+    if (isKnownTemplate(name) || name === CAROUSEL_TEMPLATE) return { error: `"${name}" is a built-in template name` };
+    data.name = name;
+  } else if (body.name !== undefined) {
+    return { error: 'a template name cannot be changed' };
+  }
+  if (body.label !== undefined || !partial) {
+    const label = String(body.label ?? '').trim() || data.name;
+    if (!label) return { error: 'label is required' };
+    if (label.length > MAX_LABEL) return { error: `label must be at most ${MAX_LABEL} characters` };
+    data.label = label;
+  }
+  if (partial && body.archived !== undefined) {
+    if (typeof body.archived !== 'boolean') return { error: 'archived must be true or false' };
+    data.archivedAt = body.archived ? new Date() : null;
+  }
+  let definition;
+  if (body.definition !== undefined || !partial) {
+    const checked = validateDefinition(body.definition ?? {});
+    if (checked.error) return { error: checked.error };
+    definition = checked.definition;
+  }
+  return { data, definition };
+}
+
+// A stored template as the API sends it: its latest (or the given) version's definition included
+export const presentTemplate = (template, version) => ({
+  id: template.id,
+  name: template.name,
+  label: template.label,
+  version: version?.version ?? template.version,
+  definition: version?.definition ?? null,
+  archivedAt: template.archivedAt,
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt,
+  stored: true,
+});
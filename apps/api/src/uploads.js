@@ -0,0 +1,34 @@
+// Helpers for user-uploaded images (POST /assets).
+// Uploads are kept in memory by multer, checked by their magic bytes (never trust the
+// client's Content-Type) and then stored under uploads/ next to the rendered cards (storage.js).
+import crypto from 'node:crypto';
+
+export const UPLOAD_MAX_BYTES = Number(process.env.UPLOAD_MAX_BYTES || 10 * 1024 * 1024);
+export const UPLOAD_SUBDIR = 'uploads';
+
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', ext: 'jpg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: 'image/png', ext: 'png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/webp', ext: 'webp', test: (b) => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+  { mimeType: 'image/gif', ext: 'gif', test: (b) => b.toString('ascii', 0, 4) === 'GIF8' },
+];
+
+// Detect the image type from the file's leading bytes; null if it isn't a supported image.
+// SVG is only accepted when asked for (brand logos), since it is markup rather than pixels.
+export function sniffImageType(buf, { allowSvg = false } = {}) {
+  if (!buf || buf.length < 12) return null;
+  const sig = SIGNATURES.find((s) => s.test(buf));
+  if (sig) return { mimeType: sig.mimeType, ext: sig.ext };
+  if (allowSvg && /<svg[\s>]/i.test(buf.toString('utf8', 0, 2048))) return { mimeType: 'image/svg+xml', ext: 'svg' };
+  return null;
+}
+
+// Key of an uploaded file in storage (storage.js)
+export const uploadKey = (fileName) => `${UPLOAD_SUBDIR}/${fileName}`;
+
+// Store an uploaded buffer under uploads/ with a random name; resolves the stored file name.
+export async function storeUpload(storage, buf, { ext, mimeType }) {
+  const fileName = `${crypto.randomBytes(12).toString('hex')}.${ext}`;
+  await storage.put(uploadKey(fileName), buf, { contentType: mimeType });
+  return fileName;
+}
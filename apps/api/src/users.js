@@ -0,0 +1,48 @@
+// Portal users and the teams (newsrooms / desks) they belong to.
+import { ROLES } from './auth.js';
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_TEXT = 120;
+const MIN_PASSWORD = 10;
+
+// What the API shows of a user (never the password hash)
+export const publicUser = ({ passwordHash, ...user }) => user;
+
+// Validate a user request body. With `partial` (updates) missing fields are left out instead of required.
+// The password comes back separately so the caller can hash it. Returns { data, password } or { error }.
+export function validateUserInput(body = {}, { partial = false } = {}) {
+  const data = {};
+  if (body.email !== undefined || !partial) {
+    const email = String(body.email ?? '').trim().toLowerCase();
+    if (!EMAIL.test(email) || email.length > MAX_TEXT) return { error: 'email must be a valid address' };
+    data.email = email;
+  }
+  if (body.name !== undefined || !partial) {
+    const name = String(body.name ?? '').trim();
+    if (!name) return { error: 'name is required' };
+    if (name.length > MAX_TEXT) return { error: `name must be at most ${MAX_TEXT} characters` };
+    data.name = name;
+  }
+  if (body.role !== undefined) {
+    const role = String(body.role).toUpperCase();
+    if (!ROLES.includes(role)) return { error: `role must be one of ${ROLES.join(', ').toLowerCase()}` };
+    data.role = role;
+  }
+  if (body.teamId !== undefined) data.teamId = body.teamId ? String(body.teamId) : null;
+  if (body.disabled !== undefined) data.disabledAt = body.disabled ? new Date() : null;
+
+  let password;
+  if (body.password !== undefined || !partial) {
+    password = String(body.password ?? '');
+    if (password.length < MIN_PASSWORD) return { error: `password must be at least ${MIN_PASSWORD} characters` };
+  }
+  return { data, password };
+}
+
+// Validate a team request body { name }. Returns { data } or { error }.
+export function validateTeamInput(body = {}) {
+  const name = String(body.name ?? '').trim();
+  if (!name) return { error: 'name is required' };
+  if (name.length > MAX_TEXT) return { error: `name must be at most ${MAX_TEXT} characters` };
+  return { data: { name } };
+}
@@ -0,0 +1,189 @@
+// Outgoing webhooks: job status changes POSTed as signed JSON to subscribed URLs.
+//
+// Every event to every matching subscription becomes a WebhookDelivery row, so the log survives
+// restarts. A delivery is tried right away; failures are retried with exponential backoff by a
+// sweep over due PENDING rows until WEBHOOK_MAX_ATTEMPTS is reached (then FAILED).
+//
+// Receivers verify `X-PhotoCard-Signature: t=<unix seconds>,v1=<hex>`, where v1 is
+// HMAC-SHA256(secret, `${t}.${raw body}`) — see verifySignature and scripts/webhook-receiver.js.
+//
+// Deliveries go through safePost: redirects aren't followed and private, loopback… addresses are
+// refused, so a subscription can't be pointed at internal services. Receivers that do live on a
+// private network (or scripts/webhook-receiver.js on localhost) need their host in
+// WEBHOOK_ALLOW_PRIVATE_HOSTS (comma-separated, `.example.internal` matches subdomains).
+import crypto from 'node:crypto';
+import { hostList, safePost } from 'photocard-shared/safeFetch.js';
+
+export const JOB_EVENTS = ['job.pending', 'job.processing', 'job.done', 'job.error', 'job.awaiting_approval', 'job.approved', 'job.rejected'];
+export const TEST_EVENT = 'ping';
+const DEFAULT_EVENTS = ['job.done', 'job.error'];
+
+const MAX_ATTEMPTS = Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6));
+const BACKOFF_MS = Number(process.env.WEBHOOK_BACKOFF_MS || 10000);
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const SWEEP_MS = Number(process.env.WEBHOOK_SWEEP_MS || 15000);
+// a claimed delivery is hidden from other sweeps for this long in case this process dies mid-request
+const LEASE_MS = TIMEOUT_MS + 30000;
+const MAX_RESPONSE_CHARS = 2000;
+const PRIVATE_HOSTS = hostList(process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS);
+
+export const jobEvent = (status) => `job.${String(status).toLowerCase()}`;
+
+export const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const v1 = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${v1}`;
+}
+
+// Check a signature header against the raw body; rejects ones older than `toleranceSec`
+export function verifySignature(secret, body, header, { toleranceSec = 300 } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map((p) => p.split('=')));
+  const t = Number(parts.t);
+  if (!t || !parts.v1 || Math.abs(Date.now() / 1000 - t) > toleranceSec) return false;
+  const expected = Buffer.from(signPayload(secret, body, t).split('v1=')[1], 'hex');
+  const given = Buffer.from(parts.v1, 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// A subscription as the API shows it: the secret is only returned when it is created or rotated
+export const withoutSecret = ({ secret, ...sub }) => ({ ...sub, secretHint: `${secret.slice(0, 10)}…` });
+
+// Validate the writable fields of a webhook request body.
+// With `partial` (updates) missing fields are left out instead of required.
+// Returns { data } ready for prisma, or { error }.
+export function validateWebhookInput(body = {}, { partial = false } = {}) {
+  const data = {};
+  if (body.url !== undefined || !partial) {
+    let u;
+    try {
+      u = new URL(String(body.url ?? ''));
+    } catch {
+      return { error: 'url must be an absolute http(s) URL' };
+    }
+    if (!/^https?:$/.test(u.protocol)) return { error: 'url must be an absolute http(s) URL' };
+    data.url = u.toString();
+  }
+  if (body.events !== undefined || !partial) {
+    const events = body.events == null ? DEFAULT_EVENTS : body.events;
+    if (!Array.isArray(events) || !events.length) return { error: 'events must be a non-empty array' };
+    const unknown = events.find((e) => e !== '*' && !JOB_EVENTS.includes(e));
+    if (unknown) return { error: `unknown event "${unknown}"`, events: ['*', ...JOB_EVENTS] };
+    data.events = [...new Set(events)];
+  }
+  if (body.active !== undefined) data.active = Boolean(body.active);
+  if (body.description !== undefined) {
+    const v = body.description == null ? '' : String(body.description).trim();
+    if (v.length > 200) return { error: 'description must be at most 200 characters' };
+    data.description = v || null;
+  }
+  if (body.secret !== undefined) {
+    const v = String(body.secret ?? '');
+    if (v.length < 16) return { error: 'secret must be at least 16 characters' };
+    data.secret = v;
+  }
+  return { data };
+}
+
+const backoff = (attempts) => Math.min(BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+
+// Delivery engine bound to a prisma client
+export function createWebhookDispatcher(prisma) {
+  // One HTTP attempt for a delivery row; records the outcome and schedules the next try
+  async function attempt(delivery) {
+    const subscription = delivery.subscription
+      || (await prisma.webhookSubscription.findUnique({ where: { id: delivery.subscriptionId } }));
+    const attempts = delivery.attempts + 1;
+    const body = JSON.stringify(delivery.payload);
+    let responseStatus = null;
+    let responseBody = null;
+    let error = null;
+    try {
+      const r = await safePost(subscription.url, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'PhotoCard-Webhooks/1.0',
+          'X-PhotoCard-Event': delivery.event,
+          'X-PhotoCard-Delivery': delivery.id,
+          'X-PhotoCard-Signature': signPayload(subscription.secret, body),
+        },
+        body,
+        maxBytes: MAX_RESPONSE_CHARS * 4,
+        timeoutMs: TIMEOUT_MS,
+        privateHosts: PRIVATE_HOSTS,
+      });
+      responseStatus = r.status;
+      responseBody = r.body.toString('utf8').slice(0, MAX_RESPONSE_CHARS);
+      if (r.status < 200 || r.status >= 300) error = `receiver answered HTTP ${r.status}`;
+    } catch (e) {
+      // refused (BLOCKED_ADDRESS…) or unreachable: nothing of the target's is kept
+      error = e?.code ? `${e.code}: ${e.message}` : e?.message || String(e);
+    }
+
+    const succeeded = !error;
+    const giveUp = !succeeded && attempts >= MAX_ATTEMPTS;
+    return prisma.webhookDelivery.update({
+      where: { id: delivery.id },
+      data: {
+        attempts,
+        responseStatus,
+        responseBody,
+        error,
+        status: succeeded ? 'SUCCEEDED' : giveUp ? 'FAILED' : 'PENDING',
+        deliveredAt: succeeded ? new Date() : null,
+        nextAttemptAt: succeeded || giveUp ? null : new Date(Date.now() + backoff(attempts)),
+      },
+    });
+  }
+
+  // Record a delivery of `payload` to `subscription` and try it once right away
+  async function deliver(subscription, payload) {
+    const delivery = await prisma.webhookDelivery.create({
+      // leased until the first attempt is done, so a sweep doesn't pick it up in parallel
+      data: { subscriptionId: subscription.id, event: payload.event, payload, nextAttemptAt: new Date(Date.now() + LEASE_MS) },
+    });
+    return attempt({ ...delivery, subscription });
+  }
+
+  // `id` is the same for every subscription's copy of an event, so receivers can drop retried duplicates
+  const eventPayload = (event, data) => ({ id: crypto.randomUUID(), event, createdAt: new Date().toISOString(), data });
+
+  // A job changed status: fan out to every active subscription that wants the event
+  async function dispatchJobStatus(job) {
+    const event = jobEvent(job.status);
+    const subscriptions = await prisma.webhookSubscription.findMany({
+      where: { active: true, OR: [{ events: { has: event } }, { events: { has: '*' } }] },
+    });
+    const payload = eventPayload(event, { job });
+    await Promise.all(subscriptions.map((s) => deliver(s, payload).catch((e) => {
+      console.error(`Webhook delivery to ${s.url} could not be recorded`, e);
+    })));
+  }
+
+  const sendTest = (subscription) => deliver(subscription, eventPayload(TEST_EVENT, { message: 'Test event from PhotoCard', subscriptionId: subscription.id }));
+
+  // Retry due deliveries; each is claimed first so parallel sweeps (other API instances) skip it
+  async function sweep() {
+    const due = await prisma.webhookDelivery.findMany({
+      where: { status: 'PENDING', nextAttemptAt: { lte: new Date() } },
+      orderBy: { nextAttemptAt: 'asc' },
+      take: 50,
+    });
+    for (const d of due) {
+      const { count } = await prisma.webhookDelivery.updateMany({
+        where: { id: d.id, status: 'PENDING', nextAttemptAt: d.nextAttemptAt },
+        data: { nextAttemptAt: new Date(Date.now() + LEASE_MS) },
+      });
+      if (count) await attempt(d).catch((e) => console.error('Webhook retry failed', d.id, e));
+    }
+  }
+
+  function start() {
+    const timer = setInterval(() => sweep().catch((e) => console.error('Webhook sweep failed', e)), SWEEP_MS);
+    timer.unref();
+    return timer;
+  }
+
+  return { dispatchJobStatus, sendTest, start };
+}
@@ -0,0 +1,103 @@
+// ZIP archives of stored files, streamed (GET /jobs/:id/zip). Entries are written as they are read:
+// stored without compression (the images are compressed already), with their CRC and sizes in a data
+// descriptor after the data, so nothing is buffered. No ZIP64, which is plenty for a post's outputs.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (crc, buf) => {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS time and date fields (local time, 2-second resolution)
+const dosTime = (d) => (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2);
+const dosDate = (d) => ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+
+// general purpose flags: sizes in a data descriptor (bit 3), UTF-8 names (bit 11)
+const FLAGS = 0x0808;
+const VERSION = 20;
+
+// Write a ZIP of `entries` ([{ name, body }], body a readable stream or Buffer) to `out`, a writable
+// such as the response, one entry after the other. Rejects when a body fails or `out` closes early;
+// `out` is not ended.
+export async function writeZip(out, entries, { date = new Date() } = {}) {
+  let offset = 0;
+  const write = async (buf) => {
+    offset += buf.length;
+    if (out.write(buf)) return;
+    await new Promise((resolve, reject) => {
+      const done = (err) => {
+        out.off('drain', done);
+        out.off('close', closed);
+        if (err) reject(err);
+        else resolve();
+      };
+      const closed = () => done(new Error('connection closed before the archive was complete'));
+      out.on('drain', done);
+      out.on('close', closed);
+    });
+  };
+
+  const time = dosTime(date);
+  const day = dosDate(date);
+  const central = [];
+  for (const { name, body } of entries) {
+    const fileName = Buffer.from(name, 'utf8');
+    const start = offset;
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(VERSION, 4);
+    local.writeUInt16LE(FLAGS, 6);
+    local.writeUInt16LE(0, 8); // stored
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt16LE(fileName.length, 26); // crc and sizes (14-25) follow the data
+    await write(Buffer.concat([local, fileName]));
+
+    let crc = 0;
+    let size = 0;
+    for await (const chunk of Buffer.isBuffer(body) ? [body] : body) {
+      const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      crc = crc32(crc, buf);
+      size += buf.length;
+      await write(buf);
+    }
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(crc, 4);
+    descriptor.writeUInt32LE(size, 8);
+    descriptor.writeUInt32LE(size, 12);
+    await write(descriptor);
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(VERSION, 4); // made by
+    header.writeUInt16LE(VERSION, 6); // needed
+    header.writeUInt16LE(FLAGS, 8);
+    header.writeUInt16LE(0, 10);
+    header.writeUInt16LE(time, 12);
+    header.writeUInt16LE(day, 14);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(size, 20);
+    header.writeUInt32LE(size, 24);
+    header.writeUInt16LE(fileName.length, 28);
+    header.writeUInt32LE(start, 42);
+    central.push(header, fileName);
+  }
+
+  const directory = Buffer.concat(central);
+  const directoryStart = offset;
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(directoryStart, 16);
+  await write(Buffer.concat([directory, end]));
+}
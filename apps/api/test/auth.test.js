@@ -0,0 +1,128 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ROLE_SCOPES, canManageJob, createAuth, generateKey, hasScope, hashKey, hashPassword, redactUrl, verifyPassword,
+} from '../src/auth.js';
+
+process.env.ADMIN_API_KEY = 'admin-key-for-tests';
+process.env.WORKER_API_KEY = 'worker-key-for-tests';
+
+const request = (headers = {}, { method = 'GET', path = '/jobs', query = {} } = {}) => ({
+  method,
+  path,
+  query,
+  get: (name) => headers[name.toLowerCase()],
+});
+
+const response = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+// Runs the middleware; resolves { req, res, nextCalled }
+async function run(middleware, req) {
+  const res = response();
+  let nextCalled = false;
+  await middleware(req, res, () => {
+    nextCalled = true;
+  });
+  return { req, res, nextCalled };
+}
+
+const { key: storedKey } = generateKey();
+const prisma = {
+  apiKey: {
+    findUnique: async ({ where }) => (where.keyHash === hashKey(storedKey)
+      ? { id: 'key1', name: 'CMS', scopes: ['read'], revokedAt: null, expiresAt: null, lastUsedAt: new Date() }
+      : null),
+    update: async () => ({}),
+  },
+  session: { findUnique: async () => null, update: async () => ({}) },
+};
+const auth = createAuth(prisma);
+
+test('reporters write their own cards, editors manage everyone\'s, admins have every scope', () => {
+  const user = (role) => ({ kind: 'user', id: 'u1', scopes: ROLE_SCOPES[role] });
+  assert.ok(hasScope(user('REPORTER'), 'jobs:write'));
+  assert.ok(!hasScope(user('REPORTER'), 'jobs:manage'));
+  assert.ok(!hasScope(user('REPORTER'), 'review'));
+  assert.ok(hasScope(user('EDITOR'), 'jobs:manage'));
+  assert.ok(!hasScope(user('EDITOR'), 'keys'));
+  assert.ok(hasScope(user('ADMIN'), 'keys'));
+  assert.ok(hasScope(user('ADMIN'), 'worker'));
+
+  const job = { createdById: 'someone-else' };
+  assert.ok(!canManageJob(user('REPORTER'), job));
+  assert.ok(canManageJob(user('REPORTER'), { createdById: 'u1' }));
+  assert.ok(canManageJob(user('EDITOR'), job));
+  assert.ok(canManageJob({ kind: 'key', scopes: ['jobs:write'] }, job));
+});
+
+test('requests without a credential get 401', async () => {
+  const { res, nextCalled } = await run(auth.authenticate, request());
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.code, 'AUTH_REQUIRED');
+});
+
+test('the environment keys authenticate as admin and worker', async () => {
+  const admin = await run(auth.authenticate, request({ authorization: 'Bearer admin-key-for-tests' }));
+  assert.ok(admin.nextCalled);
+  assert.equal(admin.req.auth.kind, 'admin');
+
+  const worker = await run(auth.authenticate, request({ 'x-api-key': 'worker-key-for-tests' }));
+  assert.ok(worker.nextCalled);
+  assert.equal(worker.req.auth.kind, 'service');
+  assert.ok(hasScope(worker.req.auth, 'worker'));
+  assert.ok(!hasScope(worker.req.auth, 'jobs:write'));
+});
+
+test('stored API keys are looked up by hash; unknown keys get 401', async () => {
+  const ok = await run(auth.authenticate, request({ authorization: `Bearer ${storedKey}` }));
+  assert.ok(ok.nextCalled);
+  assert.deepEqual(ok.req.auth, { kind: 'key', id: 'key1', name: 'CMS', scopes: ['read'] });
+
+  const bad = await run(auth.authenticate, request({ authorization: 'Bearer pc_nope_nope' }));
+  assert.equal(bad.nextCalled, false);
+  assert.equal(bad.res.statusCode, 401);
+  assert.equal(bad.res.body.code, 'AUTH_INVALID');
+});
+
+test('?access_token= is only accepted on event streams', async () => {
+  const query = { access_token: 'admin-key-for-tests' };
+  const stream = await run(auth.authenticate, request({}, { path: '/jobs/events', query }));
+  assert.ok(stream.nextCalled);
+  const list = await run(auth.authenticate, request({}, { path: '/jobs', query }));
+  assert.equal(list.res.statusCode, 401);
+});
+
+test('requireScope answers 403 without the scope', async () => {
+  const denied = await run(auth.requireScope('jobs:write'), { auth: { kind: 'key', scopes: ['read'] } });
+  assert.equal(denied.nextCalled, false);
+  assert.equal(denied.res.statusCode, 403);
+  assert.equal(denied.res.body.code, 'AUTH_FORBIDDEN');
+
+  const allowed = await run(auth.requireScope('read'), { auth: { kind: 'key', scopes: ['read'] } });
+  assert.ok(allowed.nextCalled);
+});
+
+test('passwords verify against their scrypt hash only', async () => {
+  const stored = await hashPassword('correct horse');
+  assert.ok(await verifyPassword('correct horse', stored));
+  assert.ok(!(await verifyPassword('wrong', stored)));
+  assert.ok(!(await verifyPassword('correct horse', 'plain')));
+});
+
+test('redactUrl keeps stream credentials out of access logs', () => {
+  assert.equal(redactUrl('/jobs/events?access_token=ps_secret'), '/jobs/events?access_token=[redacted]');
+  assert.equal(redactUrl('/jobs/events?ids=a,b&access_token=pc_x_y&z=1'), '/jobs/events?ids=a,b&access_token=[redacted]&z=1');
+  assert.equal(redactUrl('/jobs?limit=10'), '/jobs?limit=10');
+});
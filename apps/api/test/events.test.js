@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+import { publishJob, streamJobs } from '../src/events.js';
+import { ROLE_SCOPES, canFollowJob, followableWhere } from '../src/auth.js';
+
+// An open stream whose `job` events are collected; close() ends it like a disconnecting browser
+function open(options) {
+  const req = new EventEmitter();
+  const chunks = [];
+  const res = { set() {}, flushHeaders() {}, write: (chunk) => chunks.push(chunk) };
+  streamJobs(req, res, options);
+  return {
+    jobs: () => chunks.filter((c) => c.startsWith('event: job')).map((c) => JSON.parse(c.split('data: ')[1])),
+    close: () => req.emit('close'),
+  };
+}
+
+const job = (id, createdById, teamId) => ({ id, createdById, teamId, updatedAt: new Date().toISOString() });
+const reporter = { kind: 'user', id: 'u1', teamId: 't1', scopes: ROLE_SCOPES.REPORTER };
+
+test('a reporter follows their own and their team\'s jobs only', () => {
+  assert.ok(canFollowJob(reporter, job('a', 'u1', null)));
+  assert.ok(canFollowJob(reporter, job('b', 'u2', 't1')));
+  assert.ok(!canFollowJob(reporter, job('c', 'u3', 't2')));
+  assert.ok(!canFollowJob({ ...reporter, teamId: null }, job('d', 'u3', null)));
+});
+
+test('editors, admins, API keys and the worker follow every job', () => {
+  const other = job('c', 'u3', 't2');
+  assert.ok(canFollowJob({ kind: 'user', id: 'e1', scopes: ROLE_SCOPES.EDITOR }, other));
+  assert.ok(canFollowJob({ kind: 'user', id: 'a1', scopes: ROLE_SCOPES.ADMIN }, other));
+  assert.ok(canFollowJob({ kind: 'admin', scopes: ['*'] }, other));
+  assert.ok(canFollowJob({ kind: 'service', scopes: ['worker', 'read'] }, other));
+  assert.ok(canFollowJob({ kind: 'key', scopes: ['read'] }, other));
+});
+
+test('a stream carries the initial jobs, then the published changes its filter picks', () => {
+  const stream = open({ filter: (j) => canFollowJob(reporter, j), initial: [job('mine', 'u1', 't1')] });
+  publishJob(job('team', 'u2', 't1'));
+  publishJob(job('other', 'u3', 't2'));
+  publishJob(null);
+  stream.close();
+  publishJob(job('after-close', 'u1', 't1'));
+  assert.deepEqual(stream.jobs().map((j) => j.id), ['mine', 'team']);
+});
+
+test('the job list applies the same rule as the streams', () => {
+  // followableWhere evaluated against a job the way the database would
+  const matches = (where, j) => !where || where.OR.some((c) => Object.entries(c).every(([k, v]) => j[k] === v));
+  const jobs = [job('a', 'u1', null), job('b', 'u2', 't1'), job('c', 'u3', 't2'), job('d', null, null)];
+  const principals = [
+    reporter,
+    { ...reporter, teamId: null },
+    { kind: 'user', id: 'e1', scopes: ROLE_SCOPES.EDITOR },
+    { kind: 'key', scopes: ['read'] },
+    { kind: 'service', scopes: ['worker', 'read'] },
+  ];
+  for (const p of principals) {
+    for (const j of jobs) assert.equal(matches(followableWhere(p), j), canFollowJob(p, j), `${p.kind}/${p.id} ${j.id}`);
+  }
+});
+
+test('a single-job stream of a job the caller can follow carries only that job', () => {
+  const mine = job('mine', 'u1', null);
+  assert.ok(canFollowJob(reporter, mine));
+  // GET /jobs/:id/events answers 404 for jobs the caller can't follow
+  assert.ok(!canFollowJob(reporter, job('other', 'u3', 't2')));
+  const stream = open({ filter: (j) => j.id === mine.id, initial: [mine] });
+  publishJob(job('other', 'u1', null));
+  publishJob({ ...mine, status: 'DONE' });
+  stream.close();
+  assert.deepEqual(stream.jobs().map((j) => [j.id, j.status]), [['mine', undefined], ['mine', 'DONE']]);
+});
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, parseJobListQuery } from '../src/jobQuery.js';
+import { ROLE_SCOPES } from '../src/auth.js';
+
+const user = { kind: 'user', id: 'u1', teamId: 't1', scopes: ROLE_SCOPES.EDITOR };
+const reporter = { ...user, scopes: ROLE_SCOPES.REPORTER };
+const clauses = (query, options) => parseJobListQuery(query, options).where.AND;
+
+test('defaults to the first page of live jobs', () => {
+  assert.deepEqual(parseJobListQuery({}), { where: { AND: [{ deletedAt: null }] }, take: DEFAULT_PAGE_SIZE, cursor: null });
+});
+
+test('limit is capped and must be a positive integer', () => {
+  assert.equal(parseJobListQuery({ limit: '5' }).take, 5);
+  assert.equal(parseJobListQuery({ limit: '5000' }).take, MAX_PAGE_SIZE);
+  for (const limit of ['0', '-1', '2.5', 'ten']) assert.ok(parseJobListQuery({ limit }).error, limit);
+});
+
+test('status takes a comma-separated list and rejects unknown values', () => {
+  assert.deepEqual(clauses({ status: 'done, error' })[1], { status: { in: ['DONE', 'ERROR'] } });
+  assert.match(parseJobListQuery({ status: 'DONE,LOST' }).error, /LOST/);
+});
+
+test('createdBy=me and team=mine resolve against the signed-in user', () => {
+  assert.deepEqual(clauses({ createdBy: 'me', team: 'mine' }, { principal: user }).slice(1), [{ createdById: 'u1' }, { teamId: 't1' }]);
+  assert.deepEqual(clauses({ createdBy: 'u2' }, { principal: user })[1], { createdById: 'u2' });
+  assert.ok(parseJobListQuery({ createdBy: 'me' }, { principal: { kind: 'key', id: 'k1' } }).error);
+  assert.ok(parseJobListQuery({ team: 'mine' }, { principal: { kind: 'user', id: 'u1', teamId: null } }).error);
+});
+
+test('reporters only list their own and their team\'s jobs, whatever the filters', () => {
+  const visible = { OR: [{ createdById: 'u1' }, { teamId: 't1' }] };
+  assert.deepEqual(clauses({}, { principal: reporter }), [{ deletedAt: null }, visible]);
+  assert.deepEqual(clauses({ createdBy: 'u2' }, { principal: reporter }).slice(1), [{ createdById: 'u2' }, visible]);
+  assert.deepEqual(clauses({}, { principal: { ...reporter, teamId: null } })[1], { OR: [{ createdById: 'u1' }] });
+  assert.equal(clauses({}, { principal: user }).length, 1);
+  assert.equal(clauses({}, { principal: { kind: 'key', id: 'k1', scopes: ['read'] } }).length, 1);
+});
+
+test('a bare date in `to` covers the whole day', () => {
+  const [, { createdAt }] = clauses({ from: '2024-10-05', to: '2024-10-05' });
+  assert.equal(createdAt.gte.toISOString(), '2024-10-05T00:00:00.000Z');
+  assert.equal(createdAt.lte.toISOString(), '2024-10-05T23:59:59.999Z');
+  assert.ok(parseJobListQuery({ from: 'yesterday' }).error);
+});
+
+test('every search term has to match the headline or subheadline, NFC-normalized', () => {
+  const terms = clauses({ q: '  ঢাকা  বৃষ্টি ' }).slice(1);
+  assert.equal(terms.length, 2);
+  assert.deepEqual(terms[0].OR[0], { headline: { contains: 'ঢাকা', mode: 'insensitive' } });
+  // the single character য় (U+09DF) and য + nukta are one spelling after NFC
+  const [letter] = clauses({ q: '\u09df' }).slice(1);
+  assert.equal(letter.OR[0].headline.contains, '\u09af\u09bc');
+});
+
+test('the cursor is passed through', () => {
+  assert.equal(parseJobListQuery({ cursor: 'cjob123' }).cursor, 'cjob123');
+});
+
+test('a cursor that is not a job id is a 400, not a prisma error', () => {
+  assert.match(parseJobListQuery({ cursor: "x' OR 1=1" }).error, /cursor/);
+  assert.match(parseJobListQuery({ cursor: 'a'.repeat(65) }).error, /cursor/);
+  assert.equal(parseJobListQuery({ cursor: '' }).cursor, null);
+});
@@ -0,0 +1,20 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter } from '../src/rateLimit.js';
+
+test('counts requests per key within the window', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 0 });
+  const take = createRateLimiter({ limit: 2, windowMs: 10000 });
+  assert.deepEqual(take('a'), { ok: true, limit: 2, remaining: 1, retryAfter: 10 });
+  assert.equal(take('a').ok, true);
+  const third = take('a');
+  assert.equal(third.ok, false);
+  assert.equal(third.remaining, 0);
+  // other keys have their own window
+  assert.equal(take('b').ok, true);
+
+  t.mock.timers.tick(7500);
+  assert.equal(take('a').retryAfter, 3);
+  t.mock.timers.tick(2500);
+  assert.deepEqual(take('a'), { ok: true, limit: 2, remaining: 1, retryAfter: 10 });
+});
@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+// retention.js needs the generated Prisma client (for Prisma.DbNull); `prisma generate` makes it
+const generated = fs.existsSync(new URL('../node_modules/.prisma/client/index.js', import.meta.url));
+const skip = !generated && 'the Prisma client is not generated (npm run prisma:generate)';
+const load = () => import('../src/retention.js');
+
+// Storage holding `keys` (1 KB each) that counts its listings
+function fakeStorage(keys) {
+  const files = new Map(keys.map((key) => [key, 1024]));
+  return {
+    lists: 0,
+    files,
+    async list(prefix = '') {
+      this.lists++;
+      return [...files].filter(([key]) => key.startsWith(prefix)).map(([key, bytes]) => ({ key, bytes }));
+    },
+    async remove(keys) {
+      for (const key of keys) files.delete(key);
+    },
+  };
+}
+
+// Jobs by id; findMany pages through the ones not deleted yet, like the sweep's query would
+function fakePrisma(ids) {
+  const jobs = new Map(ids.map((id) => [id, { id, deletedAt: null }]));
+  return {
+    jobs,
+    job: {
+      findMany: async ({ take }) => [...jobs.values()].filter((j) => !j.deletedAt).slice(0, take).map(({ id }) => ({ id })),
+      updateMany: async ({ where, data }) => {
+        const job = jobs.get(where.id);
+        if (!job || job.deletedAt) return { count: 0 };
+        Object.assign(job, data);
+        return { count: 1 };
+      },
+      findUnique: async ({ where }) => jobs.get(where.id),
+      deleteMany: async () => ({ count: 0 }),
+      count: async () => 0,
+    },
+  };
+}
+
+test('a job\'s files are the keys starting with its id, and nothing else', { skip }, async () => {
+  const { jobFiles, purgeJobFiles } = await load();
+  const storage = fakeStorage(['cjob1.png', 'cjob1-1080x1350.png', 'cjob1-s01.jpg', 'cjob10.png', 'uploads/cjob1.png']);
+  assert.deepEqual((await jobFiles(storage, 'cjob1')).map((f) => f.key), ['cjob1.png', 'cjob1-1080x1350.png', 'cjob1-s01.jpg']);
+  assert.deepEqual(await purgeJobFiles(storage, 'cjob1'), { files: 3, bytes: 3072 });
+  assert.deepEqual([...storage.files.keys()], ['cjob10.png', 'uploads/cjob1.png']);
+});
+
+test('a sweep deletes every expired job in batches and lists storage once', { skip }, async () => {
+  const { createRetention } = await load();
+  const ids = Array.from({ length: 450 }, (_, i) => `cjob${String(i).padStart(3, '0')}`);
+  const storage = fakeStorage([...ids.map((id) => `${id}.png`), 'cjob000-s01.png', 'uploads/keep.png']);
+  const prisma = fakePrisma(ids);
+  const deleted = [];
+  const retention = createRetention(prisma, {
+    storage,
+    onDeleted: (job) => deleted.push(job.id),
+    policy: { days: 30, failedDays: 0, purgeDays: 30, sweepMs: 1000, dryRun: false },
+  });
+
+  const result = await retention.sweep();
+  assert.deepEqual(result.deleted, { jobs: 450, files: 451, bytes: 451 * 1024 });
+  assert.equal(deleted.length, 450);
+  assert.equal(storage.lists, 1);
+  assert.deepEqual([...storage.files.keys()], ['uploads/keep.png']);
+  assert.ok([...prisma.jobs.values()].every((j) => j.deletedAt instanceof Date && j.outputKey === null));
+});
+
+test('a policy that keeps everything deletes nothing', { skip }, async () => {
+  const { createRetention } = await load();
+  const storage = fakeStorage(['cjob1.png']);
+  const retention = createRetention(fakePrisma(['cjob1']), {
+    storage,
+    policy: { days: 0, failedDays: 0, purgeDays: 30, sweepMs: 1000, dryRun: false },
+  });
+  assert.deepEqual((await retention.sweep()).deleted, { jobs: 0, files: 0, bytes: 0 });
+  assert.equal(storage.lists, 0);
+});
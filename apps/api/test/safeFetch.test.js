@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { checkUrl, isBlockedAddress, safeFetch, sniffContentType } from 'photocard-shared/safeFetch.js';
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(32)]);
+
+// A local server: /png, /html, /big, /redirect?to=<url>
+let server;
+let base;
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname === '/png') return res.end(PNG);
+    if (url.pathname === '/html') return res.end('<!doctype html><p>not an image</p>');
+    if (url.pathname === '/big') return res.end(Buffer.concat([PNG, Buffer.alloc(4096)]));
+    if (url.pathname === '/redirect') {
+      res.writeHead(302, { Location: url.searchParams.get('to') });
+      return res.end();
+    }
+    res.writeHead(404).end();
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  base = `http://localhost:${server.address().port}`;
+});
+test.after(() => server.close());
+
+const refused = (code) => (e) => e.name === 'SafeFetchError' && e.code === code;
+
+test('private, loopback and reserved addresses are blocked in every IPv6 spelling', () => {
+  for (const a of [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '::7f00:1', '::a9fe:a9fe', '64:ff9b::7f00:1',
+  ]) assert.ok(isBlockedAddress(a), a);
+  for (const a of ['8.8.8.8', '1.1.1.1', '::ffff:8.8.8.8', '2606:4700:4700::1111']) assert.ok(!isBlockedAddress(a), a);
+  assert.ok(isBlockedAddress('not-an-ip'));
+});
+
+test('checkUrl refuses other protocols, credentials and literal private hosts', () => {
+  assert.throws(() => checkUrl('nonsense'), refused('INVALID_URL'));
+  assert.throws(() => checkUrl('file:///etc/passwd'), refused('UNSUPPORTED_PROTOCOL'));
+  assert.throws(() => checkUrl('http://user:pw@example.com/a.png'), refused('INVALID_URL'));
+  for (const u of ['http://127.0.0.1/', 'http://[::1]/', 'http://[::127.0.0.1]/', 'http://[::7f00:1]/', 'http://[::ffff:127.0.0.1]/']) {
+    assert.throws(() => checkUrl(u), refused('BLOCKED_ADDRESS'), u);
+  }
+  assert.equal(checkUrl('https://example.com/a.png').hostname, 'example.com');
+});
+
+test('hosts resolving to private addresses are refused when connecting', async () => {
+  await assert.rejects(safeFetch(`${base}/png`), refused('BLOCKED_ADDRESS'));
+});
+
+test('allowPrivate fetches our own services and sniffs the body', async () => {
+  const r = await safeFetch(`${base}/png`, { allowPrivate: true });
+  assert.equal(r.status, 200);
+  assert.equal(r.contentType, 'image/png');
+  assert.equal(r.ext, 'png');
+  assert.deepEqual(r.body, PNG);
+});
+
+test('allowPrivate does not extend to redirects to another origin', async () => {
+  const elsewhere = `http://127.0.0.1:${server.address().port}/png`;
+  await assert.rejects(safeFetch(`${base}/redirect?to=${encodeURIComponent(elsewhere)}`, { allowPrivate: true }), refused('BLOCKED_ADDRESS'));
+  const r = await safeFetch(`${base}/redirect?to=/png`, { allowPrivate: true });
+  assert.equal(r.contentType, 'image/png');
+});
+
+test('bodies that are not images or are too large are refused', async () => {
+  await assert.rejects(safeFetch(`${base}/html`, { allowPrivate: true }), refused('UNSUPPORTED_TYPE'));
+  await assert.rejects(safeFetch(`${base}/big`, { allowPrivate: true, maxBytes: 1024 }), refused('TOO_LARGE'));
+  await assert.rejects(safeFetch(`${base}/missing`, { allowPrivate: true }), refused('UPSTREAM_STATUS'));
+});
+
+test('content types come from the bytes, not the server', () => {
+  assert.equal(sniffContentType(PNG).mimeType, 'image/png');
+  assert.equal(sniffContentType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>')).mimeType, 'image/svg+xml');
+  assert.equal(sniffContentType(Buffer.from('<!doctype html><html></html>')), null);
+});
@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createStorage } from 'photocard-shared/storage.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const local = createStorage({ STATIC_OUTPUT_DIR: dir, PUBLIC_OUTPUT_BASE_URL: 'https://cards.example/output' });
+const s3 = createStorage({
+  STORAGE_DRIVER: 's3', S3_BUCKET: 'cards', S3_ENDPOINT: 'http://minio:9000', S3_PREFIX: 'prod',
+  S3_PUBLIC_BASE_URL: 'https://cdn.example',
+});
+
+test('keyFromUrl undoes url()', async () => {
+  for (const storage of [local, s3]) {
+    const key = 'uploads/খবর #1.png';
+    assert.equal(storage.keyFromUrl(await storage.url(key)), key);
+  }
+});
+
+test('keyFromUrl ignores URLs outside the storage', () => {
+  assert.equal(local.keyFromUrl('https://elsewhere.example/output/a.png'), null);
+  assert.equal(s3.keyFromUrl('https://minio:9000/other-bucket/prod/a.png'), null);
+});
+
+test('a malformed escape is not a storage key', () => {
+  assert.equal(local.keyFromUrl('https://cards.example/output/%E0%A4'), null);
+  assert.equal(s3.keyFromUrl('https://cdn.example/prod/%E0%A4.png'), null);
+  assert.equal(s3.keyFromUrl('http://minio:9000/cards/prod/%E0%A4.png'), null);
+});
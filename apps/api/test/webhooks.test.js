@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+// read when webhooks.js is loaded
+process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'localhost';
+const { createWebhookDispatcher, verifySignature } = await import('../src/webhooks.js');
+
+const SECRET = 'whsec_0123456789abcdef';
+
+// A local receiver: /hook records the request, /redirect sends it on to /hook
+const received = [];
+let server;
+let port;
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      if (req.url === '/redirect') {
+        res.writeHead(307, { Location: '/hook' });
+        return res.end();
+      }
+      received.push({ headers: req.headers, body });
+      res.end('ok');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, 'localhost', resolve));
+  port = server.address().port;
+});
+test.after(() => server.close());
+
+// prisma stand-in: the delivery row as the dispatcher last wrote it
+const prisma = {
+  webhookDelivery: {
+    create: async ({ data }) => ({ id: 'd1', attempts: 0, ...data }),
+    update: async ({ data }) => data,
+  },
+};
+const send = (url) => createWebhookDispatcher(prisma).sendTest({ id: 's1', url, secret: SECRET });
+
+test('a delivery to an allowed private host is signed and recorded', async () => {
+  received.length = 0;
+  const d = await send(`http://localhost:${port}/hook`);
+  assert.equal(d.status, 'SUCCEEDED');
+  assert.equal(d.responseBody, 'ok');
+  assert.equal(received.length, 1);
+  assert.ok(verifySignature(SECRET, received[0].body, received[0].headers['x-photocard-signature']));
+  assert.equal(JSON.parse(received[0].body).event, 'ping');
+});
+
+test('private addresses not on WEBHOOK_ALLOW_PRIVATE_HOSTS are refused', async () => {
+  received.length = 0;
+  for (const url of [`http://127.0.0.1:${port}/hook`, 'http://169.254.169.254/latest/meta-data/']) {
+    const d = await send(url);
+    assert.equal(d.status, 'PENDING');
+    assert.match(d.error, /^BLOCKED_ADDRESS/);
+    assert.equal(d.responseStatus, null);
+    assert.equal(d.responseBody, null);
+  }
+  assert.equal(received.length, 0);
+});
+
+test('redirects are not followed', async () => {
+  received.length = 0;
+  const d = await send(`http://localhost:${port}/redirect`);
+  assert.equal(d.responseStatus, 307);
+  assert.equal(d.error, 'receiver answered HTTP 307');
+  assert.equal(received.length, 0);
+});
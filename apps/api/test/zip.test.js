@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable, Writable } from 'node:stream';
+import zlib from 'node:zlib';
+import { writeZip } from '../src/zip.js';
+
+// A writable that keeps everything written to it
+function sink() {
+  const chunks = [];
+  const out = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    },
+  });
+  out.bytes = () => Buffer.concat(chunks);
+  return out;
+}
+
+// Read an archive back through its central directory: [{ name, crc, size, data }]
+function readZip(buf) {
+  const end = buf.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  assert.ok(end >= 0, 'end of central directory record');
+  const count = buf.readUInt16LE(end + 10);
+  let at = buf.readUInt32LE(end + 16);
+  assert.equal(at + buf.readUInt32LE(end + 12), end, 'the directory ends where the end record starts');
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.equal(buf.readUInt32LE(at), 0x02014b50);
+    const crc = buf.readUInt32LE(at + 16);
+    const size = buf.readUInt32LE(at + 24);
+    const nameLength = buf.readUInt16LE(at + 28);
+    const local = buf.readUInt32LE(at + 42);
+    const name = buf.toString('utf8', at + 46, at + 46 + nameLength);
+    assert.equal(buf.readUInt32LE(local), 0x04034b50);
+    assert.equal(buf.readUInt16LE(local + 8), 0, 'stored');
+    const dataStart = local + 30 + buf.readUInt16LE(local + 26);
+    const data = buf.subarray(dataStart, dataStart + size);
+    assert.equal(buf.readUInt32LE(dataStart + size), 0x08074b50, 'data descriptor follows the data');
+    assert.equal(buf.readUInt32LE(dataStart + size + 4), crc);
+    entries.push({ name, crc, size, data });
+    at += 46 + nameLength;
+  }
+  return entries;
+}
+
+test('writes buffers and streams as stored entries with correct CRCs', async () => {
+  const out = sink();
+  const png = Buffer.from('\x89PNG not really an image, but bytes all the same');
+  await writeZip(out, [
+    { name: 'slide-01-1080x1080.png', body: png },
+    { name: 'slide-02-1080x1080.png', body: Readable.from([Buffer.from('first chunk, '), 'second chunk']) },
+    { name: 'স্লাইড-০৩.png', body: Buffer.alloc(0) },
+  ], { date: new Date(2024, 9, 5, 12, 30, 10) });
+
+  const entries = readZip(out.bytes());
+  assert.deepEqual(entries.map((e) => e.name), ['slide-01-1080x1080.png', 'slide-02-1080x1080.png', 'স্লাইড-০৩.png']);
+  assert.deepEqual(entries[0].data, png);
+  assert.equal(entries[1].data.toString(), 'first chunk, second chunk');
+  assert.equal(entries[2].size, 0);
+  for (const e of entries) assert.equal(e.crc, zlib.crc32(e.data), e.name);
+});
+
+test('an empty list is a valid empty archive', async () => {
+  const out = sink();
+  await writeZip(out, []);
+  assert.equal(out.bytes().length, 22);
+  assert.deepEqual(readZip(out.bytes()), []);
+});
+
+test('rejects when a body fails', async () => {
+  const failing = new Readable({
+    read() {
+      this.destroy(new Error('file vanished'));
+    },
+  });
+  await assert.rejects(writeZip(sink(), [{ name: 'a.png', body: failing }]), /file vanished/);
+});
+
+test('rejects when the connection closes while waiting to write', async () => {
+  // never finishes a write, so the archive waits for 'drain' until the client goes away
+  const out = new Writable({ highWaterMark: 1, write() {} });
+  const zip = writeZip(out, [{ name: 'a.png', body: Buffer.alloc(64) }]);
+  setImmediate(() => out.destroy());
+  await assert.rejects(zip, /closed before the archive was complete/);
+});
@@ -0,0 +1,141 @@
+import { useEffect, useMemo, useState } from "react";
+import { resolveApiBase } from "../lib/apiBase";
+import { AuthContext, SIGNED_OUT_EVENT, authFetch, getApiKey, setApiKey, signOut } from "../lib/auth";
+
+const ROLE_LABELS = { REPORTER: "Reporter", EDITOR: "Editor", ADMIN: "Admin" };
+
+/**
+ * Shows a sign-in form until credentials are stored, then the page with the signed-in user
+ * available through useAuth(). Users sign in with email + password (POST /auth/login);
+ * integrations and admins can paste an API key instead. Credentials are checked with
+ * GET /auth/me before they are kept; a 401 anywhere later (see authFetch) brings the form back.
+ */
+export default function AuthGate({ children }) {
+  const API_BASE = useMemo(() => resolveApiBase(), []);
+  const [me, setMe] = useState(null);
+  const [checking, setChecking] = useState(true);
+  const [useKey, setUseKey] = useState(false);
+  const [draft, setDraft] = useState({ email: "", password: "", apiKey: "" });
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const whoIs = async (token) => {
+    const r = await fetch(`${API_BASE}/auth/me`, { headers: { Authorization: `Bearer ${token}` } });
+    if (!r.ok) {
+      const body = await r.json().catch(() => ({}));
+      throw new Error(body.error || "Sign-in failed");
+    }
+    return r.json();
+  };
+
+  useEffect(() => {
+    const onSignedOut = () => setMe(null);
+    window.addEventListener(SIGNED_OUT_EVENT, onSignedOut);
+    const token = getApiKey();
+    if (token) {
+      whoIs(token)
+        .then(setMe)
+        .catch(() => signOut())
+        .finally(() => setChecking(false));
+    } else {
+      setChecking(false);
+    }
+    return () => window.removeEventListener(SIGNED_OUT_EVENT, onSignedOut);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [API_BASE]);
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setBusy(true);
+    try {
+      let token = draft.apiKey.trim();
+      if (!useKey) {
+        const r = await fetch(`${API_BASE}/auth/login`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ email: draft.email, password: draft.password }),
+        });
+        const body = await r.json().catch(() => ({}));
+        if (!r.ok) throw new Error(body.error || "Sign-in failed");
+        token = body.token;
+      }
+      if (!token) return;
+      const who = await whoIs(token);
+      setApiKey(token);
+      setDraft({ email: "", password: "", apiKey: "" });
+      setMe(who);
+    } catch (err) {
+      setError(err.message || "Sign-in failed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const onSignOut = async () => {
+    await authFetch(`${API_BASE}/auth/logout`, { method: "POST" }).catch(() => {});
+    signOut();
+  };
+
+  if (checking) return null;
+
+  const field = (name, label, props = {}) => (
+    <label className="block">
+      <span className="block text-sm font-medium mb-1">{label}</span>
+      <input
+        value={draft[name]}
+        onChange={(e) => setDraft((d) => ({ ...d, [name]: e.target.value }))}
+        className="w-full rounded-lg border px-3 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+        {...props}
+      />
+    </label>
+  );
+
+  if (!me) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gradient-to-b from-gray-50 to-white px-4">
+        <form onSubmit={onSubmit} className="w-full max-w-sm bg-white border rounded-2xl shadow p-6 space-y-4">
+          <h1 className="text-xl font-extrabold tracking-tight text-center">📸 PhotoCard sign-in</h1>
+          {useKey ? (
+            field("apiKey", "API key", { type: "password", placeholder: "pc_…", autoComplete: "off" })
+          ) : (
+            <>
+              {field("email", "Email", { type: "email", autoComplete: "username" })}
+              {field("password", "Password", { type: "password", autoComplete: "current-password" })}
+            </>
+          )}
+          {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+          <button
+            type="submit"
+            disabled={busy}
+            className="w-full px-5 py-2.5 rounded-xl bg-red-600 text-white font-semibold shadow hover:bg-red-700 disabled:opacity-60"
+          >
+            Sign in
+          </button>
+          <button
+            type="button"
+            onClick={() => { setUseKey((v) => !v); setError(""); }}
+            className="w-full text-xs text-gray-500 hover:text-gray-800"
+          >
+            {useKey ? "Sign in with email and password" : "Use an API key instead"}
+          </button>
+        </form>
+      </div>
+    );
+  }
+
+  return (
+    <AuthContext.Provider value={me}>
+      <div className="flex justify-end items-center gap-3 px-4 pt-3 text-xs text-gray-500">
+        <span>
+          Signed in as <span className="font-semibold text-gray-700">{me.name}</span>
+          {me.role && ` · ${ROLE_LABELS[me.role] || me.role}`}
+        </span>
+        <button onClick={onSignOut} className="px-2 py-1 rounded-md border bg-white hover:bg-gray-50 text-gray-700">
+          Sign out
+        </button>
+      </div>
+      {children}
+    </AuthContext.Provider>
+  );
+}
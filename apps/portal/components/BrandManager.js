@@ -0,0 +1,149 @@
+import { useState } from "react";
+import { authFetch } from "../lib/auth";
+
+const EMPTY = { name: "", primaryColor: "", accentColor: "", ctaText: "", footerText: "" };
+
+/**
+ * Create / edit / delete brand profiles (GET/POST/PUT/DELETE /brands) and upload their logos
+ * (POST /brands/:id/logo). `brands` is owned by the page; `onChanged` asks it to reload them.
+ */
+export default function BrandManager({ apiBase, brands, onChanged }) {
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState(EMPTY);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const startEdit = (brand) => {
+    setEditingId(brand?.id || null);
+    setDraft(brand ? {
+      name: brand.name || "",
+      primaryColor: brand.primaryColor || "",
+      accentColor: brand.accentColor || "",
+      ctaText: brand.ctaText || "",
+      footerText: brand.footerText || "",
+    } : EMPTY);
+    setError("");
+  };
+
+  const call = async (url, options) => {
+    setBusy(true);
+    setError("");
+    try {
+      const r = await authFetch(url, options);
+      const j = r.status === 204 ? {} : await r.json().catch(() => ({}));
+      if (!r.ok) throw new Error(j.error || "Request failed");
+      await onChanged();
+      return j;
+    } catch (e) {
+      setError(e.message || "Request failed");
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const onSave = async (e) => {
+    e.preventDefault();
+    const saved = await call(editingId ? `${apiBase}/brands/${editingId}` : `${apiBase}/brands`, {
+      method: editingId ? "PUT" : "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(draft),
+    });
+    if (saved) startEdit(saved);
+  };
+
+  const onDelete = async (brand) => {
+    if (!window.confirm(`Delete brand "${brand.name}"? Existing cards keep their images.`)) return;
+    const ok = await call(`${apiBase}/brands/${brand.id}`, { method: "DELETE" });
+    if (ok && editingId === brand.id) startEdit(null);
+  };
+
+  const onLogo = async (file) => {
+    if (!file || !editingId) return;
+    const body = new FormData();
+    body.append("file", file, file.name);
+    await call(`${apiBase}/brands/${editingId}/logo`, { method: "POST", body });
+  };
+
+  const field = (name, label, props = {}) => (
+    <label className="block">
+      <span className="block text-xs font-medium text-gray-600 mb-1">{label}</span>
+      <input
+        value={draft[name]}
+        onChange={(e) => setDraft((d) => ({ ...d, [name]: e.target.value }))}
+        className="w-full rounded-lg border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-red-500"
+        {...props}
+      />
+    </label>
+  );
+
+  const current = brands.find((b) => b.id === editingId);
+
+  return (
+    <div className="bg-white border rounded-2xl shadow p-6 grid grid-cols-1 md:grid-cols-3 gap-6">
+      <div className="space-y-2">
+        <div className="flex items-center justify-between">
+          <h2 className="font-bold">Brands</h2>
+          <button type="button" onClick={() => startEdit(null)} className="text-xs px-2 py-1 rounded-md bg-gray-100 hover:bg-gray-200">
+            + New
+          </button>
+        </div>
+        {brands.length === 0 && <div className="text-sm text-gray-500">No brands yet.</div>}
+        {brands.map((b) => (
+          <div
+            key={b.id}
+            className={`flex items-center gap-2 rounded-lg border px-2 py-1.5 ${editingId === b.id ? "border-red-300 bg-red-50" : ""}`}
+          >
+            {b.logoUrl ? (
+              // eslint-disable-next-line @next/next/no-img-element
+              <img src={b.logoUrl} alt="" className="w-8 h-8 object-contain rounded bg-gray-800" />
+            ) : (
+              <span className="w-8 h-8 rounded" style={{ background: b.primaryColor || "#e5e7eb" }} />
+            )}
+            <button type="button" onClick={() => startEdit(b)} className="flex-1 text-left text-sm font-medium truncate">
+              {b.name}
+            </button>
+            <button type="button" onClick={() => onDelete(b)} className="text-xs text-red-600 hover:underline">
+              Delete
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <form onSubmit={onSave} className="md:col-span-2 space-y-3">
+        <h3 className="font-semibold text-sm">{editingId ? `Edit “${current?.name || ""}”` : "New brand"}</h3>
+        {field("name", "Name", { placeholder: "Dhaka Heralds" })}
+        <div className="grid grid-cols-2 gap-3">
+          {field("primaryColor", "Primary color", { placeholder: "#dc2626" })}
+          {field("accentColor", "Accent color", { placeholder: "#f59e0b" })}
+        </div>
+        <div className="grid grid-cols-2 gap-3">
+          {field("ctaText", "CTA text", { placeholder: "Read More" })}
+          {field("footerText", "Footer text", { placeholder: "dhakaheralds.com" })}
+        </div>
+        {editingId && (
+          <label className="block">
+            <span className="block text-xs font-medium text-gray-600 mb-1">Logo (PNG, JPEG, WebP or SVG)</span>
+            <input
+              type="file"
+              accept="image/png,image/jpeg,image/webp,image/svg+xml"
+              onChange={(e) => {
+                onLogo(e.target.files?.[0]);
+                e.target.value = "";
+              }}
+              className="text-sm"
+            />
+          </label>
+        )}
+        {error && <div className="text-sm text-red-600">{error}</div>}
+        <button
+          type="submit"
+          disabled={busy || !draft.name.trim()}
+          className="px-4 py-2 rounded-xl bg-gray-900 text-white text-sm font-semibold disabled:opacity-60"
+        >
+          {editingId ? "Save brand" : "Create brand"}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,119 @@
+import { useEffect, useRef, useState } from "react";
+import { cardHtml, hasPreview, slideHtml } from "../lib/cardTemplates";
+import { bulletLines, slideType } from "./CarouselEditor";
+
+/**
+ * Live preview of the card being written, built in the browser by the worker's own template code
+ * (lib/cardTemplates.js) and shown scaled down in a sandboxed iframe. It follows the form as the user
+ * types or pastes image URLs. The bundled card fonts and the default logo are worker-only, so
+ * system fonts and the brand name stand in for them here. `templates` is the GET /templates list, for
+ * the definitions of templates made in the editor. A carousel (form.kind) shows slide `slide` (index).
+ */
+export default function CardPreview({ form, brand, sizes, templates, slide = 0 }) {
+  const [active, setActive] = useState(0);
+  const [html, setHtml] = useState("");
+  const [boxWidth, setBoxWidth] = useState(0);
+  const box = useRef(null);
+  const size = sizes[Math.min(active, sizes.length - 1)] || { width: 1080, height: 1080 };
+
+  useEffect(() => {
+    const el = box.current;
+    if (!el || typeof ResizeObserver === "undefined") return undefined;
+    const observer = new ResizeObserver(([entry]) => setBoxWidth(entry.contentRect.width));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  // Rebuild shortly after the last keystroke rather than on every one
+  const carousel = form.kind === "carousel";
+  const slideIndex = Math.min(slide, form.slides.length - 1);
+
+  useEffect(() => {
+    const t = setTimeout(() => {
+      const ctx = {
+        headline: form.headline,
+        subheadline: form.subheadline,
+        sourceCredit: form.sourceCredit,
+        photoCredit: form.photoCredit,
+        ctaText: form.ctaText,
+        cardDate: form.cardDate || undefined,
+        locale: form.locale,
+        // uploaded images win over URLs, as in the worker
+        backgroundUrl: form.backgroundAsset?.url || form.backgroundUrl || null,
+        newsImageUrl: form.newsImageAsset?.url || form.newsImageUrl || null,
+        // the worker picks a focal point for images without one; the preview keeps them centred
+        newsImageCrop: form.newsImageCrop,
+        backgroundCrop: form.backgroundCrop,
+        logoPath: brand?.logoUrl || null,
+        logoIsSvg: brand?.logoAsset?.mimeType === "image/svg+xml",
+        brand: brand || null,
+        width: size.width,
+        height: size.height,
+      };
+      if (!carousel) {
+        setHtml(cardHtml(form.templateName, ctx, templates));
+        return;
+      }
+      const s = form.slides[slideIndex];
+      const count = form.slides.length;
+      const type = slideType(slideIndex, count);
+      setHtml(slideHtml({
+        ...ctx,
+        slide: {
+          type, title: s.title, subheadline: s.subheadline, bullets: type === "bullets" ? bulletLines(s) : [], text: s.text,
+          number: slideIndex + 1, count,
+        },
+        newsImageUrl: s.imageAsset?.url || s.imageUrl || null,
+        newsImageCrop: s.imageCrop,
+      }));
+    }, 150);
+    return () => clearTimeout(t);
+  }, [form, brand, size.width, size.height, templates, carousel, slideIndex]);
+
+  const scale = boxWidth ? boxWidth / size.width : 0;
+
+  return (
+    <div className="bg-white border rounded-2xl shadow p-4 space-y-3">
+      <div className="flex items-center justify-between gap-2">
+        <h2 className="text-sm font-semibold text-gray-700">
+          Preview{carousel && ` · slide ${slideIndex + 1} of ${form.slides.length}`}
+        </h2>
+        <span className="text-xs text-gray-500">{size.width}×{size.height}</span>
+      </div>
+      {sizes.length > 1 && (
+        <div className="flex flex-wrap gap-1">
+          {sizes.map((s, i) => (
+            <button
+              key={`${s.width}x${s.height}`}
+              type="button"
+              onClick={() => setActive(i)}
+              className={`px-2 py-1 rounded-md border text-xs ${
+                i === Math.min(active, sizes.length - 1) ? "bg-red-600 text-white border-red-600" : "bg-white hover:bg-gray-50"
+              }`}
+            >
+              {s.label || `${s.width}×${s.height}`}
+            </button>
+          ))}
+        </div>
+      )}
+      <div ref={box} className="w-full overflow-hidden rounded-lg bg-gray-100" style={{ height: scale ? size.height * scale : undefined }}>
+        {scale > 0 && (
+          <iframe
+            title="Card preview"
+            srcDoc={html}
+            sandbox="allow-scripts"
+            width={size.width}
+            height={size.height}
+            style={{ border: 0, transform: `scale(${scale})`, transformOrigin: "top left" }}
+          />
+        )}
+      </div>
+      {!carousel && !hasPreview(form.templateName, templates) && (
+        <p className="text-xs text-amber-700">
+          This template is only known to the worker; the preview shows the default layout.
+        </p>
+      )}
+      <p className="text-xs text-gray-500">Fonts and line breaks may differ slightly from the rendered card.</p>
+    </div>
+  );
+}
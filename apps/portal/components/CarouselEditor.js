@@ -0,0 +1,175 @@
+import ImageInput from "./ImageInput";
+
+// Same limits and slide order as the API (apps/api/src/carousels.js)
+export const MIN_SLIDES = 3;
+export const MAX_SLIDES = 10;
+const MAX_BULLETS = 6;
+
+const TYPE_LABELS = { cover: "Cover", bullets: "Bullets", closing: "Closing" };
+
+export const slideType = (index, count) => (index === 0 ? "cover" : index === count - 1 ? "closing" : "bullets");
+
+// A slide as the form keeps it: bullets are the lines of a textarea, the image a URL or an upload
+export const emptySlide = () => ({
+  title: "", subheadline: "", bullets: "", text: "", imageUrl: "", imageAsset: null, imageCrop: null,
+});
+
+export const bulletLines = (slide) => slide.bullets.split("\n").map((b) => b.trim()).filter(Boolean);
+
+// The form's slides in POST /jobs shape
+export const slidesPayload = (slides) => slides.map((s, i) => ({
+  title: s.title,
+  subheadline: s.subheadline,
+  bullets: slideType(i, slides.length) === "bullets" ? bulletLines(s) : [],
+  text: s.text,
+  imageUrl: s.imageUrl,
+  imageAssetId: s.imageAsset?.id,
+  imageCrop: s.imageCrop,
+}));
+
+// What's missing before the carousel can be sent, or ""
+export const slidesProblem = (slides) => {
+  for (const [i, s] of slides.entries()) {
+    if (!s.title.trim()) return `Slide ${i + 1} needs a title.`;
+    if (slideType(i, slides.length) === "bullets") {
+      const n = bulletLines(s).length;
+      if (!n || n > MAX_BULLETS) return `Slide ${i + 1} needs 1 to ${MAX_BULLETS} bullets.`;
+    }
+  }
+  return "";
+};
+
+/**
+ * Slide editor of a carousel job: a cover, 1–8 bullet slides and a closing slide, each with its own
+ * title, text and image. Slides are added before the closing slide and can be moved or removed; a
+ * slide's kind follows from its place. `slides` is owned by the page and every change goes through
+ * `onChange(nextSlides)`; `active` is the slide being edited (also the one the preview shows).
+ */
+export default function CarouselEditor({ slides, onChange, active, onSelect, apiBase }) {
+  const index = Math.min(active, slides.length - 1);
+  const slide = slides[index];
+  const type = slideType(index, slides.length);
+
+  const update = (patch) => onChange(slides.map((s, i) => (i === index ? { ...s, ...patch } : s)));
+  const move = (by) => {
+    const next = [...slides];
+    [next[index], next[index + by]] = [next[index + by], next[index]];
+    onChange(next);
+    onSelect(index + by);
+  };
+  const add = () => {
+    const at = slides.length - 1; // before the closing slide
+    onChange([...slides.slice(0, at), emptySlide(), ...slides.slice(at)]);
+    onSelect(at);
+  };
+  const remove = () => {
+    onChange(slides.filter((_, i) => i !== index));
+    onSelect(Math.max(0, index - 1));
+  };
+
+  const inputClass = "w-full rounded-lg border px-3 py-2 focus:outline-none focus:ring-2 focus:ring-red-500";
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        {slides.map((s, i) => (
+          <button
+            key={i}
+            type="button"
+            onClick={() => onSelect(i)}
+            className={`px-3 py-1.5 rounded-lg border text-sm ${
+              i === index ? "bg-red-600 text-white border-red-600" : "bg-white hover:bg-gray-50"
+            }`}
+            title={s.title || undefined}
+          >
+            {i + 1} · {TYPE_LABELS[slideType(i, slides.length)]}
+          </button>
+        ))}
+        <button
+          type="button"
+          onClick={add}
+          disabled={slides.length >= MAX_SLIDES}
+          className="px-3 py-1.5 rounded-lg border border-dashed text-sm text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+        >
+          + Slide
+        </button>
+      </div>
+
+      <div className="rounded-xl border bg-gray-50 p-4 space-y-3">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <h3 className="text-sm font-semibold">
+            Slide {index + 1} of {slides.length} · {TYPE_LABELS[type]}
+          </h3>
+          <div className="flex gap-1 text-xs">
+            <button type="button" onClick={() => move(-1)} disabled={index === 0} className="px-2 py-1 rounded-md bg-white border hover:bg-gray-100 disabled:opacity-50">
+              ← Move
+            </button>
+            <button type="button" onClick={() => move(1)} disabled={index === slides.length - 1} className="px-2 py-1 rounded-md bg-white border hover:bg-gray-100 disabled:opacity-50">
+              Move →
+            </button>
+            <button
+              type="button"
+              onClick={remove}
+              disabled={slides.length <= MIN_SLIDES}
+              className="px-2 py-1 rounded-md bg-white border border-red-200 text-red-700 hover:bg-red-50 disabled:opacity-50"
+            >
+              Remove
+            </button>
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium mb-1">Title</label>
+          <input
+            value={slide.title}
+            onChange={(e) => update({ title: e.target.value })}
+            placeholder={type === "cover" ? "The carousel's headline" : "Slide title"}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium mb-1">Kicker</label>
+          <input
+            value={slide.subheadline}
+            onChange={(e) => update({ subheadline: e.target.value })}
+            placeholder="Optional line above the title"
+            className={inputClass}
+          />
+        </div>
+        {type === "bullets" && (
+          <div>
+            <label className="block text-sm font-medium mb-1">Bullets (one per line, up to {MAX_BULLETS})</label>
+            <textarea
+              value={slide.bullets}
+              onChange={(e) => update({ bullets: e.target.value })}
+              rows={4}
+              className={inputClass}
+            />
+          </div>
+        )}
+        <div>
+          <label className="block text-sm font-medium mb-1">Text</label>
+          <textarea
+            value={slide.text}
+            onChange={(e) => update({ text: e.target.value })}
+            rows={2}
+            placeholder={type === "closing" ? "e.g. Read the full story on our site" : "Optional"}
+            className={inputClass}
+          />
+        </div>
+        <ImageInput
+          key={index}
+          label="Slide image"
+          name={`slide-${index}-image`}
+          url={slide.imageUrl}
+          asset={slide.imageAsset}
+          apiBase={apiBase}
+          onUrlChange={(e) => update({ imageUrl: e.target.value, imageCrop: null })}
+          onAssetChange={(asset) => update({ imageAsset: asset, imageCrop: null })}
+          crop={slide.imageCrop}
+          onCropChange={(crop) => update({ imageCrop: crop })}
+        />
+      </div>
+    </div>
+  );
+}
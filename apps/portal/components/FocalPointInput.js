@@ -0,0 +1,88 @@
+import { useRef } from "react";
+
+const MAX_ZOOM = 4;
+const clamp = (n, min, max) => Math.min(Math.max(n, min), max);
+const round = (n) => Math.round(n * 10) / 10;
+
+/**
+ * Focal point and zoom of one image (the job's newsImageCrop / backgroundCrop): click or drag on the
+ * thumbnail to set the point to keep in view, and zoom in around it. The dashed frame is the part of
+ * the image the card will use at that zoom. `value` is { x, y, zoom } (percent of the image) or null,
+ * which leaves the choice to the worker's automatic crop.
+ */
+export default function FocalPointInput({ src, value, onChange }) {
+  const frame = useRef(null);
+  const zoom = value?.zoom || 1;
+
+  const pointAt = (e) => {
+    const rect = frame.current.getBoundingClientRect();
+    return {
+      x: round(clamp(((e.clientX - rect.left) / rect.width) * 100, 0, 100)),
+      y: round(clamp(((e.clientY - rect.top) / rect.height) * 100, 0, 100)),
+    };
+  };
+
+  const onPointerDown = (e) => {
+    e.preventDefault();
+    const move = (ev) => onChange({ zoom, ...pointAt(ev) });
+    const up = () => {
+      window.removeEventListener("pointermove", move);
+      window.removeEventListener("pointerup", up);
+    };
+    move(e);
+    window.addEventListener("pointermove", move);
+    window.addEventListener("pointerup", up);
+  };
+
+  // the kept part of the image at this zoom, placed like the worker's cropStyle
+  const view = 100 / zoom;
+  const start = (p) => clamp(p - view / 2, 0, 100 - view);
+
+  return (
+    <div className="mt-2 flex items-start gap-3">
+      <div
+        ref={frame}
+        onPointerDown={onPointerDown}
+        className="relative inline-block shrink-0 cursor-crosshair select-none touch-none overflow-hidden rounded-md border bg-gray-100"
+        title="Click or drag to set the focal point"
+      >
+        {/* eslint-disable-next-line @next/next/no-img-element */}
+        <img src={src} alt="" draggable={false} className="block max-h-32 max-w-[12rem]" />
+        {value && (
+          <>
+            {zoom > 1 && (
+              <span
+                className="absolute border-2 border-dashed border-white/90 shadow-[0_0_0_999px_rgba(0,0,0,0.35)]"
+                style={{ left: `${start(value.x)}%`, top: `${start(value.y)}%`, width: `${view}%`, height: `${view}%` }}
+              />
+            )}
+            <span
+              className="absolute h-4 w-4 -translate-x-1/2 -translate-y-1/2 rounded-full border-2 border-white bg-red-600 shadow"
+              style={{ left: `${value.x}%`, top: `${value.y}%` }}
+            />
+          </>
+        )}
+      </div>
+      <div className="flex-1 space-y-2 text-xs text-gray-600">
+        <div>{value ? `Focal point ${value.x}% × ${value.y}%` : "Automatic focal point (picked when the card renders)"}</div>
+        <label className="block">
+          <span className="block mb-1">Zoom {zoom.toFixed(1)}×</span>
+          <input
+            type="range"
+            min="1"
+            max={MAX_ZOOM}
+            step="0.1"
+            value={zoom}
+            onChange={(e) => onChange({ x: value?.x ?? 50, y: value?.y ?? 50, zoom: Number(e.target.value) })}
+            className="w-full accent-red-600"
+          />
+        </label>
+        {value && (
+          <button type="button" onClick={() => onChange(null)} className="px-2 py-1 rounded-md bg-gray-100 hover:bg-gray-200">
+            Automatic
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
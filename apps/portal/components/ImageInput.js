@@ -0,0 +1,114 @@
+import { useRef, useState } from "react";
+import { authFetch } from "../lib/auth";
+import FocalPointInput from "./FocalPointInput";
+
+/**
+ * Image field that takes either a URL or an uploaded file.
+ *
+ * Files can be dropped on the zone, picked with the file dialog or pasted from the
+ * clipboard (focus the zone or the URL box and press Ctrl/Cmd+V). They are sent to
+ * POST /assets right away; the returned asset is handed to `onAssetChange` so the
+ * job can reference it by id. An uploaded asset takes precedence over the URL.
+ * With `onCropChange`, the chosen image gets a focal point / zoom control (`crop`, see FocalPointInput).
+ */
+export default function ImageInput({ label, name, url, asset, apiBase, onUrlChange, onAssetChange, crop, onCropChange }) {
+  const [dragOver, setDragOver] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState("");
+  const fileInput = useRef(null);
+
+  const uploadFile = async (file) => {
+    if (!file) return;
+    if (!file.type.startsWith("image/")) {
+      setError("Only image files can be uploaded.");
+      return;
+    }
+    setError("");
+    setUploading(true);
+    try {
+      const body = new FormData();
+      body.append("file", file, file.name || "pasted-image");
+      const r = await authFetch(`${apiBase}/assets`, { method: "POST", body });
+      const j = await r.json().catch(() => ({}));
+      if (!r.ok) throw new Error(j.error || "Upload failed");
+      onAssetChange(j);
+    } catch (e) {
+      setError(e.message || "Upload failed");
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const onDrop = (e) => {
+    e.preventDefault();
+    setDragOver(false);
+    uploadFile(e.dataTransfer?.files?.[0]);
+  };
+
+  // Only hijack paste when the clipboard holds an image, so pasting a URL still works
+  const onPaste = (e) => {
+    const item = [...(e.clipboardData?.items || [])].find((i) => i.kind === "file" && i.type.startsWith("image/"));
+    if (!item) return;
+    e.preventDefault();
+    uploadFile(item.getAsFile());
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium mb-1">{label}</label>
+      {asset ? (
+        <div className="flex items-center gap-3 rounded-lg border px-3 py-2 bg-gray-50">
+          {/* eslint-disable-next-line @next/next/no-img-element */}
+          <img src={asset.url} alt="" className="w-10 h-10 object-cover rounded" />
+          <span className="text-sm truncate flex-1">{asset.originalName || "Uploaded image"}</span>
+          <button type="button" onClick={() => onAssetChange(null)} className="text-xs px-2 py-1 rounded-md bg-gray-200 hover:bg-gray-300">
+            Remove
+          </button>
+        </div>
+      ) : (
+        <>
+          <input
+            name={name}
+            value={url}
+            onChange={onUrlChange}
+            onPaste={onPaste}
+            placeholder="https://…"
+            className="w-full rounded-lg border px-3 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+          />
+          <div
+            tabIndex={0}
+            role="button"
+            onClick={() => fileInput.current?.click()}
+            onKeyDown={(e) => (e.key === "Enter" || e.key === " ") && fileInput.current?.click()}
+            onPaste={onPaste}
+            onDragOver={(e) => {
+              e.preventDefault();
+              setDragOver(true);
+            }}
+            onDragLeave={() => setDragOver(false)}
+            onDrop={onDrop}
+            className={`mt-2 rounded-lg border-2 border-dashed px-3 py-3 text-center text-xs cursor-pointer focus:outline-none focus:ring-2 focus:ring-red-500 ${
+              dragOver ? "border-red-400 bg-red-50 text-red-700" : "border-gray-300 text-gray-500 hover:bg-gray-50"
+            }`}
+          >
+            {uploading ? "Uploading…" : "…or drop / paste an image, or click to choose"}
+          </div>
+          <input
+            ref={fileInput}
+            type="file"
+            accept="image/jpeg,image/png,image/webp,image/gif"
+            className="hidden"
+            onChange={(e) => {
+              uploadFile(e.target.files?.[0]);
+              e.target.value = "";
+            }}
+          />
+        </>
+      )}
+      {onCropChange && (asset?.url || /^https?:\/\//.test(url || "")) && (
+        <FocalPointInput src={asset?.url || url} value={crop} onChange={onCropChange} />
+      )}
+      {error && <div className="mt-1 text-xs text-red-600">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+import { useEffect, useState } from "react";
+import { authFetch } from "../lib/auth";
+
+/**
+ * Editor's review queue: rendered cards in AWAITING_APPROVAL (GET /jobs?status=AWAITING_APPROVAL),
+ * approved via POST /jobs/:id/approve or rejected with a comment via POST /jobs/:id/reject.
+ * `onReviewed(job)` hands the updated job back to the page.
+ */
+export default function ReviewQueue({ apiBase, onReviewed }) {
+  const [jobs, setJobs] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [comments, setComments] = useState({});
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState("");
+
+  const load = async () => {
+    setLoading(true);
+    try {
+      const r = await authFetch(`${apiBase}/jobs?status=AWAITING_APPROVAL&limit=100`);
+      const { jobs: arr } = r.ok ? await r.json() : {};
+      setJobs(Array.isArray(arr) ? arr : []);
+    } catch (_) {
+      setJobs([]);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [apiBase]);
+
+  const review = async (job, action) => {
+    const comment = comments[job.id]?.trim() || "";
+    if (action === "reject" && !comment) {
+      setError("Write a comment saying why the card is rejected.");
+      return;
+    }
+    setBusyId(job.id);
+    setError("");
+    try {
+      const r = await authFetch(`${apiBase}/jobs/${job.id}/${action}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ comment: comment || undefined }),
+      });
+      const j = await r.json().catch(() => ({}));
+      if (!r.ok) throw new Error(j.error || "Review failed");
+      setJobs((prev) => prev.filter((x) => x.id !== job.id));
+      onReviewed?.(j);
+    } catch (e) {
+      setError(e.message || "Review failed");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white border rounded-2xl shadow p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold">Review queue</h2>
+        <button onClick={load} className="text-sm px-3 py-1.5 rounded-lg border bg-white hover:bg-gray-50">
+          Refresh
+        </button>
+      </div>
+      {error && <div className="rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+      {loading ? (
+        <div className="text-sm text-gray-500">Loading…</div>
+      ) : jobs.length === 0 ? (
+        <div className="text-sm text-gray-500">Nothing is waiting for approval.</div>
+      ) : (
+        <ul className="grid grid-cols-1 md:grid-cols-2 gap-5">
+          {jobs.map((job) => (
+            <li key={job.id} className="rounded-xl border p-4 space-y-3 bg-gray-50">
+              {job.outputUrl && job.format !== "pdf" ? (
+                // eslint-disable-next-line @next/next/no-img-element
+                <img src={job.outputUrl} alt={job.headline} className="w-full h-auto rounded-lg border bg-black/5" />
+              ) : job.outputUrl ? (
+                <a href={job.outputUrl} target="_blank" rel="noreferrer" className="block text-sm text-blue-700 underline">
+                  Open PDF
+                </a>
+              ) : null}
+              <div className="font-semibold text-gray-900">{job.headline}</div>
+              <div className="text-xs text-gray-500">
+                {job.createdAt ? new Date(job.createdAt).toLocaleString() : ""} · ID {job.id.slice(0, 8)}
+              </div>
+              <textarea
+                value={comments[job.id] || ""}
+                onChange={(e) => setComments((c) => ({ ...c, [job.id]: e.target.value }))}
+                rows={2}
+                placeholder="Comment (required to reject)"
+                className="w-full rounded-lg border px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-red-500"
+              />
+              <div className="flex gap-2">
+                <button
+                  onClick={() => review(job, "approve")}
+                  disabled={busyId === job.id}
+                  className="px-3 py-1.5 rounded-lg bg-green-600 hover:bg-green-700 text-white text-sm font-semibold disabled:opacity-60"
+                >
+                  Approve
+                </button>
+                <button
+                  onClick={() => review(job, "reject")}
+                  disabled={busyId === job.id}
+                  className="px-3 py-1.5 rounded-lg bg-red-600 hover:bg-red-700 text-white text-sm font-semibold disabled:opacity-60"
+                >
+                  Reject
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
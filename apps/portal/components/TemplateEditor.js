@@ -0,0 +1,273 @@
+import { useEffect, useRef, useState } from "react";
+import { ALIGNS, ELEMENT_LABELS, FONT_WEIGHTS, TEMPLATE_ELEMENTS, renderDefinition } from "../lib/cardTemplates";
+
+// Stand-in pictures for the canvas (gradients, so nothing is fetched)
+const sampleImage = (from, to) => `data:image/svg+xml;utf8,${encodeURIComponent(
+  `<svg xmlns="http://www.w3.org/2000/svg" width="800" height="600"><defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="${from}"/><stop offset="1" stop-color="${to}"/></linearGradient></defs><rect width="800" height="600" fill="url(#g)"/></svg>`,
+)}`;
+const SAMPLE_BACKGROUND = sampleImage("#64748b", "#0f172a");
+const SAMPLE_NEWS_IMAGE = sampleImage("#f59e0b", "#b91c1c");
+
+// Style fields per element, besides the box (see templateSchema.js for their ranges)
+const STYLE_FIELDS = {
+  logo: [],
+  date: ["fontSize", "weight", "align", "color", "background", "radius"],
+  cta: ["fontSize", "weight", "align", "color", "background", "radius"],
+  headline: ["fontSize", "minFontSize", "lines", "weight", "align", "color", "background", "radius"],
+  newsImage: ["radius", "borderWidth", "borderColor"],
+};
+const FIELD_LABELS = {
+  x: "Left %", y: "Top %", w: "Width %", h: "Height %",
+  fontSize: "Font size", minFontSize: "Smallest size", lines: "Max lines", weight: "Weight", align: "Align",
+  color: "Text color", background: "Background", radius: "Corner radius", borderWidth: "Border", borderColor: "Border color",
+  dim: "Darken (0–0.9)", blur: "Blur",
+};
+const CHOICES = { align: ALIGNS, weight: FONT_WEIGHTS };
+const COLOR_FIELDS = ["color", "background", "borderColor"];
+
+const inputClass = "w-full rounded-lg border px-2 py-1.5 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-red-500";
+const round = (n) => Math.round(n * 10) / 10;
+
+// A color as the definition stores it: hex, the brand's $primary / $accent, or "" for none
+function ColorField({ label, value, onChange }) {
+  const mode = value === "$primary" || value === "$accent" || value === "" ? value : "custom";
+  return (
+    <label className="block">
+      <span className="block text-xs font-medium text-gray-600 mb-1">{label}</span>
+      <div className="flex gap-1">
+        <select
+          value={mode}
+          onChange={(e) => onChange(e.target.value === "custom" ? "#ffffff" : e.target.value)}
+          className={inputClass}
+        >
+          <option value="custom">Custom</option>
+          <option value="$primary">Brand primary</option>
+          <option value="$accent">Brand accent</option>
+          <option value="">None</option>
+        </select>
+        {mode === "custom" && (
+          <>
+            <input
+              type="color"
+              value={/^#[0-9a-f]{6}/i.test(value) ? value.slice(0, 7) : "#000000"}
+              // keep the alpha of #rrggbbaa values
+              onChange={(e) => onChange(e.target.value + (value.length === 9 ? value.slice(7) : ""))}
+              className="h-9 w-10 shrink-0 rounded border"
+            />
+            <input value={value} onChange={(e) => onChange(e.target.value)} className={`${inputClass} font-mono`} />
+          </>
+        )}
+      </div>
+    </label>
+  );
+}
+
+/**
+ * Canvas for a template definition (see templateSchema.js): the card as the worker would render it,
+ * with every element's box drawn over it to drag (move) or pull by its corner (resize), and a panel
+ * for the selected element's position and style. `definition` is owned by the page; every change
+ * goes through `onChange(nextDefinition)`. Drags only update the overlay and commit when released.
+ */
+export default function TemplateEditor({ definition, onChange, size, brand, headline }) {
+  const [selected, setSelected] = useState("headline");
+  const [drag, setDrag] = useState(null); // { name, box } while a box is being moved or resized
+  const [html, setHtml] = useState("");
+  const [boxWidth, setBoxWidth] = useState(0);
+  const canvas = useRef(null);
+
+  useEffect(() => {
+    const el = canvas.current;
+    if (!el || typeof ResizeObserver === "undefined") return undefined;
+    const observer = new ResizeObserver(([entry]) => setBoxWidth(entry.contentRect.width));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  useEffect(() => {
+    const t = setTimeout(() => {
+      setHtml(renderDefinition(definition, {
+        headline: headline || "Headline of the card goes here, long enough to wrap onto a second line",
+        subheadline: "",
+        backgroundUrl: SAMPLE_BACKGROUND,
+        newsImageUrl: SAMPLE_NEWS_IMAGE,
+        logoPath: brand?.logoUrl || null,
+        logoIsSvg: brand?.logoAsset?.mimeType === "image/svg+xml",
+        brand: brand || null,
+        width: size.width,
+        height: size.height,
+      }));
+    }, 100);
+    return () => clearTimeout(t);
+  }, [definition, brand, headline, size.width, size.height]);
+
+  const scale = boxWidth ? boxWidth / size.width : 0;
+
+  const setElement = (name, patch) => onChange({
+    ...definition,
+    elements: { ...definition.elements, [name]: { ...definition.elements[name], ...patch } },
+  });
+  const setBackground = (patch) => onChange({ ...definition, background: { ...definition.background, ...patch } });
+
+  // Move (`mode` "move") or resize ("resize") an element's box with the pointer, in percent of the canvas
+  const startDrag = (e, name, mode) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setSelected(name);
+    const start = { x: e.clientX, y: e.clientY };
+    const from = definition.elements[name];
+    const rect = canvas.current.getBoundingClientRect();
+    let box = { x: from.x, y: from.y, w: from.w, h: from.h };
+    const onMove = (ev) => {
+      const dx = ((ev.clientX - start.x) / rect.width) * 100;
+      const dy = ((ev.clientY - start.y) / rect.height) * 100;
+      box = mode === "move"
+        ? { ...box, x: round(Math.min(Math.max(from.x + dx, 0), 100 - from.w)), y: round(Math.min(Math.max(from.y + dy, 0), 100 - from.h)) }
+        : { ...box, w: round(Math.min(Math.max(from.w + dx, 2), 100 - from.x)), h: round(Math.min(Math.max(from.h + dy, 2), 100 - from.y)) };
+      setDrag({ name, box });
+    };
+    const onUp = () => {
+      window.removeEventListener("pointermove", onMove);
+      window.removeEventListener("pointerup", onUp);
+      setDrag(null);
+      setElement(name, box);
+    };
+    window.addEventListener("pointermove", onMove);
+    window.addEventListener("pointerup", onUp);
+  };
+
+  const el = selected && definition.elements[selected];
+
+  const numberField = (key, value, onValue, props = {}) => (
+    <label key={key} className="block">
+      <span className="block text-xs font-medium text-gray-600 mb-1">{FIELD_LABELS[key] || key}</span>
+      <input
+        type="number"
+        value={value}
+        onChange={(e) => onValue(e.target.value === "" ? "" : Number(e.target.value))}
+        className={inputClass}
+        {...props}
+      />
+    </label>
+  );
+
+  const styleField = (key) => {
+    if (COLOR_FIELDS.includes(key)) {
+      return <ColorField key={key} label={FIELD_LABELS[key]} value={el[key]} onChange={(v) => setElement(selected, { [key]: v })} />;
+    }
+    if (CHOICES[key]) {
+      return (
+        <label key={key} className="block">
+          <span className="block text-xs font-medium text-gray-600 mb-1">{FIELD_LABELS[key]}</span>
+          <select
+            value={el[key]}
+            onChange={(e) => setElement(selected, { [key]: key === "weight" ? Number(e.target.value) : e.target.value })}
+            className={inputClass}
+          >
+            {CHOICES[key].map((c) => <option key={c} value={c}>{c}</option>)}
+          </select>
+        </label>
+      );
+    }
+    return numberField(key, el[key], (v) => setElement(selected, { [key]: v }), { min: 0 });
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-[minmax(0,1fr)_300px] gap-6">
+      <div>
+        <div
+          ref={canvas}
+          className="relative w-full overflow-hidden rounded-lg bg-gray-100 select-none touch-none"
+          style={{ height: scale ? size.height * scale : undefined }}
+          onPointerDown={() => setSelected(null)}
+        >
+          {scale > 0 && (
+            <iframe
+              title="Template canvas"
+              srcDoc={html}
+              sandbox="allow-scripts"
+              width={size.width}
+              height={size.height}
+              className="pointer-events-none"
+              style={{ border: 0, transform: `scale(${scale})`, transformOrigin: "top left" }}
+            />
+          )}
+          {TEMPLATE_ELEMENTS.filter((name) => definition.elements[name].visible).map((name) => {
+            const b = drag?.name === name ? drag.box : definition.elements[name];
+            const active = selected === name;
+            return (
+              <div
+                key={name}
+                onPointerDown={(e) => startDrag(e, name, "move")}
+                className={`absolute cursor-move border-2 ${active ? "border-red-500 bg-red-500/10" : "border-dashed border-white/70 hover:border-red-300"}`}
+                style={{ left: `${b.x}%`, top: `${b.y}%`, width: `${b.w}%`, height: `${b.h}%`, zIndex: active ? 20 : 10 }}
+              >
+                <span className="absolute -top-5 left-0 whitespace-nowrap rounded bg-gray-900/80 px-1 text-[10px] text-white">
+                  {ELEMENT_LABELS[name]}
+                </span>
+                {active && (
+                  <span
+                    onPointerDown={(e) => startDrag(e, name, "resize")}
+                    className="absolute -bottom-1.5 -right-1.5 h-3 w-3 cursor-nwse-resize rounded-sm border border-white bg-red-500"
+                  />
+                )}
+              </div>
+            );
+          })}
+        </div>
+        <p className="mt-2 text-xs text-gray-500">
+          Drag a box to move it, its corner to resize it. Boxes are in percent of the card, so every size uses the same layout.
+        </p>
+      </div>
+
+      <div className="space-y-4">
+        <div className="space-y-1">
+          {TEMPLATE_ELEMENTS.map((name) => (
+            <div
+              key={name}
+              className={`flex items-center gap-2 rounded-lg border px-2 py-1.5 ${selected === name ? "border-red-300 bg-red-50" : ""}`}
+            >
+              <input
+                type="checkbox"
+                checked={definition.elements[name].visible}
+                onChange={(e) => setElement(name, { visible: e.target.checked })}
+                title="Show on the card"
+              />
+              <button type="button" onClick={() => setSelected(name)} className="flex-1 text-left text-sm font-medium">
+                {ELEMENT_LABELS[name]}
+              </button>
+            </div>
+          ))}
+          <button
+            type="button"
+            onClick={() => setSelected(null)}
+            className={`w-full rounded-lg border px-2 py-1.5 text-left text-sm font-medium ${selected ? "" : "border-red-300 bg-red-50"}`}
+          >
+            Background
+          </button>
+        </div>
+
+        {el ? (
+          <div className="space-y-3">
+            <h3 className="font-semibold text-sm">{ELEMENT_LABELS[selected]}</h3>
+            <div className="grid grid-cols-2 gap-2">
+              {["x", "y", "w", "h"].map((key) => numberField(key, el[key], (v) => setElement(selected, { [key]: v }), { min: 0, max: 100, step: 0.1 }))}
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              {STYLE_FIELDS[selected].filter((key) => !COLOR_FIELDS.includes(key)).map(styleField)}
+            </div>
+            {STYLE_FIELDS[selected].filter((key) => COLOR_FIELDS.includes(key)).map(styleField)}
+          </div>
+        ) : (
+          <div className="space-y-3">
+            <h3 className="font-semibold text-sm">Background</h3>
+            <ColorField label="Color (behind the background image)" value={definition.background.color} onChange={(v) => setBackground({ color: v })} />
+            <div className="grid grid-cols-2 gap-2">
+              {numberField("dim", definition.background.dim, (v) => setBackground({ dim: v }), { min: 0, max: 0.9, step: 0.05 })}
+              {numberField("blur", definition.background.blur, (v) => setBackground({ blur: v }), { min: 0, max: 40 })}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+/**
+ * API base for browser fetches, in order:
+ *   1) <meta name="api-base" content="http://localhost:4000"> (client)
+ *   2) window.__APP_API_BASE__ (client)
+ *   3) process.env.NEXT_PUBLIC_API_BASE_URL (server or bundler-inlined)
+ *   4) "" (empty) → same-origin fetch
+ */
+
+// Safe resolver — NEVER directly touch `process.env` at module top-level.
+export function resolveApiBase() {
+  let raw = "";
+  try {
+    // 1) Meta tag on client
+    if (typeof window !== "undefined") {
+      const meta = document.querySelector('meta[name="api-base"]');
+      if (meta && meta.content) raw = meta.content;
+      // 2) Global shim
+      if (!raw && typeof window.__APP_API_BASE__ === "string") raw = window.__APP_API_BASE__;
+    }
+    // 3) Server-side / bundler inline
+    // Guard against ReferenceError: `process` may not exist in some runtimes
+    if (!raw && typeof process !== "undefined" && process?.env?.NEXT_PUBLIC_API_BASE_URL) {
+      raw = process.env.NEXT_PUBLIC_API_BASE_URL;
+    }
+  } catch (_) {}
+  if (typeof raw !== "string") raw = "";
+  return raw.replace(/\/$/, ""); // trim trailing slash
+}
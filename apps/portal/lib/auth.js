@@ -0,0 +1,56 @@
+import { createContext, useContext } from "react";
+
+// API credentials of the signed-in portal user: a session token from POST /auth/login, or an
+// API key. It lives in localStorage and goes out as `Authorization: Bearer <token>` on every API
+// request (EventSource, which can't set headers, gets it as ?access_token= instead).
+
+const STORAGE_KEY = "photocard.apiKey";
+export const SIGNED_OUT_EVENT = "photocard:signed-out";
+
+export const getApiKey = () => {
+  if (typeof window === "undefined") return "";
+  try {
+    return window.localStorage.getItem(STORAGE_KEY) || "";
+  } catch (_) {
+    return "";
+  }
+};
+
+export const setApiKey = (key) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, key);
+  } catch (_) {}
+};
+
+// Who is signed in (GET /auth/me: { kind, name, role?, teamId?, scopes }); provided by AuthGate
+export const AuthContext = createContext(null);
+export const useAuth = () => useContext(AuthContext);
+
+export const hasScope = (me, scope) => Boolean(me?.scopes?.includes("*") || me?.scopes?.includes(scope));
+
+// Mirrors canManageJob on the API: reporters only act on their own cards
+export const canManageJob = (me, job) => me?.kind !== "user" || hasScope(me, "jobs:manage") || job?.createdById === me.id;
+
+export const signOut = () => {
+  try {
+    window.localStorage.removeItem(STORAGE_KEY);
+  } catch (_) {}
+  window.dispatchEvent(new Event(SIGNED_OUT_EVENT));
+};
+
+// fetch() with the stored key; a 401 (key revoked or expired) signs the portal out
+export async function authFetch(url, options = {}) {
+  const key = getApiKey();
+  const headers = new Headers(options.headers || {});
+  if (key) headers.set("Authorization", `Bearer ${key}`);
+  const r = await fetch(url, { ...options, headers });
+  if (r.status === 401 && key) signOut();
+  return r;
+}
+
+// URL for an EventSource stream, carrying the key as a query parameter
+export const streamUrl = (url) => {
+  const key = getApiKey();
+  if (!key) return url;
+  return `${url}${url.includes("?") ? "&" : "?"}access_token=${encodeURIComponent(key)}`;
+};
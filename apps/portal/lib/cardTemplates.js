@@ -0,0 +1,34 @@
+// The worker's card templates (apps/worker/src/templates), imported as they are: the live preview and
+// the template editor build their HTML with the same code that renders the final card, so the two
+// can't drift apart. next.config.js allows the import from outside the portal.
+import { BUILT_IN_TEMPLATES, DEFAULT_TEMPLATE } from "../../worker/src/templates/builtin.js";
+import { definitionTemplate } from "../../worker/src/templates/definition.js";
+import { validateDefinition } from "photocard-shared/templateSchema.js";
+
+export {
+  ALIGNS, DEFAULT_DEFINITION, ELEMENT_LABELS, FONT_WEIGHTS, TEMPLATE_ELEMENTS, validateDefinition,
+} from "photocard-shared/templateSchema.js";
+export { renderDefinition } from "../../worker/src/templates/definition.js";
+// A carousel slide's HTML (ctx.slide: { type, title, subheadline, bullets, text, number, count })
+export { renderSlide as slideHtml } from "../../worker/src/templates/carousel.js";
+
+// The template `templateName` renders with: a built-in one, or one made in the editor from `templates`
+// (GET /templates; those entries carry their definition). Null when neither knows it.
+function findTemplate(templateName, templates = []) {
+  const builtIn = BUILT_IN_TEMPLATES.find((t) => t.name === templateName);
+  if (builtIn) return builtIn;
+  const stored = templates.find((t) => t.name === templateName && t.definition);
+  if (!stored) return null;
+  // like the worker, fill in anything an older definition leaves out
+  const { definition } = validateDefinition(stored.definition);
+  return definition ? definitionTemplate({ ...stored, definition }) : null;
+}
+
+export const hasPreview = (name, templates) => Boolean(findTemplate(name, templates));
+
+// Card HTML for `templateName`; like the worker, an unknown template gets the default layout
+export function cardHtml(templateName, ctx, templates) {
+  const template = findTemplate(templateName, templates)
+    || BUILT_IN_TEMPLATES.find((t) => t.name === DEFAULT_TEMPLATE);
+  return template.render(ctx);
+}
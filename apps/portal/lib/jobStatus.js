@@ -0,0 +1,26 @@
+// Job statuses as the API reports them, and how the portal labels them
+
+export const STATUS = {
+  PENDING: "PENDING",
+  PROCESSING: "PROCESSING",
+  DONE: "DONE",
+  ERROR: "ERROR",
+  AWAITING_APPROVAL: "AWAITING_APPROVAL",
+  APPROVED: "APPROVED",
+  REJECTED: "REJECTED",
+};
+
+// Statuses after which a job no longer changes on its own (polling stops)
+export const SETTLED_STATUSES = [STATUS.DONE, STATUS.ERROR, STATUS.AWAITING_APPROVAL, STATUS.APPROVED, STATUS.REJECTED];
+
+const STYLES = {
+  [STATUS.PENDING]: { label: "Queued", color: "bg-yellow-100 text-yellow-800" },
+  [STATUS.PROCESSING]: { label: "Processing", color: "bg-blue-100 text-blue-800" },
+  [STATUS.DONE]: { label: "Done", color: "bg-green-100 text-green-800" },
+  [STATUS.ERROR]: { label: "Error", color: "bg-red-100 text-red-800" },
+  [STATUS.AWAITING_APPROVAL]: { label: "Awaiting approval", color: "bg-purple-100 text-purple-800" },
+  [STATUS.APPROVED]: { label: "Approved", color: "bg-emerald-100 text-emerald-800" },
+  [STATUS.REJECTED]: { label: "Rejected", color: "bg-gray-200 text-gray-800" },
+};
+
+export const statusStyle = (status) => STYLES[status] || { label: status || "Unknown", color: "bg-gray-100 text-gray-800" };
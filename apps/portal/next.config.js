@@ -1,3 +1,14 @@
+import { fileURLToPath } from "node:url";
+
 /** @type {import('next').NextConfig} */
-const nextConfig = { reactStrictMode: true };
+const nextConfig = {
+  reactStrictMode: true,
+  // lib/cardTemplates.js imports the card templates from apps/worker
+  experimental: { externalDir: true },
+  webpack: (config) => {
+    // the templates and lib/cardTemplates.js import packages/shared by name, as the apps do
+    config.resolve.alias["photocard-shared"] = fileURLToPath(new URL("../../packages/shared/src", import.meta.url));
+    return config;
+  },
+};
 export default nextConfig;
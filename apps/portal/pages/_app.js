@@ -1,5 +1,10 @@
 import '../styles/globals.css';
+import AuthGate from '../components/AuthGate';
 
 export default function MyApp({ Component, pageProps }) {
-  return <Component {...pageProps} />;
+  return (
+    <AuthGate>
+      <Component {...pageProps} />
+    </AuthGate>
+  );
 }
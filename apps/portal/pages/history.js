@@ -0,0 +1,239 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import Link from "next/link";
+import { resolveApiBase } from "../lib/apiBase";
+import { STATUS, statusStyle } from "../lib/jobStatus";
+import { authFetch, canManageJob, hasScope, useAuth } from "../lib/auth";
+
+/**
+ * Searchable card history on top of GET /jobs:
+ *   ?q= headline/subheadline search, ?status=, ?template=, ?brand=, ?from=/?to= (YYYY-MM-DD),
+ *   ?createdBy=me / ?team=mine, ?publishable=1, ?limit= and ?cursor= (the previous page's nextCursor) → { jobs, total, nextCursor }.
+ */
+
+const PAGE_SIZE = 24;
+const EMPTY_FILTERS = { q: "", owner: "", status: "", template: "", brand: "", from: "", to: "" };
+
+// "Whose cards" choices and the query they add; signed-in users start on their own cards. "All" is
+// every card the API lets the user see: a reporter's own and their team's, everyone's for editors
+const OWNERS = {
+  mine: { label: "My cards", params: { createdBy: "me" } },
+  team: { label: "My team's cards", params: { team: "mine" } },
+  all: { label: "All cards", params: {} },
+};
+
+export default function HistoryPage() {
+  const API_BASE = useMemo(() => resolveApiBase(), []);
+  const me = useAuth();
+  const initialFilters = useMemo(() => ({ ...EMPTY_FILTERS, owner: me?.kind === "user" ? "mine" : "all" }), [me]);
+  const [filters, setFilters] = useState(initialFilters);
+  const [query, setQuery] = useState(initialFilters); // filters as last sent (search is debounced)
+  const [jobs, setJobs] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [templates, setTemplates] = useState([]);
+  const [brands, setBrands] = useState([]);
+  const requestSeq = useRef(0);
+
+  useEffect(() => {
+    authFetch(`${API_BASE}/templates`)
+      .then((r) => (r.ok ? r.json() : []))
+      .then((arr) => setTemplates(Array.isArray(arr) ? arr : []))
+      .catch(() => {});
+    authFetch(`${API_BASE}/brands`)
+      .then((r) => (r.ok ? r.json() : []))
+      .then((arr) => setBrands(Array.isArray(arr) ? arr : []))
+      .catch(() => {});
+  }, [API_BASE]);
+
+  // Typing in the search box waits a moment; the selects and dates apply at once
+  useEffect(() => {
+    const t = setTimeout(() => setQuery(filters), filters.q === query.q ? 0 : 350);
+    return () => clearTimeout(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [filters]);
+
+  const load = async (cursor) => {
+    const seq = ++requestSeq.current;
+    const params = new URLSearchParams({ limit: String(PAGE_SIZE) });
+    for (const [key, value] of Object.entries(query)) {
+      if (!value) continue;
+      if (key === "owner") Object.entries(OWNERS[value].params).forEach(([k, v]) => params.set(k, v));
+      else if (key === "status" && value === "PUBLISHABLE") params.set("publishable", "1");
+      else params.set(key, value.trim());
+    }
+    if (cursor) params.set("cursor", cursor);
+    setLoading(true);
+    setError("");
+    try {
+      const r = await authFetch(`${API_BASE}/jobs?${params}`);
+      const body = await r.json().catch(() => ({}));
+      if (!r.ok) throw new Error(body.error || "Failed to load cards");
+      if (seq !== requestSeq.current) return; // a newer search is on its way
+      setJobs((prev) => (cursor ? [...prev, ...body.jobs] : body.jobs));
+      setTotal(body.total);
+      setNextCursor(body.nextCursor);
+    } catch (e) {
+      if (seq === requestSeq.current) setError(e.message || "Failed to load cards");
+    } finally {
+      if (seq === requestSeq.current) setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load(null);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [API_BASE, query]);
+
+  // Delete a card for good (the API removes its files too)
+  const deleteJob = async (job) => {
+    if (!window.confirm("Delete this card and its files? This can't be undone.")) return;
+    try {
+      const r = await authFetch(`${API_BASE}/jobs/${job.id}`, { method: "DELETE" });
+      if (!r.ok && r.status !== 404) {
+        const body = await r.json().catch(() => ({}));
+        throw new Error(body.error || "Failed to delete card");
+      }
+      setJobs((prev) => prev.filter((x) => x.id !== job.id));
+      setTotal((t) => Math.max(0, t - 1));
+    } catch (e) {
+      setError(e.message || "Failed to delete card");
+    }
+  };
+
+  const setFilter = (e) => {
+    const { name, value } = e.target;
+    setFilters((f) => ({ ...f, [name]: value }));
+  };
+
+  const inputClass = "w-full rounded-lg border px-3 py-2 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-red-500";
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-50 to-white">
+      <div className="max-w-6xl mx-auto px-4 py-10">
+        <header className="flex items-center justify-between gap-4 mb-6">
+          <h1 className="text-2xl md:text-3xl font-extrabold tracking-tight">Card history</h1>
+          <Link href="/" className="text-sm px-3 py-1.5 rounded-lg border bg-white hover:bg-gray-50">
+            ← New card
+          </Link>
+        </header>
+
+        <div className="bg-white border rounded-2xl shadow p-5 grid grid-cols-2 md:grid-cols-7 gap-3">
+          <div className="col-span-2 md:col-span-7">
+            <input
+              name="q"
+              value={filters.q}
+              onChange={setFilter}
+              placeholder="Search headlines… (শিরোনাম খুঁজুন)"
+              className={inputClass}
+            />
+          </div>
+          <select name="owner" value={filters.owner} onChange={setFilter} className={inputClass}>
+            {Object.entries(OWNERS)
+              .filter(([name]) => name === "all" || (me?.kind === "user" && (name === "mine" || me.teamId)))
+              .map(([name, { label }]) => (
+                <option key={name} value={name}>{label}</option>
+              ))}
+          </select>
+          <select name="status" value={filters.status} onChange={setFilter} className={inputClass}>
+            <option value="">Any status</option>
+            <option value="PUBLISHABLE">Publishable</option>
+            {Object.values(STATUS).map((s) => (
+              <option key={s} value={s}>{statusStyle(s).label}</option>
+            ))}
+          </select>
+          <select name="template" value={filters.template} onChange={setFilter} className={inputClass}>
+            <option value="">Any template</option>
+            {templates.map((t) => (
+              <option key={t.name} value={t.name}>{t.label || t.name}</option>
+            ))}
+          </select>
+          <select name="brand" value={filters.brand} onChange={setFilter} className={inputClass}>
+            <option value="">Any brand</option>
+            {brands.map((b) => (
+              <option key={b.id} value={b.id}>{b.name}</option>
+            ))}
+          </select>
+          <input type="date" name="from" value={filters.from} onChange={setFilter} className={inputClass} aria-label="From" />
+          <input type="date" name="to" value={filters.to} onChange={setFilter} className={inputClass} aria-label="To" />
+          <button
+            onClick={() => setFilters(initialFilters)}
+            className="text-sm px-3 py-2 rounded-lg border bg-white hover:bg-gray-50"
+          >
+            Reset
+          </button>
+        </div>
+
+        <div className="mt-4 text-sm text-gray-600">
+          {loading && !jobs.length ? "Loading…" : `${total} card${total === 1 ? "" : "s"}`}
+        </div>
+        {error && <div className="mt-3 rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">{error}</div>}
+
+        <ul className="mt-4 grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-5">
+          {jobs.map((job) => {
+            const { label, color } = statusStyle(job.status);
+            return (
+              <li key={job.id} className="rounded-2xl border bg-white shadow-sm overflow-hidden flex flex-col">
+                <div className="bg-black/5 aspect-square flex items-center justify-center">
+                  {job.outputUrl && job.format !== "pdf" ? (
+                    // eslint-disable-next-line @next/next/no-img-element
+                    <img src={job.outputUrl} alt="" loading="lazy" className="w-full h-full object-contain" />
+                  ) : (
+                    <span className="text-xs text-gray-500">{job.outputUrl ? "PDF" : "No image"}</span>
+                  )}
+                </div>
+                <div className="p-4 space-y-2 flex-1 flex flex-col">
+                  <div className="flex items-center gap-2 text-xs">
+                    <span className={`px-2 py-0.5 rounded-full font-semibold ${color}`}>{label}</span>
+                    {job.templateName && (
+                      <span className="px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">
+                        {job.kind === "carousel"
+                          ? `Carousel · ${job.slides?.length} slides`
+                          : templates.find((t) => t.name === job.templateName)?.label || job.templateName}
+                      </span>
+                    )}
+                  </div>
+                  <div className="font-semibold text-gray-900 line-clamp-3">{job.headline}</div>
+                  <div className="text-xs text-gray-500 mt-auto">
+                    {new Date(job.createdAt).toLocaleString()}
+                    {job.createdBy?.name && ` · ${job.createdBy.name}`}
+                    {job.brandId && ` · ${brands.find((b) => b.id === job.brandId)?.name || "brand"}`}
+                  </div>
+                  <div className="flex items-center gap-4">
+                    {job.outputUrl && (
+                      <a href={job.outputUrl} target="_blank" rel="noreferrer" className="text-sm font-semibold text-red-700 hover:underline">
+                        Open
+                      </a>
+                    )}
+                    {hasScope(me, "jobs:write") && canManageJob(me, job) && (
+                      <button onClick={() => deleteJob(job)} className="ml-auto text-sm text-gray-500 hover:text-red-700 hover:underline">
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+
+        {!loading && !error && jobs.length === 0 && (
+          <div className="mt-6 rounded-2xl p-6 border bg-white text-gray-500">No cards match these filters.</div>
+        )}
+
+        {nextCursor && (
+          <div className="mt-6 text-center">
+            <button
+              onClick={() => load(nextCursor)}
+              disabled={loading}
+              className="px-5 py-2.5 rounded-xl border bg-white hover:bg-gray-50 font-semibold disabled:opacity-60"
+            >
+              {loading ? "Loading…" : `Load more (${jobs.length} of ${total})`}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
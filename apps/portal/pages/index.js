@@ -1,5 +1,14 @@
 
 import { useEffect, useMemo, useRef, useState } from "react";
+import Link from "next/link";
+import ImageInput from "../components/ImageInput";
+import BrandManager from "../components/BrandManager";
+import ReviewQueue from "../components/ReviewQueue";
+import CardPreview from "../components/CardPreview";
+import CarouselEditor, { emptySlide, slidesPayload, slidesProblem } from "../components/CarouselEditor";
+import { resolveApiBase } from "../lib/apiBase";
+import { SETTLED_STATUSES, STATUS, statusStyle } from "../lib/jobStatus";
+import { authFetch, canManageJob, hasScope, streamUrl, useAuth } from "../lib/auth";
 
 /**
  * PhotoCard 2.0 — Portal: pages/index.js
@@ -13,71 +22,120 @@ import { useEffect, useMemo, useRef, useState } from "react";
  * 4) Modern, eye-catching UI with Tailwind (no external UI deps)
  *
  * API assumptions (adjust if your API differs):
- * - POST   /jobs                      -> { id, status, headline, outputUrl?, outputPath? }
- * - GET    /jobs?limit=10             -> [job, ...]
+ * - POST   /jobs                      -> { id, status, headline, outputUrl?, outputPath? } (kind: "carousel" takes slides)
+ * - GET    /jobs?limit=10             -> { jobs: [job, ...], total, nextCursor } (filters: see /history)
  * - GET    /jobs/:id                  -> job
+ * - GET    /jobs/events (SSE)         -> `job` events for the user's and their team's jobs (polling is the fallback)
+ * - POST   /jobs/:id/rerender         -> job (re-queued, optional edited inputs)
+ * - DELETE /jobs/:id                  -> { id, deletedAt, files, bytes } (card and its files removed)
+ * - GET    /jobs/:id/zip              -> every output of the job in one ZIP
+ * - GET    /jobs?status=AWAITING_APPROVAL -> { jobs, ... } (review queue)
+ * - POST   /jobs/:id/approve|reject   -> job ({ comment }, required to reject)
+ * - GET    /templates                 -> [{ name, label }, ..., { name, label, version, definition, stored }] (see /templates)
+ * - GET    /sizes                     -> [{ name, label, width, height }, ...]
+ * - POST   /assets (multipart `file`) -> { id, url, ... } (uploaded image)
+ * - GET    /brands                    -> [{ id, name, logoUrl, primaryColor, ... }, ...]
  *
- * How API base is detected (in order):
- *   1) <meta name="api-base" content="http://localhost:4000"> (client)
- *   2) window.__APP_API_BASE__ (client)
- *   3) process.env.NEXT_PUBLIC_API_BASE_URL (server or bundler-inlined)
- *   4) "" (empty) → same-origin fetch
+ * API base detection: see lib/apiBase.js
+ * Credentials: every API call carries the signed-in API key (lib/auth.js, components/AuthGate.js)
  */
 
-// Safe resolver — NEVER directly touch `process.env` at module top-level.
-function resolveApiBase() {
-  let raw = "";
-  try {
-    // 1) Meta tag on client
-    if (typeof window !== "undefined") {
-      const meta = document.querySelector('meta[name="api-base"]');
-      if (meta && meta.content) raw = meta.content;
-      // 2) Global shim
-      if (!raw && typeof window.__APP_API_BASE__ === "string") raw = window.__APP_API_BASE__;
-    }
-    // 3) Server-side / bundler inline
-    // Guard against ReferenceError: `process` may not exist in some runtimes
-    if (!raw && typeof process !== "undefined" && process?.env?.NEXT_PUBLIC_API_BASE_URL) {
-      raw = process.env.NEXT_PUBLIC_API_BASE_URL;
-    }
-  } catch (_) {}
-  if (typeof raw !== "string") raw = "";
-  return raw.replace(/\/$/, ""); // trim trailing slash
-}
+const STATUS_STEPS = [STATUS.PENDING, STATUS.PROCESSING, STATUS.DONE];
 
-const STATUS = {
-  PENDING: "PENDING",
-  PROCESSING: "PROCESSING",
-  DONE: "DONE",
-  ERROR: "ERROR",
+// Render pipeline stages named in job.error / job.warnings
+const STAGE_LABELS = {
+  fetch_assets: "Fetching images",
+  page_load: "Loading page",
+  screenshot: "Capturing output",
+  store: "Saving output",
 };
 
-const STATUS_STEPS = [STATUS.PENDING, STATUS.PROCESSING, STATUS.DONE];
+// Used until GET /templates answers (or if it fails)
+const FALLBACK_TEMPLATES = [{ name: "default", label: "Glass card" }];
+const FALLBACK_SIZES = [{ name: "square", label: "Square (1080×1080)", width: 1080, height: 1080 }];
+
+const CARD_LOCALES = [
+  { name: "bn", label: "বাংলা (Bangla)" },
+  { name: "en", label: "English" },
+  { name: "bn-calendar", label: "বঙ্গাব্দ (Bangla calendar)" },
+];
+
+const OUTPUT_FORMATS = [
+  { name: "png", label: "PNG", ext: "png", lossy: false },
+  { name: "jpeg", label: "JPEG", ext: "jpg", lossy: true },
+  { name: "webp", label: "WebP", ext: "webp", lossy: true },
+  { name: "pdf", label: "PDF (print)", ext: "pdf", lossy: false },
+];
+
+// File extension for a job's outputs: from its stored format, else from the output URL
+const outputExtension = (job, url) => {
+  const known = OUTPUT_FORMATS.find((f) => f.name === job?.format);
+  if (known) return known.ext;
+  const m = String(url || job?.outputUrl || "").match(/\.([a-z0-9]+)(?:\?|$)/i);
+  return m ? m[1].toLowerCase() : "png";
+};
+
+const formatBytes = (n) => {
+  if (!Number.isFinite(n)) return "—";
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+  return `${(n / (1024 * 1024)).toFixed(2)} MB`;
+};
 
 export default function HomePage() {
   // Compute API base at runtime (client-safe)
   const API_BASE = useMemo(() => resolveApiBase(), []);
 
-  const [form, setForm] = useState({ headline: "", backgroundUrl: "", newsImageUrl: "" });
+  const [form, setForm] = useState({
+    // "card", or "carousel": `slides` instead of the headline, news image and template
+    kind: "card",
+    slides: [emptySlide(), emptySlide(), emptySlide()],
+    headline: "",
+    subheadline: "",
+    sourceCredit: "",
+    photoCredit: "",
+    ctaText: "",
+    cardDate: "",
+    locale: "bn",
+    backgroundUrl: "",
+    newsImageUrl: "",
+    backgroundAsset: null,
+    newsImageAsset: null,
+    // focal point / zoom per image; null = automatic
+    backgroundCrop: null,
+    newsImageCrop: null,
+    templateName: "default",
+    brandId: "",
+    sizes: ["square"],
+    customWidth: "",
+    customHeight: "",
+    format: "png",
+    quality: 85,
+    requireApproval: false,
+  });
   const [submitting, setSubmitting] = useState(false);
+  const [activeSlide, setActiveSlide] = useState(0);
+  const [templates, setTemplates] = useState(FALLBACK_TEMPLATES);
+  const [sizePresets, setSizePresets] = useState(FALLBACK_SIZES);
+  const [brands, setBrands] = useState([]);
+  const [showBrands, setShowBrands] = useState(false);
+  const [showReview, setShowReview] = useState(false);
 
   const [latestJob, setLatestJob] = useState(null); // Only the most recent job shown by default
   const [jobs, setJobs] = useState([]); // History (hidden by default)
   const [showHistory, setShowHistory] = useState(false);
+  // whose cards the page shows: the signed-in user's ("mine") or their team's ("team"); API keys see all
+  const me = useAuth();
+  const [historyScope, setHistoryScope] = useState("mine");
 
   const pollTimer = useRef(null);
 
-  // --- Helpers --------------------------------------------------------------
-  const prettyStatus = (status) => {
-    switch (status) {
-      case STATUS.PENDING: return { label: "Queued", color: "bg-yellow-100 text-yellow-800" };
-      case STATUS.PROCESSING: return { label: "Processing", color: "bg-blue-100 text-blue-800" };
-      case STATUS.DONE: return { label: "Done", color: "bg-green-100 text-green-800" };
-      case STATUS.ERROR: return { label: "Error", color: "bg-red-100 text-red-800" };
-      default: return { label: status || "Unknown", color: "bg-gray-100 text-gray-800" };
-    }
+  const scopeQuery = (scope) => {
+    if (me?.kind !== "user") return "";
+    return scope === "team" && me.teamId ? "&team=mine" : "&createdBy=me";
   };
 
+  // --- Helpers --------------------------------------------------------------
   const storageHint = (job) => {
     if (!job) return "";
     if (job.outputPath) return `Local: ${job.outputPath}`;
@@ -96,27 +154,47 @@ export default function HomePage() {
   };
 
   const stepIndex = (status) => {
+    // rendered cards under (or past) review have completed every render step
+    if ([STATUS.AWAITING_APPROVAL, STATUS.APPROVED, STATUS.REJECTED].includes(status)) return STATUS_STEPS.length;
     const idx = STATUS_STEPS.indexOf(status);
     return idx === -1 ? 0 : idx;
   };
 
+  const saveBlob = (blob, name) => {
+    const blobUrl = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = blobUrl;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(blobUrl), 1500);
+  };
+
+  // All outputs of a job (every slide / size) as one ZIP from the API
+  const downloadZip = async (job) => {
+    try {
+      const r = await authFetch(`${API_BASE}/jobs/${job.id}/zip`);
+      if (!r.ok) {
+        const body = await r.json().catch(() => ({}));
+        throw new Error(body.error || "Failed to download ZIP");
+      }
+      saveBlob(await r.blob(), `${job.kind || "card"}-${job.id}.zip`);
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "Download failed");
+    }
+  };
+
   // Programmatic download helper — fetches the resource as a blob and triggers a download
   const downloadResource = async (url, suggestedName) => {
     if (!url) return;
     // First attempt: server-side proxy to ensure same-origin attachment
     try {
       const proxyUrl = `${API_BASE || ''}/download?url=${encodeURIComponent(url)}&filename=${encodeURIComponent(suggestedName || '')}`;
-      const r = await fetch(proxyUrl);
+      const r = await authFetch(proxyUrl);
       if (r.ok) {
-        const blob = await r.blob();
-        const blobUrl = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = blobUrl;
-        a.download = suggestedName || (new URL(url)).pathname.split('/').pop() || 'download';
-        document.body.appendChild(a);
-        a.click();
-        a.remove();
-        setTimeout(() => URL.revokeObjectURL(blobUrl), 1500);
+        saveBlob(await r.blob(), suggestedName || (new URL(url)).pathname.split('/').pop() || 'download');
         return;
       }
     } catch (e) {
@@ -127,15 +205,7 @@ export default function HomePage() {
     try {
       const res = await fetch(url, { mode: 'cors' });
       if (!res.ok) throw new Error('Failed to download');
-      const blob = await res.blob();
-      const blobUrl = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = blobUrl;
-      a.download = suggestedName || (new URL(url)).pathname.split('/').pop() || 'download';
-      document.body.appendChild(a);
-      a.click();
-      a.remove();
-      setTimeout(() => URL.revokeObjectURL(blobUrl), 1500);
+      saveBlob(await res.blob(), suggestedName || (new URL(url)).pathname.split('/').pop() || 'download');
     } catch (e) {
       console.error('Download failed', e);
       try { window.open(url, '_blank', 'noopener'); } catch (_) { alert('Download failed — check console for details'); }
@@ -145,14 +215,14 @@ export default function HomePage() {
   // --- Initial load: fetch only the latest job so the UI stays clean --------
   useEffect(() => {
     // If API supports it, load only the last job
-    fetch(`${API_BASE}/jobs?limit=1`)
-      .then((r) => (r.ok ? r.json() : []))
-      .then((arr) => {
+    authFetch(`${API_BASE}/jobs?limit=1${scopeQuery("mine")}`)
+      .then((r) => (r.ok ? r.json() : {}))
+      .then(({ jobs: arr }) => {
         if (Array.isArray(arr) && arr.length) {
           const [j] = arr;
           setLatestJob(j);
-          if (j.status !== STATUS.DONE && j.status !== STATUS.ERROR) {
-            startPolling(j.id);
+          if (!SETTLED_STATUSES.includes(j.status)) {
+            watchJob(j.id);
           }
         }
       })
@@ -160,7 +230,94 @@ export default function HomePage() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [API_BASE]);
 
-  // --- Polling --------------------------------------------------------------
+  // --- Template catalogue -----------------------------------------------------
+  useEffect(() => {
+    authFetch(`${API_BASE}/templates`)
+      .then((r) => (r.ok ? r.json() : []))
+      .then((arr) => {
+        if (Array.isArray(arr) && arr.length) setTemplates(arr);
+      })
+      .catch(() => {});
+    authFetch(`${API_BASE}/sizes`)
+      .then((r) => (r.ok ? r.json() : []))
+      .then((arr) => {
+        if (Array.isArray(arr) && arr.length) setSizePresets(arr);
+      })
+      .catch(() => {});
+    loadBrands();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [API_BASE]);
+
+  const loadBrands = async () => {
+    try {
+      const r = await authFetch(`${API_BASE}/brands`);
+      if (!r.ok) return;
+      const arr = await r.json();
+      setBrands(Array.isArray(arr) ? arr : []);
+    } catch (_) {}
+  };
+
+  // --- Live updates ---------------------------------------------------------
+  // One SSE stream (GET /jobs/events) keeps every card on the page current. While it is
+  // unavailable, the job being watched is polled every 2s instead.
+  const streamUp = useRef(false);
+  const watchedJob = useRef(null);
+
+  // A deleted card leaves the page
+  const removeJob = (id) => {
+    setLatestJob((cur) => (cur?.id === id ? null : cur));
+    setJobs((prev) => prev.filter((x) => x.id !== id));
+    if (watchedJob.current === id) {
+      watchedJob.current = null;
+      stopPolling();
+    }
+  };
+
+  const applyJob = (j) => {
+    if (j.deletedAt) return removeJob(j.id);
+    setLatestJob((cur) => (cur?.id === j.id ? j : cur));
+    setJobs((prev) => prev.map((x) => (x.id === j.id ? j : x)));
+    if (watchedJob.current === j.id && SETTLED_STATUSES.includes(j.status)) {
+      watchedJob.current = null;
+      stopPolling();
+    }
+  };
+
+  useEffect(() => {
+    if (typeof window === "undefined" || !window.EventSource) return;
+    const es = new EventSource(streamUrl(`${API_BASE}/jobs/events`));
+    es.addEventListener("job", (e) => {
+      try {
+        applyJob(JSON.parse(e.data));
+      } catch (_) {}
+    });
+    es.onopen = () => {
+      streamUp.current = true;
+      stopPolling();
+      // catch up on anything the watched job did while the stream was down
+      if (watchedJob.current) {
+        authFetch(`${API_BASE}/jobs/${watchedJob.current}`)
+          .then((r) => (r.ok ? r.json() : null))
+          .then((j) => j && applyJob(j))
+          .catch(() => {});
+      }
+    };
+    es.onerror = () => {
+      // EventSource reconnects by itself; poll until it does
+      streamUp.current = false;
+      if (watchedJob.current && !pollTimer.current) startPolling(watchedJob.current);
+    };
+    return () => es.close();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [API_BASE]);
+
+  // Follow a job until it settles: over the stream when it is up, by polling otherwise
+  const watchJob = (jobId) => {
+    watchedJob.current = jobId;
+    if (!streamUp.current) startPolling(jobId);
+  };
+
+  // --- Polling (fallback) ----------------------------------------------------
   const stopPolling = () => {
     if (pollTimer.current) {
       clearInterval(pollTimer.current);
@@ -172,7 +329,8 @@ export default function HomePage() {
     stopPolling();
     pollTimer.current = setInterval(async () => {
       try {
-        const r = await fetch(`${API_BASE}/jobs/${jobId}`);
+        const r = await authFetch(`${API_BASE}/jobs/${jobId}`);
+        if (r.status === 404) return removeJob(jobId);
         if (!r.ok) return;
         const j = await r.json();
         setLatestJob(j);
@@ -181,7 +339,8 @@ export default function HomePage() {
           const without = prev.filter((x) => x.id !== j.id);
           return [j, ...without].slice(0, 10);
         });
-        if (j.status === STATUS.DONE || j.status === STATUS.ERROR) {
+        if (SETTLED_STATUSES.includes(j.status)) {
+          if (watchedJob.current === jobId) watchedJob.current = null;
           stopPolling();
         }
       } catch (_) {}
@@ -194,26 +353,85 @@ export default function HomePage() {
     setForm((f) => ({ ...f, [name]: value }));
   };
 
+  const toggleSize = (name) => {
+    setForm((f) => ({
+      ...f,
+      sizes: f.sizes.includes(name) ? f.sizes.filter((s) => s !== name) : [...f.sizes, name],
+    }));
+  };
+
+  // Selected presets plus the custom size (when both sides are filled in)
+  const requestedSizes = () => {
+    const out = [...form.sizes];
+    const width = parseInt(form.customWidth, 10);
+    const height = parseInt(form.customHeight, 10);
+    if (width && height) out.push({ width, height });
+    return out;
+  };
+
+  // The requested sizes with their dimensions, for the preview
+  const previewSizes = requestedSizes()
+    .map((s) => (typeof s === "string" ? sizePresets.find((p) => p.name === s) : s))
+    .filter(Boolean);
+
   const onSubmit = async (e) => {
     e.preventDefault();
-    if (!form.headline?.trim()) return;
+    const carousel = form.kind === "carousel";
+    if (carousel) {
+      const problem = slidesProblem(form.slides);
+      if (problem) {
+        alert(problem);
+        return;
+      }
+    } else if (!form.headline?.trim()) {
+      return;
+    }
+    const sizes = requestedSizes();
+    if (!sizes.length) {
+      alert("Select at least one output size.");
+      return;
+    }
     setSubmitting(true);
     try {
-      const r = await fetch(`${API_BASE}/jobs`, {
+      const r = await authFetch(`${API_BASE}/jobs`, {
         method: "POST",
         headers: { "Content-Type": "application/json" },
         body: JSON.stringify({
-            headline: form.headline,
+            ...(carousel
+              ? { kind: "carousel", slides: slidesPayload(form.slides) }
+              : {
+                  headline: form.headline,
+                  subheadline: form.subheadline,
+                  newsImageUrl: form.newsImageUrl,
+                  newsImageAssetId: form.newsImageAsset?.id,
+                  newsImageCrop: form.newsImageCrop,
+                  templateName: form.templateName,
+                }),
+            sourceCredit: form.sourceCredit,
+            photoCredit: form.photoCredit,
+            ctaText: form.ctaText,
+            cardDate: form.cardDate || undefined,
+            locale: form.locale,
             backgroundUrl: form.backgroundUrl,
-            newsImageUrl: form.newsImageUrl,
+            backgroundAssetId: form.backgroundAsset?.id,
+            backgroundCrop: form.backgroundCrop,
+            brandId: form.brandId || undefined,
+            sizes,
+            format: form.format,
+            quality: OUTPUT_FORMATS.find((f) => f.name === form.format)?.lossy ? Number(form.quality) : undefined,
+            // unchecked leaves it to the newsroom default (REVIEW_REQUIRED on the API)
+            requireApproval: form.requireApproval || undefined,
           }),
       });
-      if (!r.ok) throw new Error("Failed to create job");
+      if (!r.ok) {
+        const body = await r.json().catch(() => ({}));
+        throw new Error(body.error || "Failed to create job");
+      }
       const j = await r.json();
       setLatestJob(j);
       setJobs((prev) => [j, ...prev].slice(0, 10));
       setShowHistory(false); // keep UI clean
-      startPolling(j.id);
+      watchJob(j.id);
     } catch (err) {
       console.error(err);
       alert("Job create করতে সমস্যা হয়েছে. Console চেক করুন.");
@@ -222,11 +440,48 @@ export default function HomePage() {
     }
   };
 
-  const loadHistory = async () => {
+  // Re-queue an errored job with its stored inputs
+  const retryJob = async (job) => {
     try {
-      const r = await fetch(`${API_BASE}/jobs?limit=10`);
+      const r = await authFetch(`${API_BASE}/jobs/${job.id}/rerender`, { method: "POST" });
+      if (!r.ok) {
+        const body = await r.json().catch(() => ({}));
+        throw new Error(body.error || "Failed to re-render job");
+      }
+      const j = await r.json();
+      setLatestJob(j);
+      setJobs((prev) => [j, ...prev.filter((x) => x.id !== j.id)].slice(0, 10));
+      watchJob(j.id);
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "Retry failed");
+    }
+  };
+
+  // Delete a card for good; the API removes its files too
+  const deleteJob = async (job) => {
+    if (!window.confirm("Delete this card and its files? This can't be undone.")) return;
+    try {
+      const r = await authFetch(`${API_BASE}/jobs/${job.id}`, { method: "DELETE" });
+      if (!r.ok && r.status !== 404) {
+        const body = await r.json().catch(() => ({}));
+        throw new Error(body.error || "Failed to delete card");
+      }
+      removeJob(job.id);
+    } catch (err) {
+      console.error(err);
+      alert(err.message || "Delete failed");
+    }
+  };
+
+  // A card approved/rejected in the review queue replaces its copy on the page
+  const onReviewed = applyJob;
+
+  const loadHistory = async (scope = historyScope) => {
+    try {
+      const r = await authFetch(`${API_BASE}/jobs?limit=10${scopeQuery(scope)}`);
       if (!r.ok) return;
-      const arr = await r.json();
+      const { jobs: arr } = await r.json();
       setJobs(Array.isArray(arr) ? arr : []);
     } catch (_) {}
   };
@@ -246,7 +501,7 @@ export default function HomePage() {
 
   // --- UI Pieces ------------------------------------------------------------
   const StatusBadge = ({ status }) => {
-    const { label, color } = prettyStatus(status);
+    const { label, color } = statusStyle(status);
     return (
       <span className={`inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-semibold ${color}`}>
         <span className="w-2 h-2 rounded-full bg-current opacity-70" />
@@ -286,11 +541,31 @@ export default function HomePage() {
           <div className="flex items-center gap-3">
             <StatusBadge status={job.status} />
             <span className="text-sm text-gray-500">ID: {job.id?.slice?.(0, 8) || job.id}</span>
+            {job.kind === "carousel" ? (
+              <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">
+                Carousel · {job.slides?.length} slides
+              </span>
+            ) : job.templateName && (
+              <span className="text-xs px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">
+                {templates.find((t) => t.name === job.templateName)?.label || job.templateName}
+              </span>
+            )}
+          </div>
+          <div className="flex items-center gap-3">
+            <Stepper status={job.status} />
+            {hasScope(me, "jobs:write") && canManageJob(me, job) && (
+              <button
+                onClick={() => deleteJob(job)}
+                className="px-2.5 py-1.5 rounded-md text-xs font-semibold border border-red-200 text-red-700 bg-white hover:bg-red-50"
+              >
+                Delete
+              </button>
+            )}
           </div>
-          <Stepper status={job.status} />
         </div>
 
-        <h3 className="mt-3 text-xl font-semibold text-gray-900 line-clamp-2">{job.headline}</h3>
+        {job.subheadline && <div className="mt-3 text-xs font-semibold uppercase tracking-wide text-red-600">{job.subheadline}</div>}
+        <h3 className={`${job.subheadline ? "mt-1" : "mt-3"} text-xl font-semibold text-gray-900 line-clamp-2`}>{job.headline}</h3>
 
         <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-4">
           <div className="md:col-span-2">
@@ -298,11 +573,15 @@ export default function HomePage() {
               {job.outputUrl ? (
                 // Preview output
                 <>
-                  {/* eslint-disable-next-line @next/next/no-img-element */}
-                  <img src={job.outputUrl} alt="output" className="w-full h-auto block" />
+                  {job.format === "pdf" ? (
+                    <div className="p-10 text-center text-gray-600 text-sm">PDF document — use Open or Download.</div>
+                  ) : (
+                    // eslint-disable-next-line @next/next/no-img-element
+                    <img src={job.outputUrl} alt="output" className="w-full h-auto block" />
+                  )}
                   <div className="absolute bottom-3 right-3 flex items-center gap-2">
                     <button
-                      onClick={() => downloadResource(job.outputUrl, `${job.id}.png`)}
+                      onClick={() => downloadResource(job.outputUrl, `${job.id}.${outputExtension(job)}`)}
                       className="px-3 py-2 rounded-lg bg-white/90 hover:bg-white text-gray-900 shadow font-semibold text-sm"
                     >
                       Download
@@ -319,10 +598,52 @@ export default function HomePage() {
                 </>
               ) : (
                 <div className="p-10 text-center text-gray-500 text-sm">
-                  No image yet. The job is {prettyStatus(job.status).label}…
+                  No image yet. The job is {statusStyle(job.status).label}…
                 </div>
               )}
             </div>
+
+            {Array.isArray(job.outputs) && job.outputs.length > 1 && (
+              <>
+                <div className="mt-3 flex items-center justify-between gap-2">
+                  <span className="text-sm text-gray-600">
+                    {job.outputs.length} files{job.kind === "carousel" ? `, ${job.slides?.length} slides` : ""}
+                  </span>
+                  <button
+                    onClick={() => downloadZip(job)}
+                    className="px-3 py-1.5 rounded-lg bg-gray-900 hover:bg-gray-800 text-white text-sm font-semibold"
+                  >
+                    Download ZIP
+                  </button>
+                </div>
+                <div className="mt-2 grid grid-cols-2 sm:grid-cols-3 gap-3">
+                  {job.outputs.map((o) => (
+                    <div key={o.key || o.url} className="rounded-lg border bg-white p-2 space-y-2">
+                      {job.format === "pdf" ? (
+                        <div className="w-full h-24 flex items-center justify-center bg-black/5 rounded text-xs text-gray-500">PDF</div>
+                      ) : (
+                        // eslint-disable-next-line @next/next/no-img-element
+                        <img src={o.url} alt={`${o.width}×${o.height}`} className="w-full h-24 object-contain bg-black/5 rounded" />
+                      )}
+                      <div className="flex items-center justify-between gap-2 text-xs">
+                        <span className="font-medium text-gray-700">
+                          {o.slide ? `Slide ${o.slide} · ` : ""}{o.width}×{o.height}
+                        </span>
+                        <button
+                          onClick={() => downloadResource(
+                            o.url,
+                            `${job.id}-${o.slide ? `s${String(o.slide).padStart(2, "0")}-` : ""}${o.width}x${o.height}.${outputExtension(job, o.url)}`,
+                          )}
+                          className="px-2 py-1 rounded-md bg-gray-100 hover:bg-gray-200 font-semibold"
+                        >
+                          Download
+                        </button>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </>
+            )}
           </div>
 
           <div className="space-y-3">
@@ -347,13 +668,79 @@ export default function HomePage() {
               <div className="text-sm font-medium">
                 {job.createdAt ? new Date(job.createdAt).toLocaleString() : "—"}
               </div>
+              {job.createdBy?.name && <div className="mt-1 text-xs text-gray-500">by {job.createdBy.name}</div>}
+              {job.attempts > 1 && <div className="mt-1 text-xs text-gray-500">{job.attempts} render attempts</div>}
             </div>
 
+            {job.outputUrl && (
+              <div className="rounded-lg border p-3 bg-white">
+                <div className="text-xs text-gray-500">Format</div>
+                <div className="text-sm font-medium">
+                  {outputExtension(job).toUpperCase()}
+                  {job.quality ? ` · q${job.quality}` : ""} · {formatBytes(job.fileSize)}
+                </div>
+              </div>
+            )}
+
+            {job.status === STATUS.REJECTED && (
+              <div className="rounded-lg border p-3 bg-white text-sm">
+                <div className="text-xs text-gray-500">Rejected by editor</div>
+                <div className="font-medium break-words">{job.reviewComment || "—"}</div>
+              </div>
+            )}
+
+            {job.status === STATUS.APPROVED && job.reviewComment && (
+              <div className="rounded-lg border p-3 bg-white text-sm">
+                <div className="text-xs text-gray-500">Editor&apos;s note</div>
+                <div className="font-medium break-words">{job.reviewComment}</div>
+              </div>
+            )}
+
             {job.error && (
-              <div className="rounded-lg border p-3 bg-red-50 text-red-700 text-sm">
-                {String(job.error)}
+              <div className="rounded-lg border border-red-200 p-3 bg-red-50 text-red-700 text-sm space-y-1">
+                {typeof job.error === "object" ? (
+                  <>
+                    <div className="font-semibold">
+                      {job.error.code || "RENDER_FAILED"}
+                      {job.error.stage && <span className="font-normal"> · {STAGE_LABELS[job.error.stage] || job.error.stage}</span>}
+                    </div>
+                    {job.error.message && <div className="break-words">{job.error.message}</div>}
+                    {job.error.assetUrl && <div className="text-xs break-all opacity-80">Asset: {job.error.assetUrl}</div>}
+                  </>
+                ) : (
+                  String(job.error)
+                )}
+                {job.status === STATUS.PENDING && <div className="text-xs opacity-80">Retrying automatically…</div>}
+                {job.status === STATUS.ERROR && hasScope(me, "jobs:write") && canManageJob(me, job) && (
+                  <button
+                    onClick={() => retryJob(job)}
+                    className="mt-1 px-2.5 py-1.5 rounded-md text-xs font-semibold bg-red-600 hover:bg-red-700 text-white"
+                  >
+                    Retry
+                  </button>
+                )}
               </div>
             )}
+
+            {Array.isArray(job.warnings) && job.warnings.length > 0 && (
+              <details className="rounded-lg border border-yellow-200 p-3 bg-yellow-50 text-yellow-800 text-sm">
+                <summary className="cursor-pointer font-semibold">
+                  {job.warnings.length} warning{job.warnings.length > 1 ? "s" : ""}
+                </summary>
+                <ul className="mt-2 space-y-2">
+                  {job.warnings.map((w, i) => (
+                    <li key={i}>
+                      <div className="font-medium">
+                        {w.code}
+                        {w.stage && <span className="font-normal"> · {STAGE_LABELS[w.stage] || w.stage}</span>}
+                      </div>
+                      {w.message && <div className="text-xs break-words">{w.message}</div>}
+                      {w.assetUrl && <div className="text-xs break-all opacity-80">{w.assetUrl}</div>}
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            )}
           </div>
         </div>
       </div>
@@ -373,66 +760,326 @@ export default function HomePage() {
             <div>
               {/* <span className="font-semibold">API:</span> {API_BASE || "(same origin)"} */}
             </div>
+            {hasScope(me, "review") && (
+              <button
+                onClick={() => setShowReview((v) => !v)}
+                className="mt-2 mr-2 whitespace-nowrap text-sm px-3 py-1.5 rounded-lg border bg-white hover:bg-gray-50 text-gray-800"
+              >
+                {showReview ? "Close Review" : "Review Queue"}
+              </button>
+            )}
+            {hasScope(me, "brands:write") && (
+              <button
+                onClick={() => setShowBrands((v) => !v)}
+                className="mt-2 whitespace-nowrap text-sm px-3 py-1.5 rounded-lg border bg-white hover:bg-gray-50 text-gray-800"
+              >
+                {showBrands ? "Close Brands" : "Manage Brands"}
+              </button>
+            )}
+            {hasScope(me, "templates:write") && (
+              <Link
+                href="/templates"
+                className="mt-2 ml-2 inline-block whitespace-nowrap text-sm px-3 py-1.5 rounded-lg border bg-white hover:bg-gray-50 text-gray-800"
+              >
+                Edit Templates
+              </Link>
+            )}
           </div>
         </header>
 
-        {/* Form */}
-        <form onSubmit={onSubmit} className="bg-white border rounded-2xl shadow p-6 space-y-4">
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-            <div className="md:col-span-3">
-              <label className="block text-sm font-medium mb-1">Headline</label>
-              <input
-                name="headline"
-                value={form.headline}
-                onChange={onChange}
-                placeholder="Write the news headline…"
-                className="w-full rounded-lg border px-3 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium mb-1">Background URL</label>
-              <input
+        {showReview && hasScope(me, "review") && (
+          <div className="mb-8">
+            <ReviewQueue apiBase={API_BASE} onReviewed={onReviewed} />
+          </div>
+        )}
+
+        {showBrands && hasScope(me, "brands:write") && (
+          <div className="mb-8">
+            <BrandManager apiBase={API_BASE} brands={brands} onChanged={loadBrands} />
+          </div>
+        )}
+
+        {/* Form, with the live preview beside it */}
+        <div className="grid grid-cols-1 lg:grid-cols-[minmax(0,1fr)_340px] gap-6 items-start">
+          <form onSubmit={onSubmit} className="bg-white border rounded-2xl shadow p-6 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="md:col-span-3 flex rounded-lg border bg-white overflow-hidden text-sm w-fit">
+                {[["card", "Single card"], ["carousel", "Carousel"]].map(([kind, label]) => (
+                  <button
+                    key={kind}
+                    type="button"
+                    onClick={() => setForm((f) => ({ ...f, kind }))}
+                    className={`px-3 py-1.5 ${form.kind === kind ? "bg-gray-900 text-white" : "hover:bg-gray-50"}`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              {form.kind === "carousel" ? (
+                <div className="md:col-span-3">
+                  <CarouselEditor
+                    slides={form.slides}
+                    onChange={(slides) => setForm((f) => ({ ...f, slides }))}
+                    active={activeSlide}
+                    onSelect={setActiveSlide}
+                    apiBase={API_BASE}
+                  />
+                </div>
+              ) : (
+                <>
+                  <div className="md:col-span-3">
+                    <label className="block text-sm font-medium mb-1">Headline</label>
+                    <input
+                      name="headline"
+                      value={form.headline}
+                      onChange={onChange}
+                      placeholder="Write the news headline…"
+                      className="w-full rounded-lg border px-3 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                    />
+                  </div>
+                  <div className="md:col-span-3">
+                    <label className="block text-sm font-medium mb-1">Subheadline / kicker</label>
+                    <input
+                      name="subheadline"
+                      value={form.subheadline}
+                      onChange={onChange}
+                      placeholder="Optional line above the headline"
+                      className="w-full rounded-lg border px-3 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                    />
+                  </div>
+                </>
+              )}
+              <div>
+                <label className="block text-sm font-medium mb-1">Source</label>
+                <input
+                  name="sourceCredit"
+                  value={form.sourceCredit}
+                  onChange={onChange}
+                  placeholder="e.g. Reuters"
+                  className="w-full rounded-lg border px-3 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Photo credit</label>
+                <input
+                  name="photoCredit"
+                  value={form.photoCredit}
+                  onChange={onChange}
+                  placeholder="Photographer"
+                  className="w-full rounded-lg border px-3 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">CTA text</label>
+                <input
+                  name="ctaText"
+                  value={form.ctaText}
+                  onChange={onChange}
+                  placeholder="Brand default"
+                  className="w-full rounded-lg border px-3 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Card date</label>
+                <input
+                  type="date"
+                  name="cardDate"
+                  value={form.cardDate}
+                  onChange={onChange}
+                  className="w-full rounded-lg border px-3 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium mb-1">Date language</label>
+                <select
+                  name="locale"
+                  value={form.locale}
+                  onChange={onChange}
+                  className="w-full rounded-lg border px-3 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-red-500"
+                >
+                  {CARD_LOCALES.map((l) => (
+                    <option key={l.name} value={l.name}>{l.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="hidden md:block" />
+              {form.kind === "card" && (
+                <div className="md:col-span-3">
+                  <label className="block text-sm font-medium mb-1">Template</label>
+                  <div className="flex flex-wrap gap-2">
+                    {templates.map((t) => (
+                      <button
+                        key={t.name}
+                        type="button"
+                        onClick={() => setForm((f) => ({ ...f, templateName: t.name }))}
+                        className={`px-3 py-1.5 rounded-lg border text-sm font-medium ${
+                          form.templateName === t.name ? "bg-red-600 text-white border-red-600" : "bg-white hover:bg-gray-50"
+                        }`}
+                      >
+                        {t.label}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              )}
+              <div className="md:col-span-3">
+                <label className="block text-sm font-medium mb-1">Output sizes</label>
+                <div className="flex flex-wrap items-center gap-2">
+                  {sizePresets.map((p) => (
+                    <label
+                      key={p.name}
+                      className={`inline-flex items-center gap-2 px-3 py-1.5 rounded-lg border text-sm cursor-pointer ${
+                        form.sizes.includes(p.name) ? "bg-red-50 border-red-300" : "bg-white hover:bg-gray-50"
+                      }`}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={form.sizes.includes(p.name)}
+                        onChange={() => toggleSize(p.name)}
+                        className="accent-red-600"
+                      />
+                      {p.label}
+                    </label>
+                  ))}
+                  <span className="inline-flex items-center gap-1 text-sm text-gray-600">
+                    Custom
+                    <input
+                      name="customWidth"
+                      value={form.customWidth}
+                      onChange={onChange}
+                      inputMode="numeric"
+                      placeholder="W"
+                      className="w-20 rounded-lg border px-2 py-1.5 focus:outline-none focus:ring-2 focus:ring-red-500"
+                    />
+                    ×
+                    <input
+                      name="customHeight"
+                      value={form.customHeight}
+                      onChange={onChange}
+                      inputMode="numeric"
+                      placeholder="H"
+                      className="w-20 rounded-lg border px-2 py-1.5 focus:outline-none focus:ring-2 focus:ring-red-500"
+                    />
+                  </span>
+                </div>
+              </div>
+              <div className="md:col-span-3 flex flex-wrap items-center gap-4">
+                <div>
+                  <label className="block text-sm font-medium mb-1">Format</label>
+                  <select
+                    name="format"
+                    value={form.format}
+                    onChange={onChange}
+                    className="rounded-lg border px-3 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-red-500"
+                  >
+                    {OUTPUT_FORMATS.map((f) => (
+                      <option key={f.name} value={f.name}>{f.label}</option>
+                    ))}
+                  </select>
+                </div>
+                {OUTPUT_FORMATS.find((f) => f.name === form.format)?.lossy && (
+                  <div className="flex-1 min-w-[200px]">
+                    <label className="block text-sm font-medium mb-1">Quality: {form.quality}</label>
+                    <input
+                      type="range"
+                      name="quality"
+                      min="40"
+                      max="100"
+                      value={form.quality}
+                      onChange={onChange}
+                      className="w-full accent-red-600"
+                    />
+                  </div>
+                )}
+              </div>
+              <div className="md:col-span-3">
+                <label className="block text-sm font-medium mb-1">Brand</label>
+                <select
+                  name="brandId"
+                  value={form.brandId}
+                  onChange={onChange}
+                  className="w-full md:w-80 rounded-lg border px-3 py-2 bg-white focus:outline-none focus:ring-2 focus:ring-red-500"
+                >
+                  <option value="">Default (Dhaka Heralds)</option>
+                  {brands.map((b) => (
+                    <option key={b.id} value={b.id}>{b.name}</option>
+                  ))}
+                </select>
+              </div>
+              <ImageInput
+                label="Background"
                 name="backgroundUrl"
-                value={form.backgroundUrl}
-                onChange={onChange}
-                placeholder="https://…"
-                className="w-full rounded-lg border px-3 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
-              />
-            </div>
-            <div>
-              <label className="block text-sm font-medium mb-1">News Image URL</label>
-              <input
-                name="newsImageUrl"
-                value={form.newsImageUrl}
-                onChange={onChange}
-                placeholder="https://…"
-                className="w-full rounded-lg border px-3 py-2 focus:outline-none focus:ring-2 focus:ring-red-500"
+                url={form.backgroundUrl}
+                asset={form.backgroundAsset}
+                apiBase={API_BASE}
+                // another picture starts without the previous one's focal point
+                onUrlChange={(e) => setForm((f) => ({ ...f, backgroundUrl: e.target.value, backgroundCrop: null }))}
+                onAssetChange={(asset) => setForm((f) => ({ ...f, backgroundAsset: asset, backgroundCrop: null }))}
+                crop={form.backgroundCrop}
+                onCropChange={(crop) => setForm((f) => ({ ...f, backgroundCrop: crop }))}
               />
+              {form.kind === "card" ? (
+                <ImageInput
+                  label="News Image"
+                  name="newsImageUrl"
+                  url={form.newsImageUrl}
+                  asset={form.newsImageAsset}
+                  apiBase={API_BASE}
+                  onUrlChange={(e) => setForm((f) => ({ ...f, newsImageUrl: e.target.value, newsImageCrop: null }))}
+                  onAssetChange={(asset) => setForm((f) => ({ ...f, newsImageAsset: asset, newsImageCrop: null }))}
+                  crop={form.newsImageCrop}
+                  onCropChange={(crop) => setForm((f) => ({ ...f, newsImageCrop: crop }))}
+                />
+              ) : (
+                // every slide has its own image; the background is shared
+                <div className="hidden md:block" />
+              )}
+              <div className="flex items-end gap-4 flex-wrap">
+                <label className="inline-flex items-center gap-2 text-sm pb-2.5">
+                  <input
+                    type="checkbox"
+                    checked={form.requireApproval}
+                    onChange={(e) => setForm((f) => ({ ...f, requireApproval: e.target.checked }))}
+                    className="accent-red-600"
+                  />
+                  Send for editor approval
+                </label>
+                <button
+                  type="submit"
+                  disabled={submitting}
+                  className="w-full md:w-auto inline-flex items-center justify-center gap-2 px-5 py-2.5 rounded-xl bg-red-600 text-white font-semibold shadow hover:bg-red-700 disabled:opacity-60"
+                >
+                  {submitting ? (
+                    <>
+                      <span className="animate-spin inline-block w-4 h-4 border-2 border-white border-t-transparent rounded-full" />
+                      Creating…
+                    </>
+                  ) : (
+                    <>Create Job</>
+                  )}
+                </button>
+              </div>
             </div>
-            <div className="flex items-end">
-              <button
-                type="submit"
-                disabled={submitting}
-                className="w-full md:w-auto inline-flex items-center justify-center gap-2 px-5 py-2.5 rounded-xl bg-red-600 text-white font-semibold shadow hover:bg-red-700 disabled:opacity-60"
-              >
-                {submitting ? (
-                  <>
-                    <span className="animate-spin inline-block w-4 h-4 border-2 border-white border-t-transparent rounded-full" />
-                    Creating…
-                  </>
-                ) : (
-                  <>Create Job</>
-                )}
-              </button>
-            </div>
-          </div>
-        </form>
+          </form>
+          <aside className="lg:sticky lg:top-4">
+            <CardPreview
+              form={form}
+              brand={brands.find((b) => b.id === form.brandId)}
+              sizes={previewSizes}
+              templates={templates}
+              slide={activeSlide}
+            />
+          </aside>
+        </div>
 
         {/* Latest Job */}
         <section className="mt-8 space-y-4">
           <div className="flex items-center justify-between">
             <h2 className="text-xl font-bold">Latest</h2>
             <div className="flex items-center gap-2">
+              <Link href="/history" className="text-sm px-3 py-1.5 rounded-lg border bg-white hover:bg-gray-50">
+                Search all cards
+              </Link>
               <button
                 onClick={onToggleHistory}
                 className="text-sm px-3 py-1.5 rounded-lg border bg-white hover:bg-gray-50"
@@ -441,9 +1088,10 @@ export default function HomePage() {
               </button>
               <button
                 onClick={clearHistoryFromUI}
+                title="Only empties this list; use Delete on a card to remove it for good"
                 className="text-sm px-3 py-1.5 rounded-lg border bg-white hover:bg-gray-50"
               >
-                Clear History
+                Clear List
               </button>
             </div>
           </div>
@@ -458,7 +1106,25 @@ export default function HomePage() {
         {/* History (optional view) */}
         {showHistory && (
           <section className="mt-8">
-            <h2 className="text-lg font-semibold mb-3">History (latest 10)</h2>
+            <div className="flex items-center justify-between mb-3">
+              <h2 className="text-lg font-semibold">History (latest 10)</h2>
+              {me?.kind === "user" && me.teamId && (
+                <div className="flex rounded-lg border bg-white overflow-hidden text-sm">
+                  {[["mine", "My cards"], ["team", "My team's cards"]].map(([scope, label]) => (
+                    <button
+                      key={scope}
+                      onClick={() => {
+                        setHistoryScope(scope);
+                        loadHistory(scope);
+                      }}
+                      className={`px-3 py-1.5 ${historyScope === scope ? "bg-gray-900 text-white" : "hover:bg-gray-50"}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
             <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
               {jobs.map((j) => (
                 <JobCard key={j.id} job={j} />
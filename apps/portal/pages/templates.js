@@ -0,0 +1,304 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import Link from "next/link";
+import { resolveApiBase } from "../lib/apiBase";
+import { authFetch, hasScope, useAuth } from "../lib/auth";
+import { DEFAULT_DEFINITION } from "../lib/cardTemplates";
+import TemplateEditor from "../components/TemplateEditor";
+
+/**
+ * Card template editor on top of the template endpoints:
+ *   GET    /templates?archived=1       -> built-in layouts, then the stored templates (with definition)
+ *   POST   /templates                  -> { name, label, definition } becomes version 1
+ *   PUT    /templates/:id              -> { label?, definition?, archived? } (a changed definition adds a version)
+ *   GET    /templates/:id?version=n    -> one version's definition
+ *   GET    /templates/:id/versions     -> [{ id, version, createdAt, createdBy, jobs }]
+ * Cards keep the version they were rendered with, so saving never changes cards already made.
+ */
+
+const FALLBACK_SIZES = [{ name: "square", label: "Square (1080×1080)", width: 1080, height: 1080 }];
+const NEW_DRAFT = { name: "", label: "", definition: DEFAULT_DEFINITION };
+
+export default function TemplatesPage() {
+  const API_BASE = useMemo(() => resolveApiBase(), []);
+  const me = useAuth();
+  const canEdit = hasScope(me, "templates:write");
+  const [templates, setTemplates] = useState([]);
+  const [brands, setBrands] = useState([]);
+  const [sizes, setSizes] = useState(FALLBACK_SIZES);
+  const [sizeName, setSizeName] = useState("square");
+  const [brandId, setBrandId] = useState("");
+  const [headline, setHeadline] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState(NEW_DRAFT);
+  const [saved, setSaved] = useState(NEW_DRAFT); // the draft as last loaded or saved, to spot unsaved changes
+  const [versions, setVersions] = useState([]);
+  const [viewingVersion, setViewingVersion] = useState(null); // an older version loaded into the draft
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  const stored = templates.filter((t) => t.stored);
+  const current = stored.find((t) => t.id === editingId);
+  const size = sizes.find((s) => s.name === sizeName) || sizes[0];
+  const dirty = JSON.stringify(draft) !== JSON.stringify(saved);
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      const r = await authFetch(`${API_BASE}/templates?archived=1`);
+      const arr = r.ok ? await r.json() : [];
+      setTemplates(Array.isArray(arr) ? arr : []);
+    } catch {
+      setTemplates([]);
+    }
+  }, [API_BASE]);
+
+  const loadVersions = useCallback(async (id) => {
+    try {
+      const r = await authFetch(`${API_BASE}/templates/${id}/versions`);
+      setVersions(r.ok ? await r.json() : []);
+    } catch {
+      setVersions([]);
+    }
+  }, [API_BASE]);
+
+  useEffect(() => {
+    loadTemplates();
+    authFetch(`${API_BASE}/brands`)
+      .then((r) => (r.ok ? r.json() : []))
+      .then((arr) => setBrands(Array.isArray(arr) ? arr : []))
+      .catch(() => {});
+    authFetch(`${API_BASE}/sizes`)
+      .then((r) => (r.ok ? r.json() : []))
+      .then((arr) => Array.isArray(arr) && arr.length && setSizes(arr))
+      .catch(() => {});
+  }, [API_BASE, loadTemplates]);
+
+  const open = (template) => {
+    if (dirty && !window.confirm("Discard the unsaved changes?")) return;
+    const next = template
+      ? { name: template.name, label: template.label, definition: template.definition || DEFAULT_DEFINITION }
+      : NEW_DRAFT;
+    setEditingId(template?.id || null);
+    setDraft(next);
+    setSaved(next);
+    setViewingVersion(null);
+    setError("");
+    setNotice("");
+    if (template) loadVersions(template.id);
+    else setVersions([]);
+  };
+
+  const call = async (url, options) => {
+    setBusy(true);
+    setError("");
+    setNotice("");
+    try {
+      const r = await authFetch(url, options);
+      const j = r.status === 204 ? {} : await r.json().catch(() => ({}));
+      if (!r.ok) throw new Error(j.error || "Request failed");
+      return j;
+    } catch (e) {
+      setError(e.message || "Request failed");
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const onSave = async () => {
+    const body = editingId
+      ? { label: draft.label, definition: draft.definition }
+      : { name: draft.name.trim(), label: draft.label, definition: draft.definition };
+    const template = await call(editingId ? `${API_BASE}/templates/${editingId}` : `${API_BASE}/templates`, {
+      method: editingId ? "PUT" : "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    if (!template) return;
+    const next = { name: template.name, label: template.label, definition: template.definition };
+    setEditingId(template.id);
+    setDraft(next);
+    setSaved(next);
+    setViewingVersion(null);
+    setNotice(current && template.version === current.version ? "Saved (layout unchanged)." : `Saved as version ${template.version}.`);
+    await Promise.all([loadTemplates(), loadVersions(template.id)]);
+  };
+
+  const onArchive = async (archived) => {
+    if (archived && !window.confirm(`Archive "${current.label}"? New cards can't use it; existing cards keep it.`)) return;
+    const template = await call(`${API_BASE}/templates/${current.id}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ archived }),
+    });
+    if (template) await loadTemplates();
+  };
+
+  // Load an older version into the editor; saving it makes it the latest version again
+  const onViewVersion = async (version) => {
+    const template = await call(`${API_BASE}/templates/${current.id}?version=${version}`);
+    if (!template) return;
+    setDraft((d) => ({ ...d, definition: template.definition }));
+    setViewingVersion(version === current.version ? null : version);
+  };
+
+  const inputClass = "w-full rounded-lg border px-3 py-2 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-red-500";
+
+  if (!canEdit) {
+    return (
+      <div className="min-h-screen bg-gradient-to-b from-gray-50 to-white">
+        <div className="max-w-3xl mx-auto px-4 py-10 space-y-4">
+          <h1 className="text-2xl font-extrabold tracking-tight">Card templates</h1>
+          <p className="text-sm text-gray-600">Only admins can edit card templates.</p>
+          <Link href="/" className="text-sm text-red-600 hover:underline">← Back to the generator</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-gray-50 to-white">
+      <div className="max-w-7xl mx-auto px-4 py-10">
+        <header className="flex items-center justify-between gap-4 mb-6">
+          <h1 className="text-2xl md:text-3xl font-extrabold tracking-tight">Card templates</h1>
+          <Link href="/" className="text-sm px-3 py-1.5 rounded-lg border bg-white hover:bg-gray-50">
+            ← New card
+          </Link>
+        </header>
+
+        <div className="grid grid-cols-1 lg:grid-cols-[220px_minmax(0,1fr)] gap-6">
+          <aside className="space-y-2">
+            <div className="flex items-center justify-between">
+              <h2 className="font-bold">Templates</h2>
+              <button type="button" onClick={() => open(null)} className="text-xs px-2 py-1 rounded-md bg-gray-100 hover:bg-gray-200">
+                + New
+              </button>
+            </div>
+            {stored.length === 0 && <div className="text-sm text-gray-500">No templates made in the editor yet.</div>}
+            {stored.map((t) => (
+              <button
+                key={t.id}
+                type="button"
+                onClick={() => open(t)}
+                className={`w-full rounded-lg border px-2 py-1.5 text-left text-sm ${editingId === t.id ? "border-red-300 bg-red-50" : "bg-white"}`}
+              >
+                <span className={`block font-medium truncate ${t.archivedAt ? "text-gray-400 line-through" : ""}`}>{t.label}</span>
+                <span className="block text-xs text-gray-500">{t.name} · v{t.version}</span>
+              </button>
+            ))}
+
+            {current && versions.length > 0 && (
+              <div className="pt-4 space-y-1">
+                <h3 className="font-semibold text-sm">Versions</h3>
+                {versions.map((v) => (
+                  <button
+                    key={v.id}
+                    type="button"
+                    onClick={() => onViewVersion(v.version)}
+                    className={`w-full rounded-md px-2 py-1 text-left text-xs hover:bg-gray-100 ${
+                      (viewingVersion ?? current.version) === v.version ? "bg-gray-100 font-semibold" : ""
+                    }`}
+                  >
+                    v{v.version} · {new Date(v.createdAt).toLocaleDateString()}
+                    {v.createdBy ? ` · ${v.createdBy.name}` : ""}
+                    <span className="block text-gray-500">{v.jobs} card{v.jobs === 1 ? "" : "s"}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </aside>
+
+          <main className="bg-white border rounded-2xl shadow p-5 space-y-5">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-3">
+              <label className="block">
+                <span className="block text-xs font-medium text-gray-600 mb-1">Name (used by jobs)</span>
+                <input
+                  value={draft.name}
+                  disabled={Boolean(editingId)}
+                  onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value.toLowerCase() }))}
+                  placeholder="election-night"
+                  className={`${inputClass} disabled:bg-gray-50`}
+                />
+              </label>
+              <label className="block">
+                <span className="block text-xs font-medium text-gray-600 mb-1">Label</span>
+                <input
+                  value={draft.label}
+                  onChange={(e) => setDraft((d) => ({ ...d, label: e.target.value }))}
+                  placeholder="Election night"
+                  className={inputClass}
+                />
+              </label>
+              <label className="block">
+                <span className="block text-xs font-medium text-gray-600 mb-1">Preview size</span>
+                <select value={size.name} onChange={(e) => setSizeName(e.target.value)} className={inputClass}>
+                  {sizes.map((s) => <option key={s.name} value={s.name}>{s.label}</option>)}
+                </select>
+              </label>
+              <label className="block">
+                <span className="block text-xs font-medium text-gray-600 mb-1">Preview brand</span>
+                <select value={brandId} onChange={(e) => setBrandId(e.target.value)} className={inputClass}>
+                  <option value="">Default</option>
+                  {brands.map((b) => <option key={b.id} value={b.id}>{b.name}</option>)}
+                </select>
+              </label>
+            </div>
+            <input
+              value={headline}
+              onChange={(e) => setHeadline(e.target.value)}
+              placeholder="Sample headline for the canvas…"
+              className={inputClass}
+            />
+
+            <TemplateEditor
+              definition={draft.definition}
+              onChange={(definition) => setDraft((d) => ({ ...d, definition }))}
+              size={size}
+              brand={brands.find((b) => b.id === brandId)}
+              headline={headline}
+            />
+
+            {viewingVersion && (
+              <div className="text-sm text-amber-700">
+                Showing version {viewingVersion}. Save to make it the latest version again.
+              </div>
+            )}
+            {error && <div className="text-sm text-red-600">{error}</div>}
+            {notice && <div className="text-sm text-green-700">{notice}</div>}
+            <div className="flex flex-wrap items-center gap-2">
+              <button
+                type="button"
+                onClick={onSave}
+                disabled={busy || (!editingId && !draft.name.trim()) || (editingId && !dirty)}
+                className="px-4 py-2 rounded-xl bg-gray-900 text-white text-sm font-semibold disabled:opacity-60"
+              >
+                {editingId ? "Save new version" : "Create template"}
+              </button>
+              <button
+                type="button"
+                onClick={() => {
+                  setDraft(saved);
+                  setViewingVersion(null);
+                }}
+                disabled={busy || !dirty}
+                className="px-4 py-2 rounded-xl border text-sm disabled:opacity-60"
+              >
+                Undo changes
+              </button>
+              {current && (
+                <button
+                  type="button"
+                  onClick={() => onArchive(!current.archivedAt)}
+                  disabled={busy}
+                  className="ml-auto text-sm text-red-600 hover:underline disabled:opacity-60"
+                >
+                  {current.archivedAt ? "Restore template" : "Archive template"}
+                </button>
+              )}
+            </div>
+          </main>
+        </div>
+      </div>
+    </div>
+  );
+}
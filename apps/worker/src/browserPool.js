@@ -0,0 +1,167 @@
+// One long-lived Chromium shared by all renders of this worker process. Each render borrows a browser
+// context instead of launching a browser; contexts are kept (up to `size`, the worker's concurrency) and
+// reused with their pages closed and cookies cleared. Contexts run without JavaScript, since card HTML
+// carries user text; what the worker needs done in a page it runs with page.evaluate.
+// The browser is replaced (recycled):
+//   - after WORKER_BROWSER_MAX_RENDERS renders (default 500, 0 = never), or
+//   - when its processes hold more than WORKER_BROWSER_MAX_RSS_MB resident memory (default 1536, 0 = never;
+//     read from /proc, so Linux only)
+// A recycled browser finishes the renders it has and then closes. When Chromium crashes, the renders in
+// it fail with BROWSER_CRASHED (BullMQ retries them) and the next render launches a new browser.
+import fs from 'node:fs';
+import { chromium } from 'playwright';
+import { RenderError, STAGES } from './errors.js';
+
+// Resident memory of a browser's processes (browser, renderers, GPU…) in MB; null when it can't be read
+async function browserRssMb(browser) {
+  let session;
+  try {
+    session = await browser.newBrowserCDPSession();
+    const { processInfo } = await session.send('SystemInfo.getProcessInfo');
+    let kb = 0;
+    for (const { id } of processInfo) {
+      try {
+        const m = fs.readFileSync(`/proc/${id}/status`, 'utf8').match(/^VmRSS:\s+(\d+)/m);
+        if (m) kb += Number(m[1]);
+      } catch {
+        // exited since the list was made
+      }
+    }
+    return kb ? Math.round(kb / 1024) : null;
+  } catch {
+    return null;
+  } finally {
+    session?.detach().catch(() => {});
+  }
+}
+
+export function createBrowserPool({
+  size = 1,
+  maxRenders = Number(process.env.WORKER_BROWSER_MAX_RENDERS ?? 500),
+  maxRssMb = Number(process.env.WORKER_BROWSER_MAX_RSS_MB ?? 1536),
+  launch = () => chromium.launch(),
+} = {}) {
+  const stats = { launches: 0, recycles: 0, crashes: 0, renders: 0 };
+  let generation = 0;
+  // the browser new renders go to: { generation, ready, browser, renders, leases, idle, retired, closing }
+  let current = null;
+
+  function startBrowser() {
+    const entry = { generation: ++generation, browser: null, renders: 0, leases: 0, idle: [], retired: false, closing: false };
+    stats.launches++;
+    entry.ready = launch().then((browser) => {
+      entry.browser = browser;
+      browser.on('disconnected', () => {
+        if (!entry.closing) {
+          stats.crashes++;
+          console.error(`Chromium #${entry.generation} disconnected with ${entry.leases} render(s) in it; the next render launches a new one`);
+        }
+        entry.retired = true;
+        if (current === entry) current = null;
+      });
+      console.log(`Chromium #${entry.generation} launched`);
+      return browser;
+    }, (e) => {
+      if (current === entry) current = null;
+      throw new RenderError('BROWSER_LAUNCH_FAILED', `Could not start Chromium: ${e?.message || e}`, { stage: STAGES.PAGE_LOAD, cause: e });
+    });
+    return entry;
+  }
+
+  // Close a retired browser once its last render is done
+  function closeIfDrained(entry) {
+    if (!entry.retired || entry.leases || entry.closing) return;
+    entry.closing = true;
+    entry.ready.then((browser) => browser.close()).catch(() => {});
+  }
+
+  function retire(entry, reason) {
+    if (entry.retired) return;
+    entry.retired = true;
+    if (current === entry) current = null;
+    stats.recycles++;
+    console.log(`Recycling Chromium #${entry.generation} after ${entry.renders} renders (${reason})`);
+  }
+
+  async function release(entry, context) {
+    entry.renders++;
+    stats.renders++;
+    const connected = entry.browser?.isConnected();
+    if (connected && !entry.retired && entry.idle.length < size) {
+      try {
+        await Promise.all(context.pages().map((page) => page.close()));
+        await context.clearCookies();
+        entry.idle.push(context);
+      } catch {
+        context.close().catch(() => {});
+      }
+    } else if (connected) {
+      await context.close().catch(() => {});
+    }
+    if (connected && !entry.retired) {
+      if (maxRenders > 0 && entry.renders >= maxRenders) {
+        retire(entry, `limit of ${maxRenders}`);
+      } else if (maxRssMb > 0) {
+        const rss = await browserRssMb(entry.browser);
+        if (rss != null && rss > maxRssMb) retire(entry, `${rss} MB resident, limit ${maxRssMb} MB`);
+      }
+    }
+    entry.leases--;
+    closeIfDrained(entry);
+  }
+
+  // Run `fn(context, { cold, generation })` with a pooled context; `cold` is true when this render had
+  // to wait for the browser to start. Crashes surface as RenderError BROWSER_CRASHED.
+  async function withContext(fn) {
+    if (!current) current = startBrowser();
+    const entry = current;
+    const cold = !entry.browser;
+    entry.leases++;
+    let context;
+    try {
+      const browser = await entry.ready;
+      context = entry.idle.pop() || (await browser.newContext({ javaScriptEnabled: false }));
+    } catch (e) {
+      entry.leases--;
+      closeIfDrained(entry);
+      if (e instanceof RenderError) throw e;
+      throw new RenderError('BROWSER_CRASHED', `Could not open a browser context: ${e?.message || e}`, { stage: STAGES.PAGE_LOAD, cause: e });
+    }
+    try {
+      return await fn(context, { cold, generation: entry.generation });
+    } catch (e) {
+      if (!entry.browser.isConnected() && !(e instanceof RenderError && e.code === 'BROWSER_CRASHED')) {
+        throw new RenderError('BROWSER_CRASHED', `Chromium crashed during the render: ${e?.message || e}`, { stage: STAGES.PAGE_LOAD, cause: e });
+      }
+      throw e;
+    } finally {
+      await release(entry, context);
+    }
+  }
+
+  // Counters since start plus the state of the current browser
+  async function getStats() {
+    const entry = current;
+    return {
+      ...stats,
+      size,
+      maxRenders,
+      maxRssMb,
+      browser: entry?.browser
+        ? { generation: entry.generation, renders: entry.renders, inUse: entry.leases, idleContexts: entry.idle.length, rssMb: await browserRssMb(entry.browser) }
+        : null,
+    };
+  }
+
+  // Shut down: close the current browser (renders still in it fail)
+  async function close() {
+    const entry = current;
+    current = null;
+    if (!entry) return;
+    entry.retired = true;
+    entry.closing = true;
+    await entry.ready.then((browser) => browser.close()).catch(() => {});
+  }
+
+  return { withContext, stats: getStats, close };
+}
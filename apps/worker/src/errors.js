@@ -0,0 +1,39 @@
+// Structured render failures and warnings, reported to the API with the job status.
+
+// Where in the pipeline something went wrong
+export const STAGES = {
+  FETCH_ASSETS: 'fetch_assets',
+  PAGE_LOAD: 'page_load',
+  SCREENSHOT: 'screenshot',
+  STORE: 'store',
+};
+
+export class RenderError extends Error {
+  constructor(code, message, { stage, assetUrl, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'RenderError';
+    this.code = code;
+    this.stage = stage || null;
+    this.assetUrl = assetUrl || null;
+  }
+}
+
+// Plain object the API stores in Job.error; unexpected errors become RENDER_FAILED.
+export function toFailure(err) {
+  if (err instanceof RenderError) {
+    return { code: err.code, message: err.message, stage: err.stage, assetUrl: err.assetUrl };
+  }
+  return { code: 'RENDER_FAILED', message: String(err?.message || err), stage: null, assetUrl: null };
+}
+
+// Collects non-fatal problems during one render; each is logged and kept for Job.warnings.
+export function createWarnings() {
+  const list = [];
+  return {
+    list,
+    add(code, message, { stage, assetUrl } = {}) {
+      console.warn(`[${code}]`, message, assetUrl || '');
+      list.push({ code, message: String(message), stage: stage || null, assetUrl: assetUrl || null, at: new Date().toISOString() });
+    },
+  };
+}
@@ -0,0 +1,153 @@
+// Shared cache for remote input images (news / background photos, Drive files), so a picture used on
+// many cards is downloaded and stored once. It lives in IMAGE_CACHE_DIR, outside the public OUTPUT_DIR;
+// the page loads cached files through a route handler (see capturePage), never over the network.
+//
+// Layout (the API reads it for GET /cache/stats):
+//   blobs/<sha256 of content>.<ext>  the image bytes; mtime is bumped on every use (LRU order)
+//   urls/<sha256 of url>.json        { url, blob, contentType, etag, lastModified, checkedAt }
+//   stats/<host>.json                counters of each worker process
+//
+// A URL checked within IMAGE_CACHE_REVALIDATE_MS is used as is; older ones are revalidated, with
+// If-None-Match / If-Modified-Since when the host sent validators. When the blobs pass
+// IMAGE_CACHE_MAX_BYTES the least recently used are deleted, except those used within `inUseMs`:
+// renders (of any worker sharing the directory) read their blobs through `use`, which bumps the mtime,
+// so a blob isn't deleted under a page that is about to load it. URL records whose blob is gone count
+// as misses. If a revalidation can't reach the host, the cached copy is used (`stale`).
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+// revalidation failures that fall back to the cached copy (policy refusals never do)
+const STALE_OK = ['TIMEOUT', 'CONNECT_FAILED', 'DNS_FAILED', 'UPSTREAM_STATUS'];
+const COUNTER = { hit: 'hits', revalidated: 'revalidated', stale: 'stale', miss: 'misses' };
+
+const sha256 = (v) => crypto.createHash('sha256').update(v).digest('hex');
+
+export function createImageCache({
+  dir = process.env.IMAGE_CACHE_DIR || '/app/cache',
+  maxBytes = Number(process.env.IMAGE_CACHE_MAX_BYTES || 1024 * 1024 * 1024),
+  revalidateMs = Number(process.env.IMAGE_CACHE_REVALIDATE_MS || 10 * 60 * 1000),
+  inUseMs = 10 * 60 * 1000,
+} = {}) {
+  const blobDir = path.join(dir, 'blobs');
+  const urlDir = path.join(dir, 'urls');
+  const statsFile = path.join(dir, 'stats', `${os.hostname()}.json`);
+  for (const d of [blobDir, urlDir, path.dirname(statsFile)]) fs.mkdirSync(d, { recursive: true });
+
+  const readJson = (file) => {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      return null;
+    }
+  };
+  // counters carry over restarts of the same host (container)
+  const stats = { hits: 0, revalidated: 0, stale: 0, misses: 0, evictions: 0, ...readJson(statsFile), maxBytes };
+  const saveStats = () => {
+    stats.updatedAt = new Date().toISOString();
+    fs.writeFileSync(statsFile, JSON.stringify(stats));
+  };
+
+  const blobPath = (name) => path.join(blobDir, path.basename(name));
+  const touch = (file) => {
+    const now = new Date();
+    fs.utimesSync(file, now, now);
+  };
+  // The file of a blob a render is reading, marked as just used so eviction leaves it alone
+  const use = (name) => {
+    const file = blobPath(name);
+    try {
+      touch(file);
+    } catch {
+      // gone: the caller's read fails as it would have anyway
+    }
+    return file;
+  };
+
+  // Delete least recently used blobs until the cache fits its budget; `keep` and blobs used within
+  // `inUseMs` are never deleted, so the cache may stay over budget while renders hold it
+  function evict(keep) {
+    const busySince = Date.now() - inUseMs;
+    const blobs = fs.readdirSync(blobDir).map((name) => {
+      try {
+        const st = fs.statSync(path.join(blobDir, name));
+        return { name, size: st.size, used: st.mtimeMs };
+      } catch {
+        return null;
+      }
+    }).filter(Boolean);
+    let total = blobs.reduce((sum, b) => sum + b.size, 0);
+    for (const b of blobs.sort((a, z) => a.used - z.used)) {
+      if (total <= maxBytes) break;
+      if (b.name === keep || b.used > busySince) continue;
+      fs.rmSync(path.join(blobDir, b.name), { force: true });
+      total -= b.size;
+      stats.evictions++;
+    }
+  }
+
+  // Store fetched bytes under their content hash and point the URL record at them
+  function store(recordFile, url, r) {
+    const blob = `${sha256(r.body)}.${r.ext}`;
+    const file = blobPath(blob);
+    if (fs.existsSync(file)) touch(file);
+    else fs.writeFileSync(file, r.body);
+    const record = {
+      url,
+      blob,
+      contentType: r.contentType,
+      etag: r.headers.etag || null,
+      lastModified: r.headers['last-modified'] || null,
+      checkedAt: Date.now(),
+    };
+    fs.writeFileSync(recordFile, JSON.stringify(record));
+    evict(blob);
+    return record;
+  }
+
+  // The cached copy of `url`, fetched or revalidated as needed. `load(headers)` does the request
+  // (safeFetch with the conditional headers) and may answer 304. Resolves { blob, contentType, bytes, cache }.
+  async function get(url, load) {
+    const recordFile = path.join(urlDir, `${sha256(url)}.json`);
+    let record = readJson(recordFile);
+    // marked as used before anything else, so another render's eviction can't take it meanwhile
+    if (record && !fs.existsSync(use(record.blob))) record = null;
+    let outcome;
+
+    if (record && Date.now() - record.checkedAt < revalidateMs) {
+      outcome = 'hit';
+    } else if (record) {
+      const headers = {};
+      if (record.etag) headers['If-None-Match'] = record.etag;
+      if (record.lastModified) headers['If-Modified-Since'] = record.lastModified;
+      try {
+        const r = await load(headers);
+        if (r.status === 304) {
+          record = { ...record, checkedAt: Date.now() };
+          fs.writeFileSync(recordFile, JSON.stringify(record));
+          outcome = 'revalidated';
+        } else {
+          record = store(recordFile, url, r);
+          outcome = 'miss';
+        }
+      } catch (e) {
+        // the host is down or slow: the copy we have beats no image
+        if (!STALE_OK.includes(e?.code)) throw e;
+        console.warn('Image revalidation failed, using cached copy', url, e.message);
+        outcome = 'stale';
+      }
+    } else {
+      record = store(recordFile, url, await load({}));
+      outcome = 'miss';
+    }
+
+    const file = blobPath(record.blob);
+    touch(file);
+    stats[COUNTER[outcome]]++;
+    saveStats();
+    return { blob: record.blob, contentType: record.contentType, bytes: fs.statSync(file).size, cache: outcome };
+  }
+
+  return { get, use };
+}
@@ -0,0 +1,43 @@
+import {
+  baseStyles, brandOf, layout, logoBlock, headlineBlock, ctaLabel, creditsBlock, footerBlock, backgroundBlock, formatCardDate, page,
+} from './partials.js';
+
+// Breaking-news banner: red "BREAKING" strap across the lower half,
+// news image framed above it (beside it on wide canvases).
+export default {
+  name: 'breaking',
+  label: 'Breaking news',
+  render: (ctx) => {
+    const { u, orientation } = layout(ctx);
+    const brand = brandOf(ctx);
+    const imageBox = orientation === 'landscape'
+      ? `left:52%; right:${u(60)}; top:${u(150)}; bottom:${u(60)}; width:auto; height:auto;`
+      : `left:${u(60)}; right:${u(60)}; top:${u(150)}; width:calc(100% - ${u(120)}); height:${orientation === 'portrait' ? '40%' : '48%'};`;
+    const bannerBox = orientation === 'landscape'
+      ? `left:0; right:50%; bottom:${u(90)};`
+      : `left:0; right:0; bottom:${u(orientation === 'portrait' ? 320 : 90)};`;
+    return page({
+      styles: `${baseStyles(ctx)}
+  body{background:#0f172a}
+  .bgimg{filter:brightness(.55)}
+  .date{position:absolute; top:${u(24)}; right:${u(24)}; padding:${u(8)} ${u(12)}; border-radius:${u(8)}; font-size:${u(16)}; font-weight:700; background:rgba(0,0,0,0.55)}
+  .newsimg{position:absolute; ${imageBox} object-fit:cover; border-radius:${u(12)}; box-shadow:0 20px 50px rgba(0,0,0,.5)}
+  .banner{position:absolute; ${bannerBox} display:flex; flex-direction:column}
+  .strap{align-self:flex-start; background:${brand.primaryColor || '#dc2626'}; padding:${u(10)} ${u(40)}; font-size:${u(34)}; font-weight:900; letter-spacing:.12em; text-transform:uppercase}
+  .headline{background:rgba(255,255,255,0.96); color:#111827; ${brand.accentColor ? `border-left:${u(12)} solid ${brand.accentColor}; ` : ''}padding:${u(28)} ${u(40)}; font-size:${u(52)}; line-height:1.2; font-weight:700}
+  .cta{position:absolute; right:${u(40)}; bottom:${u(32)}; font-size:${u(16)}; font-weight:800; opacity:.85}`,
+      body: `
+  ${logoBlock(ctx)}
+  ${backgroundBlock(ctx)}
+  <div class="date">${formatCardDate(ctx)}</div>
+  ${ctx.newsImageUrl ? `<img class="newsimg" src="${ctx.newsImageUrl}" alt="news"/>` : ''}
+  <div class="banner">
+    <div class="strap">Breaking</div>
+    ${headlineBlock(ctx, { min: 30, max: 56, lines: 3 })}
+  </div>
+  <div class="cta">${ctaLabel(ctx)}</div>
+  ${footerBlock(ctx)}
+  ${creditsBlock(ctx)}`,
+    });
+  },
+};
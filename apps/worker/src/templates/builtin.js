@@ -0,0 +1,11 @@
+// The built-in layouts, without the registry's Node-only loader (index.js). The portal's live preview
+// imports this module too (apps/portal/lib/cardTemplates.js), so the preview and the worker build a
+// card from the same template code.
+import glass from './glass.js';
+import fullbleed from './fullbleed.js';
+import quote from './quote.js';
+import breaking from './breaking.js';
+
+export const DEFAULT_TEMPLATE = 'default';
+
+export const BUILT_IN_TEMPLATES = [glass, fullbleed, quote, breaking];
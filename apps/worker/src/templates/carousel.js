@@ -0,0 +1,83 @@
+import {
+  baseStyles, brandOf, layout, esc, logoBlock, headlineBlock, ctaLabel, creditsBlock, footerBlock, backgroundBlock, formatCardDate, page,
+} from './partials.js';
+
+// Carousel slides (jobs of kind "carousel"). `ctx.slide` is { type, title, subheadline, bullets, text,
+// number, count } and the slide's image comes as ctx.newsImageUrl / newsImageCrop. Every slide shares
+// the brand colours, logo, background and the "n / N" counter with progress dots, so the post reads
+// as one piece: a cover (image and title), bullet slides, and a closing slide with the CTA.
+// Not in the template registry: the worker renders carousels with renderSlide whatever templateName says.
+
+// Image and text side by side on wide canvases, stacked otherwise; the image takes this share of it
+const IMAGE_SHARE = { cover: 0.5, bullets: 0.34, closing: 0.3 };
+
+const number = (n, locale) => n.toLocaleString(locale === 'en' ? 'en-GB' : 'bn-BD', { useGrouping: false });
+
+export const renderSlide = (ctx) => {
+  const { u, orientation } = layout(ctx);
+  const brand = brandOf(ctx);
+  const accent = brand.accentColor || '#f59e0b';
+  const { type, title, subheadline, bullets = [], text, number: n, count } = ctx.slide;
+  const wide = orientation === 'landscape';
+  const image = ctx.newsImageUrl ? `<img class="newsimg" src="${ctx.newsImageUrl}" alt=""/>` : '';
+  const share = `${Math.round(IMAGE_SHARE[type] * 100)}%`;
+  // the closing slide's image is a round badge above the CTA
+  const imageCss = type === 'closing'
+    ? `flex:0 0 ${share}; aspect-ratio:1; ${wide ? 'height:auto' : 'width:auto'}; object-fit:cover; border-radius:50%; border:${u(6)} solid ${accent}`
+    : `flex:0 0 ${share}; ${wide ? 'height:100%' : 'width:100%'}; object-fit:cover; border-radius:${u(24)}`;
+  const en = ctx.locale === 'en';
+  const titleBlock = headlineBlock({ ...ctx, headline: title, subheadline }, type === 'bullets'
+    ? { min: 28, max: 52, lines: 2 }
+    : { min: 34, max: type === 'cover' ? 72 : 60, lines: 4 });
+
+  let copy;
+  if (type === 'cover') {
+    copy = `${titleBlock}
+      <div class="date">${formatCardDate(ctx)}</div>
+      ${text ? `<p class="text">${esc(text)}</p>` : ''}
+      <div class="swipe">${en ? 'Swipe' : 'সোয়াইপ করুন'} &rarr;</div>`;
+  } else if (type === 'bullets') {
+    copy = `${titleBlock}
+      <ul class="bullets">${bullets.map((b) => `<li>${esc(b)}</li>`).join('')}</ul>
+      ${text ? `<p class="text">${esc(text)}</p>` : ''}`;
+  } else {
+    copy = `${titleBlock}
+      ${text ? `<p class="text">${esc(text)}</p>` : ''}
+      <div class="cta">${ctaLabel(ctx)}</div>`;
+  }
+
+  return page({
+    styles: `${baseStyles(ctx)}
+  body{background:${brand.primaryColor || '#111827'}}
+  .bgimg{filter:blur(${u(6)}) brightness(.35); transform:scale(1.05)}
+  .bar{position:absolute; left:0; top:0; height:${u(10)}; width:${Math.round((n / count) * 100)}%; background:${accent}}
+  .counter{position:absolute; top:${u(36)}; right:${u(36)}; padding:${u(8)} ${u(16)}; border-radius:${u(999)}; font-size:${u(22)}; font-weight:800; letter-spacing:.04em; background:rgba(0,0,0,0.35)}
+  .content{position:absolute; left:${u(72)}; right:${u(72)}; top:${u(170)}; bottom:${u(110)}; display:flex; flex-direction:${wide ? 'row' : 'column'}; gap:${u(40)}; ${type === 'closing' ? 'align-items:center; text-align:center;' : ''}}
+  .newsimg{${imageCss}}
+  .copy{flex:1; min-width:0; min-height:0; overflow:hidden; display:flex; flex-direction:column; justify-content:center; gap:${u(24)}; ${type === 'closing' ? 'align-items:center;' : ''}}
+  .headline{font-size:${u(type === 'bullets' ? 48 : 64)}; line-height:1.2; font-weight:800}
+  .kicker{color:${accent}}
+  .date{font-size:${u(20)}; font-weight:700; opacity:.8}
+  .text{margin:0; font-size:${u(28)}; line-height:1.45; opacity:.9}
+  .bullets{margin:0; padding:0; list-style:none; display:flex; flex-direction:column; gap:${u(bullets.length > 4 ? 12 : 20)}}
+  .bullets li{position:relative; padding-left:${u(40)}; font-size:${u(bullets.length > 4 ? 28 : 34)}; line-height:1.35}
+  .bullets li::before{content:""; position:absolute; left:0; top:.45em; width:${u(16)}; height:${u(16)}; border-radius:${u(4)}; background:${accent}}
+  .swipe{font-size:${u(22)}; font-weight:800; color:${accent}}
+  .cta{align-self:center; padding:${u(16)} ${u(40)}; border-radius:${u(999)}; font-size:${u(28)}; font-weight:800; background:${accent}; color:#111827}
+  .dots{position:absolute; left:50%; transform:translateX(-50%); bottom:${u(48)}; display:flex; gap:${u(10)}}
+  .dots span{width:${u(12)}; height:${u(12)}; border-radius:50%; background:rgba(255,255,255,0.35)}
+  .dots span.on{width:${u(32)}; border-radius:${u(6)}; background:${accent}}`,
+    body: `
+  ${backgroundBlock(ctx)}
+  <div class="bar"></div>
+  ${logoBlock(ctx)}
+  <div class="counter">${number(n, ctx.locale)} / ${number(count, ctx.locale)}</div>
+  <div class="content">
+    ${image}
+    <div class="copy">${copy}</div>
+  </div>
+  <div class="dots">${Array.from({ length: count }, (_, i) => `<span${i + 1 === n ? ' class="on"' : ''}></span>`).join('')}</div>
+  ${footerBlock(ctx)}
+  ${creditsBlock(ctx)}`,
+  });
+};
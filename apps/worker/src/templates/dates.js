@@ -0,0 +1,43 @@
+// Date badge text in the card's locale: Bangla (Gregorian), English, or the Bangla calendar (Bangabda).
+
+const BANGLA_MONTHS = ['বৈশাখ', 'জ্যৈষ্ঠ', 'আষাঢ়', 'শ্রাবণ', 'ভাদ্র', 'আশ্বিন', 'কার্তিক', 'অগ্রহায়ণ', 'পৌষ', 'মাঘ', 'ফাল্গুন', 'চৈত্র'];
+
+const isLeapYear = (y) => (y % 4 === 0 && y % 100 !== 0) || y % 400 === 0;
+
+// Bangladesh's revised Bangla calendar (2019): the year starts on 14 April, Boishakh–Ashwin
+// have 31 days, Kartik–Magh and Choitro 30, Falgun 29 (30 when its Gregorian year is a leap year).
+export function toBanglaCalendar(date) {
+  const y = date.getUTCFullYear();
+  const startYear = date >= new Date(Date.UTC(y, 3, 14)) ? y : y - 1;
+  let day = Math.floor((date - new Date(Date.UTC(startYear, 3, 14))) / 86400000);
+  const lengths = [31, 31, 31, 31, 31, 31, 30, 30, 30, 30, isLeapYear(startYear + 1) ? 30 : 29, 30];
+  let month = 0;
+  while (day >= lengths[month]) {
+    day -= lengths[month];
+    month += 1;
+  }
+  return { year: startYear - 593, month, day: day + 1 };
+}
+
+// `cardDate` (an override, ISO string or Date) is a calendar day; without it the render day is used.
+// Both are pinned to UTC noon so formatting never shifts the day.
+function calendarDay(cardDate) {
+  if (cardDate) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})/.exec(typeof cardDate === 'string' ? cardDate : new Date(cardDate).toISOString());
+    if (m) return new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]), 12));
+  }
+  const now = new Date();
+  return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate(), 12));
+}
+
+export function formatCardDate({ cardDate, locale = 'bn' } = {}) {
+  const day = calendarDay(cardDate);
+  if (locale === 'bn-calendar') {
+    const b = toBanglaCalendar(day);
+    const num = (n) => n.toLocaleString('bn-BD', { useGrouping: false });
+    const weekday = day.toLocaleDateString('bn-BD', { weekday: 'short', timeZone: 'UTC' });
+    return `${weekday}, ${num(b.day)} ${BANGLA_MONTHS[b.month]} ${num(b.year)} বঙ্গাব্দ`;
+  }
+  const tag = locale === 'en' ? 'en-GB' : 'bn-BD';
+  return day.toLocaleDateString(tag, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
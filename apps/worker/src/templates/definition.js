@@ -0,0 +1,69 @@
+import {
+  baseStyles, brandOf, layout, logoBlock, headlineBlock, ctaLabel, creditsBlock, footerBlock, backgroundBlock, formatCardDate, page,
+} from './partials.js';
+import { TEMPLATE_ELEMENTS } from 'photocard-shared/templateSchema.js';
+
+// Cards for templates made in the portal's editor: every element sits in the box its definition
+// gives it (see templateSchema.js). Used by the worker for jobs with a stored template and by the
+// portal's editor and live preview, so what the editor shows is what gets rendered.
+
+// '$primary' / '$accent' are the job's brand colors (`fallback` when the brand leaves them unset);
+// '' is no color
+const colorOf = (value, brand, fallback) => {
+  if (value === '$primary') return brand.primaryColor || fallback;
+  if (value === '$accent') return brand.accentColor || fallback;
+  return value || 'transparent';
+};
+
+const JUSTIFY = { left: 'flex-start', center: 'center', right: 'flex-end' };
+
+const box = ({ x, y, w, h }, z) => `position:absolute; left:${x}%; top:${y}%; width:${w}%; height:${h}%; box-sizing:border-box; z-index:${z};`;
+
+const textStyle = (el, u, brand) => `
+    display:flex; align-items:center; justify-content:${JUSTIFY[el.align]}; text-align:${el.align};
+    font-size:${u(el.fontSize)}; font-weight:${el.weight}; color:${colorOf(el.color || '#ffffff', brand, '#ffffff')};
+    background:${colorOf(el.background, brand, 'rgba(0,0,0,0.45)')}; border-radius:${u(el.radius)};`;
+
+export function renderDefinition(definition, ctx) {
+  const { u, scale } = layout(ctx);
+  const brand = brandOf(ctx);
+  const { background: bg, elements } = definition;
+  const { logo, date, newsImage, headline, cta } = elements;
+  // elements are stacked in TEMPLATE_ELEMENTS order, the news image lowest
+  const z = (name) => TEMPLATE_ELEMENTS.indexOf(name) + 1;
+  const headlinePad = headline.background ? 20 : 0;
+  // the headline is fitted to its box: its height in design px, less the padding
+  const headlineHeight = (headline.h / 100) * ctx.height / scale - headlinePad * 2;
+  const show = (name, html) => (elements[name].visible ? html : '');
+  return page({
+    styles: `${baseStyles(ctx)}
+  body{background:${colorOf(bg.color || '#1f2937', brand, '#1f2937')}}
+  .bgimg{${bg.blur ? `filter:blur(${u(bg.blur)}); transform:scale(1.06);` : ''}}
+  .dim{position:absolute; inset:0; background:rgba(0,0,0,${bg.dim}); z-index:-1}
+  .logo{${box(logo, z('logo'))} padding:${u(10)};}
+  .logo .logo-img{width:100%; height:100%}
+  .date{${box(date, z('date'))} padding:0 ${u(12)};${textStyle(date, u, brand)}}
+  .newsimg{${box(newsImage, z('newsImage'))} display:block; object-fit:cover; border-radius:${u(newsImage.radius)};${newsImage.borderWidth ? ` border:${u(newsImage.borderWidth)} solid ${colorOf(newsImage.borderColor, brand, '#ffffff')};` : ''} box-shadow:0 10px 30px rgba(0,0,0,.4)}
+  .headline-box{${box(headline, z('headline'))} padding:${u(headlinePad)};${textStyle(headline, u, brand)}}
+  .headline{line-height:1.2; width:100%; text-shadow:${headline.background ? 'none' : '0 4px 14px rgba(0,0,0,.6)'}}
+  .cta{${box(cta, z('cta'))} padding:0 ${u(12)};${textStyle(cta, u, brand)}}`,
+    body: `
+  ${backgroundBlock(ctx)}
+  <div class="dim"></div>
+  ${show('newsImage', ctx.newsImageUrl ? `<img class="newsimg" src="${ctx.newsImageUrl}" alt="news"/>` : '')}
+  ${show('headline', `<div class="headline-box">${headlineBlock(ctx, { min: headline.minFontSize, max: headline.fontSize, lines: headline.lines, height: headlineHeight })}</div>`)}
+  ${show('date', `<div class="date">${formatCardDate(ctx)}</div>`)}
+  ${show('cta', `<div class="cta">${ctaLabel(ctx)}</div>`)}
+  ${show('logo', logoBlock(ctx))}
+  ${footerBlock(ctx)}
+  ${creditsBlock(ctx)}`,
+  });
+}
+
+// A stored template as a registry-style template: { name, label, version, render(ctx) }
+export const definitionTemplate = ({ name, label, version, definition }) => ({
+  name,
+  label: label || name,
+  version,
+  render: (ctx) => renderDefinition(definition, ctx),
+});
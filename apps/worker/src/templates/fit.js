@@ -0,0 +1,44 @@
+// Headline auto-fit. `fitHeadlines` runs in the browser: inlined in the card page for the portal's
+// preview, and through page.evaluate in the worker, whose pages have JavaScript turned off. Either way
+// once the fonts are ready it picks, for every `[data-fit-max]` element, the largest font size
+// between data-fit-min and data-fit-max (px) at which its `.headline-text` wraps to at most
+// data-fit-lines lines (and, if data-fit-height is set, the box stays within that height).
+// It flags <body data-fitted> when done so the worker knows it can take the screenshot.
+export function fitHeadlines() {
+  const lineCount = (span) => {
+    const tops = new Set();
+    for (const r of span.getClientRects()) tops.add(Math.round(r.top));
+    return tops.size;
+  };
+  const fits = (el, span, size, maxLines, maxHeight) => {
+    el.style.fontSize = `${size}px`;
+    if (lineCount(span) > maxLines) return false;
+    return !maxHeight || el.getBoundingClientRect().height <= maxHeight;
+  };
+  const run = () => {
+    for (const el of document.querySelectorAll('[data-fit-max]')) {
+      const span = el.querySelector('.headline-text');
+      if (!span || !span.textContent.trim()) continue;
+      const min = Number(el.dataset.fitMin) || 12;
+      const max = Number(el.dataset.fitMax) || min;
+      const lines = Number(el.dataset.fitLines) || 3;
+      const height = Number(el.dataset.fitHeight) || 0;
+      // binary search the largest size that fits; never go below min even if it still overflows
+      let lo = min;
+      let hi = max;
+      let best = min;
+      while (lo <= hi) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (fits(el, span, mid, lines, height)) {
+          best = mid;
+          lo = mid + 1;
+        } else {
+          hi = mid - 1;
+        }
+      }
+      el.style.fontSize = `${best}px`;
+    }
+    document.body.dataset.fitted = '1';
+  };
+  (document.fonts ? document.fonts.ready : Promise.resolve()).then(run, run);
+}
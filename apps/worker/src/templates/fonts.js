@@ -0,0 +1,33 @@
+// Bundled web fonts, inlined into every card as data URIs so renders never depend on the
+// fonts installed on the machine (or on network access). Bengali glyphs come from
+// Hind Siliguri, Latin from Inter; both are exposed as one family, "Card Sans" (CARD_FONT_STACK in
+// partials.js). Node only: the worker passes these rules to the templates as `ctx.fontCss`.
+import fs from 'node:fs';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+const BENGALI_RANGE = 'U+0951-0952,U+0964-0965,U+0980-09FE,U+1CD0,U+1CD2,U+1CD5-1CD6,U+1CD8,U+1CE1,U+1CEA,U+1CED,U+1CF2,U+1CF5-1CF7,U+200C-200D,U+20B9,U+25CC,U+A8F1';
+const LATIN_RANGE = 'U+0000-00FF,U+0131,U+0152-0153,U+02BB-02BC,U+02C6,U+02DA,U+02DC,U+0304,U+0308,U+0329,U+2000-206F,U+20AC,U+2122,U+2191,U+2193,U+2212,U+2215,U+FEFF,U+FFFD';
+
+const FACES = [
+  ...[400, 700].map((weight) => ({ file: `@fontsource/hind-siliguri/files/hind-siliguri-bengali-${weight}-normal.woff2`, weight, range: BENGALI_RANGE })),
+  ...[400, 700, 800, 900].map((weight) => ({ file: `@fontsource/inter/files/inter-latin-${weight}-normal.woff2`, weight, range: LATIN_RANGE })),
+];
+
+let cached = null;
+
+// @font-face rules for "Card Sans"; read from disk once per process.
+export function fontFaceCss() {
+  if (cached !== null) return cached;
+  cached = FACES.map(({ file, weight, range }) => {
+    try {
+      const data = fs.readFileSync(require.resolve(file)).toString('base64');
+      return `@font-face{font-family:'Card Sans'; font-style:normal; font-weight:${weight}; font-display:block; src:url(data:font/woff2;base64,${data}) format('woff2'); unicode-range:${range}}`;
+    } catch (e) {
+      console.warn('bundled font missing, falling back to system fonts:', file, e?.message || e);
+      return '';
+    }
+  }).join('\n');
+  return cached;
+}
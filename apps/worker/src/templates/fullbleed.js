@@ -0,0 +1,37 @@
+import {
+  baseStyles, brandOf, layout, logoBlock, headlineBlock, ctaLabel, creditsBlock, footerBlock, backgroundBlock, formatCardDate, page,
+} from './partials.js';
+
+// Edge-to-edge photo with a dark lower third carrying the headline.
+// The news image (if any) is used as the photo; the background image is the fallback.
+export default {
+  name: 'fullbleed',
+  label: 'Full-bleed photo',
+  render: (ctx) => {
+    const { u, orientation } = layout(ctx);
+    const brand = brandOf(ctx);
+    const primary = brand.primaryColor || '#dc2626';
+    // on wide canvases keep the text block to the left so it doesn't run across the whole photo
+    const textRight = orientation === 'landscape' ? '35%' : u(48);
+    return page({
+      styles: `${baseStyles(ctx)}
+  .newsimg{position:absolute; inset:0; width:100%; height:100%; object-fit:cover; z-index:-2}
+  .shade{position:absolute; left:0; right:0; bottom:0; height:${orientation === 'portrait' ? '45%' : '60%'}; background:linear-gradient(180deg, rgba(0,0,0,0) 0%, rgba(0,0,0,0.72) 45%, rgba(0,0,0,0.9) 100%); z-index:-1}
+  .lower-third{position:absolute; left:${u(48)}; right:${textRight}; bottom:${u(orientation === 'portrait' ? 140 : 56)}; display:flex; flex-direction:column; gap:${u(18)}}
+  .date{align-self:flex-start; padding:${u(6)} ${u(12)}; border-radius:${u(6)}; font-weight:700; font-size:${u(22)}; background:${primary}}
+  .headline{font-size:${u(60)}; line-height:1.2; font-weight:700; text-shadow:0 4px 14px rgba(0,0,0,.6)}
+  .cta{align-self:flex-start; font-size:${u(22)}; font-weight:800; letter-spacing:.04em; opacity:.85; border-bottom:${u(3)} solid ${brand.accentColor || primary}; padding-bottom:${u(4)}}`,
+      body: `
+  ${logoBlock(ctx)}
+  ${ctx.newsImageUrl ? `<img class="newsimg" src="${ctx.newsImageUrl}" alt="news"/>` : backgroundBlock(ctx)}
+  <div class="shade"></div>
+  <div class="lower-third">
+    <div class="date">${formatCardDate(ctx)}</div>
+    ${headlineBlock(ctx, { min: 34, max: 72, lines: 4 })}
+    <div class="cta">${ctaLabel(ctx)}</div>
+  </div>
+  ${footerBlock(ctx)}
+  ${creditsBlock(ctx)}`,
+    });
+  },
+};
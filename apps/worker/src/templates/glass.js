@@ -0,0 +1,90 @@
+import {
+  baseStyles, brandOf, layout, logoBlock, headlineBlock, ctaLabel, creditsBlock, footerBlock, backgroundBlock, formatCardDate, page,
+} from './partials.js';
+
+// Per-orientation placement of the glass card, headline and CTA.
+const placement = ({ width, height }, { orientation, scale, u }) => {
+  if (orientation === 'landscape') {
+    // card on the left, headline beside it
+    const card = Math.min(620 * scale, height - 160 * scale);
+    const textLeft = `${Math.round(60 * scale + card + 60 * scale)}px`;
+    return {
+      card: `left:${u(60)}; top:50%; transform:translateY(-50%); width:${card}px; height:${card}px;`,
+      img: Math.round(card * (540 / 620)),
+      headline: `left:${textLeft}; right:${u(60)}; top:50%; transform:translateY(-50%); text-align:left;`,
+      cta: `left:${textLeft}; bottom:${u(40)};`,
+    };
+  }
+  if (orientation === 'portrait') {
+    // story: card in the upper half, headline underneath it
+    const top = Math.round(height * 0.2);
+    return {
+      card: `left:50%; transform:translateX(-50%); top:${top}px; width:${u(620)}; height:${u(620)};`,
+      img: Math.round(540 * scale),
+      headline: `left:${u(60)}; right:${u(60)}; top:${Math.round(top + 680 * scale)}px; text-align:center;`,
+      cta: `left:50%; transform:translateX(-50%); bottom:${u(80)};`,
+    };
+  }
+  return {
+    card: `left:50%; transform:translateX(-50%); bottom:${Math.round(height - 780 * scale)}px; width:${u(620)}; height:${u(620)};`,
+    img: Math.round(540 * scale),
+    headline: `left:${u(40)}; right:${u(40)}; bottom:${u(120)}; text-align:center;`,
+    cta: `left:50%; transform:translateX(-50%); bottom:${u(40)};`,
+  };
+};
+
+// The original PhotoCard layout: blurred glass card holding the news image,
+// centred headline underneath and a glassy "Read More" CTA.
+export default {
+  name: 'default',
+  label: 'Glass card',
+  render: (ctx) => {
+    const l = layout(ctx);
+    const { u } = l;
+    const brand = brandOf(ctx);
+    const p = placement(ctx, l);
+    return page({
+      styles: `${baseStyles(ctx)}
+  /* subtle vignette + texture */
+  .overlay{position:absolute; inset:0; background:linear-gradient(rgba(0,0,0,0.18), rgba(0,0,0,0.25)); mix-blend-mode:multiply}
+  /* glassy date badge */
+  .date{position:absolute; top:${u(24)}; right:${u(24)}; padding:${u(8)} ${u(12)}; border-radius:${u(12)}; font-size:${u(16)}; font-weight:700; color:#fff; background: linear-gradient(180deg, rgba(255,255,255,0.06), rgba(255,255,255,0.02)); backdrop-filter: blur(6px); border:1px solid rgba(255,255,255,0.06); box-shadow: 0 6px 18px rgba(0,0,0,0.25)}
+  .headline{
+    position:absolute; ${p.headline}
+    font-size:${u(56)}; line-height:1.2; text-shadow:0 6px 18px rgba(0,0,0,.7);
+  }
+  /* card behind the news image to create depth (like the screenshot) */
+  .card{
+    position:absolute; ${p.card}
+    display:flex; align-items:center; justify-content:center;
+    border-radius:${u(36)}; background: linear-gradient(180deg, rgba(255,255,255,0.02), rgba(255,255,255,0.01));
+    box-shadow: 0 30px 80px rgba(0,0,0,0.45); backdrop-filter: blur(12px); border:1px solid rgba(255,255,255,0.04);
+  }
+  .newsimg{
+    display:block; width:${p.img}px; height:${p.img}px; object-fit:cover; border-radius:${u(24)}; box-shadow:0 10px 30px rgba(0,0,0,.5);${brand.accentColor ? ` outline:${u(4)} solid ${brand.accentColor}; outline-offset:${u(6)};` : ''}
+  }
+  /* subtle vignette to integrate bg with glass card */
+  .bg-vignette{position:absolute; inset:0; background: radial-gradient(closest-side at 50% 40%, rgba(0,0,0,0.14), rgba(0,0,0,0.28)); z-index:-1}
+  /* glassy CTA */
+  .cta{
+    position:absolute; ${p.cta}
+    padding:${u(12)} ${u(18)}; border-radius:${u(12)}; font-size:${u(16)}; font-weight:800; color:#fff;
+    background: ${brand.primaryColor || 'linear-gradient(180deg, rgba(255,255,255,0.06), rgba(255,255,255,0.02))'};
+    backdrop-filter: blur(8px);
+    border: 1px solid rgba(255,255,255,0.06);
+    box-shadow: 0 8px 30px rgba(0,0,0,0.35);
+  }`,
+      body: `
+  <div class="overlay"></div>
+  ${logoBlock(ctx)}
+  ${backgroundBlock(ctx)}
+  <div class="bg-vignette"></div>
+  <div class="date">${formatCardDate(ctx)}</div>
+  ${ctx.newsImageUrl ? `<div class="card"><img class="newsimg" src="${ctx.newsImageUrl}"/></div>` : ''}
+  ${headlineBlock(ctx, { min: 30, max: 64, lines: 4 })}
+  <div class="cta">${ctaLabel(ctx)}</div>
+  ${footerBlock(ctx)}
+  ${creditsBlock(ctx)}`,
+    });
+  },
+};
@@ -0,0 +1,45 @@
+// Template registry: maps a job's `templateName` to the function that builds its HTML.
+// Built-in layouts are registered here; extra layouts can be dropped into
+// WORKER_TEMPLATES_DIR as ES modules whose default export is { name, label, render }.
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { BUILT_IN_TEMPLATES, DEFAULT_TEMPLATE } from './builtin.js';
+
+export { DEFAULT_TEMPLATE };
+
+const registry = new Map();
+
+export function registerTemplate(template) {
+  if (!template || typeof template.name !== 'string' || typeof template.render !== 'function') {
+    throw new Error('template must have a name and a render function');
+  }
+  registry.set(template.name, { label: template.name, ...template });
+}
+
+export function getTemplate(name) {
+  return registry.get(name) || null;
+}
+
+export function listTemplates() {
+  return [...registry.values()].map(({ name, label }) => ({ name, label }));
+}
+
+// Load every *.js / *.mjs module in `dir` and register its default export.
+export async function loadTemplatesFromDir(dir) {
+  if (!dir || !fs.existsSync(dir)) return [];
+  const loaded = [];
+  for (const f of fs.readdirSync(dir)) {
+    if (!/\.m?js$/.test(f)) continue;
+    try {
+      const mod = await import(pathToFileURL(path.join(dir, f)).href);
+      registerTemplate(mod.default);
+      loaded.push(mod.default.name);
+    } catch (e) {
+      console.warn('Failed to load template', f, e?.message || e);
+    }
+  }
+  return loaded;
+}
+
+BUILT_IN_TEMPLATES.forEach(registerTemplate);
@@ -0,0 +1,140 @@
+import { fitHeadlines } from './fit.js';
+
+// Building blocks shared by the built-in templates.
+// Every template renders the same logo pill / date badge markup so the
+// worker can treat them uniformly (and wait on the same img selectors).
+// Nothing here (or in the templates) may use Node APIs: the portal's live preview runs them in the browser.
+
+// "Card Sans" is declared by the @font-face rules the worker passes in as `ctx.fontCss` (fonts.js);
+// without them (the portal preview) the system sans-serif stands in.
+export const CARD_FONT_STACK = "'Card Sans', sans-serif";
+
+// Templates are designed on a 1080px square; `u(n)` scales a design pixel to the
+// actual canvas (by its short side) and `orientation` lets a layout rearrange
+// itself for stories (portrait) and link previews (landscape).
+export const layout = ({ width, height }) => {
+  const scale = Math.min(width, height) / 1080;
+  const ratio = width / height;
+  const orientation = ratio > 1.15 ? 'landscape' : ratio < 0.87 ? 'portrait' : 'square';
+  const u = (n) => `${Math.round(n * scale)}px`;
+  return { scale, orientation, u };
+};
+
+// Escape brand/user text placed into markup or attributes
+export const esc = (v) => String(v ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
+// Used for anything a job's brand leaves unset (and for jobs without a brand)
+export const DEFAULT_BRAND = {
+  name: 'Dhaka Heralds',
+  ctaText: 'Read More',
+  footerText: null,
+  primaryColor: null,
+  accentColor: null,
+};
+
+export const brandOf = ({ brand }) => {
+  const out = { ...DEFAULT_BRAND };
+  for (const [k, v] of Object.entries(brand || {})) if (v != null && v !== '') out[k] = v;
+  return out;
+};
+
+export { formatCardDate } from './dates.js';
+
+// An image's focal point and zoom (ctx.newsImageCrop / backgroundCrop: { x, y } in percent of the image,
+// zoom 1-4) as CSS for its <img>: the image is first cut to 1/zoom of its size around the point
+// (object-view-box), then covers its box with the point kept in view. No crop keeps it centred.
+export const cropStyle = (crop) => {
+  if (!crop) return '';
+  const zoom = Math.min(Math.max(Number(crop.zoom) || 1, 1), 4);
+  const view = 100 / zoom;
+  const r = (n) => Math.round(n * 100) / 100;
+  const axis = (p) => {
+    const point = Number.isFinite(Number(p)) ? Math.min(Math.max(Number(p), 0), 100) : 50;
+    const start = Math.min(Math.max(point - view / 2, 0), 100 - view);
+    return { start: r(start), end: r(100 - start - view), pos: r(((point - start) / view) * 100) };
+  };
+  const x = axis(crop.x);
+  const y = axis(crop.y);
+  return `object-position:${x.pos}% ${y.pos}%;${zoom > 1 ? ` object-view-box:inset(${y.start}% ${x.end}% ${y.end}% ${x.start}%);` : ''}`;
+};
+
+export const baseStyles = ({ width, height, fontCss = '', logoSize = 84, logoPad = 12, newsImageCrop, backgroundCrop }) => {
+  const { u } = layout({ width, height });
+  return `
+  :root{ --logo-size: ${u(logoSize)}; --logo-pad: ${u(logoPad)} }
+  ${fontCss}
+  body{
+    margin:0; width:${width}px; height:${height}px;
+    font-family:${CARD_FONT_STACK}; color:#fff;
+    /* fallback background color while a background image loads */
+    background:#d1d5db; /* light gray */
+    position:relative; overflow:hidden; display:block;
+  }
+  /* logo container: square with equal padding around the logo image */
+  .logo{position:absolute; top:${u(24)}; left:${u(24)}; display:flex; align-items:center; justify-content:center; border-radius:${u(14)}; gap:0; padding:var(--logo-pad); width:calc(var(--logo-size) + (var(--logo-pad) * 2)); height:calc(var(--logo-size) + (var(--logo-pad) * 2)); z-index:5}
+  /* raster logos get a white pill for contrast, SVG logos often contain their own color/white fill so give them a dark pill */
+  .logo { background: rgba(255,255,255,0.96); }
+  .logo.logo-svg { background: rgba(0,0,0,0.6); }
+  .logo-img{width:var(--logo-size); height:var(--logo-size); object-fit:contain; display:block}
+  .logo .logo-img{background:transparent; border-radius:8px; border:1px solid rgba(0,0,0,0.06)}
+  /* background image element (we use an <img> so Playwright can wait for it to load) */
+  .bgimg{position:absolute; inset:0; width:100%; height:100%; object-fit:cover; z-index:-3; ${cropStyle(backgroundCrop)}}
+  .newsimg{${cropStyle(newsImageCrop)}}
+  .kicker{display:block; font-size:.45em; font-weight:700; letter-spacing:.04em; opacity:.9; margin-bottom:.35em}
+  .credits{position:absolute; right:${u(24)}; bottom:${u(10)}; font-size:${u(14)}; opacity:.75; z-index:5; text-align:right}
+  .footer{position:absolute; left:${u(24)}; bottom:${u(10)}; font-size:${u(14)}; opacity:.75; z-index:5}
+`;
+};
+
+export const logoBlock = (ctx) => {
+  const { logoPath, logoIsSvg } = ctx;
+  const { name } = brandOf(ctx);
+  return `<div class="logo ${logoIsSvg ? 'logo-svg' : ''}">${logoPath ? `<img class="logo-img" src="${logoPath}" alt="${esc(name)}"/>` : `<span>${esc(name)}</span>`}</div>`;
+};
+
+// CTA label: the job's own override, else the brand's
+export const ctaLabel = (ctx) => esc(ctx.ctaText || brandOf(ctx).ctaText);
+
+// Kicker line rendered inside the headline box, above the headline text
+export const kickerBlock = ({ subheadline }) => (subheadline ? `<span class="kicker">${esc(subheadline)}</span>` : '');
+
+// The headline box, auto-fitted in the page (see fit.js) between `min` and `max` design px
+// and to at most `lines` lines (optionally `height` design px tall). The headline is plain text.
+export const headlineBlock = (ctx, { min, max, lines, height }) => {
+  const { scale } = layout(ctx);
+  const px = (n) => Math.round(n * scale);
+  const attrs = `data-fit-min="${px(min)}" data-fit-max="${px(max)}" data-fit-lines="${lines}"${height ? ` data-fit-height="${px(height)}"` : ''}`;
+  return `<div class="headline" ${attrs}>${kickerBlock(ctx)}<span class="headline-text">${esc(ctx.headline)}</span></div>`;
+};
+
+export const creditsBlock = ({ sourceCredit, photoCredit, locale }) => {
+  const en = locale === 'en';
+  const parts = [];
+  if (sourceCredit) parts.push(`${en ? 'Source' : 'সূত্র'}: ${esc(sourceCredit)}`);
+  if (photoCredit) parts.push(`${en ? 'Photo' : 'ছবি'}: ${esc(photoCredit)}`);
+  return parts.length ? `<div class="credits">${parts.join(' · ')}</div>` : '';
+};
+
+export const footerBlock = (ctx) => {
+  const { footerText } = brandOf(ctx);
+  return footerText ? `<div class="footer">${esc(footerText)}</div>` : '';
+};
+
+export const backgroundBlock = ({ backgroundUrl }) =>
+  backgroundUrl ? `<img class="bgimg" src="${backgroundUrl}" alt="background"/>` : '';
+
+export const page = ({ styles, body }) => `
+<!doctype html>
+<html>
+<head>
+<meta charset="utf-8"/>
+<style>
+${styles}
+</style>
+</head>
+<body>
+${body}
+<script>(${fitHeadlines.toString()})();</script>
+</body>
+</html>
+`;
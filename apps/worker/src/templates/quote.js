@@ -0,0 +1,44 @@
+import {
+  baseStyles, brandOf, layout, logoBlock, headlineBlock, ctaLabel, creditsBlock, footerBlock, backgroundBlock, formatCardDate, page,
+} from './partials.js';
+
+// Quote card: the headline is set as a large pull quote, with the news image
+// as a small round portrait of the speaker.
+export default {
+  name: 'quote',
+  label: 'Quote card',
+  render: (ctx) => {
+    const { u, orientation } = layout(ctx);
+    const brand = brandOf(ctx);
+    const accent = brand.accentColor || '#f59e0b';
+    // side-by-side portrait and quote on wide canvases, stacked otherwise
+    const wide = orientation === 'landscape';
+    return page({
+      styles: `${baseStyles(ctx)}
+  body{background:${brand.primaryColor || '#111827'}}
+  .bgimg{filter:blur(6px) brightness(.45); transform:scale(1.05)}
+  .date{position:absolute; top:${u(24)}; right:${u(24)}; padding:${u(8)} ${u(12)}; border-radius:${u(12)}; font-size:${u(16)}; font-weight:700; background:rgba(255,255,255,0.08)}
+  .quote-wrap{position:absolute; left:${u(80)}; right:${u(80)}; top:50%; transform:translateY(-50%); display:flex; flex-direction:${wide ? 'row-reverse' : 'column'}; align-items:center; gap:${u(36)}; text-align:${wide ? 'left' : 'center'}}
+  .quote-text{display:flex; flex-direction:column; align-items:${wide ? 'flex-start' : 'center'}; gap:${u(24)}}
+  .mark{font-weight:900; font-size:${u(180)}; line-height:.6; height:${u(90)}; color:${accent}}
+  .headline{font-size:${u(54)}; line-height:1.3; font-style:italic}
+  .newsimg{display:block; flex:none; width:${u(wide ? 260 : 160)}; height:${u(wide ? 260 : 160)}; object-fit:cover; border-radius:50%; border:${u(6)} solid ${accent}}
+  .cta{position:absolute; left:50%; transform:translateX(-50%); bottom:${u(40)}; font-size:${u(16)}; font-weight:800; opacity:.8}`,
+      body: `
+  ${logoBlock(ctx)}
+  ${backgroundBlock(ctx)}
+  <div class="date">${formatCardDate(ctx)}</div>
+  <div class="quote-wrap">
+    ${wide && ctx.newsImageUrl ? `<img class="newsimg" src="${ctx.newsImageUrl}" alt="speaker"/>` : ''}
+    <div class="quote-text">
+      <div class="mark">&ldquo;</div>
+      ${headlineBlock(ctx, { min: 30, max: 60, lines: 5 })}
+    </div>
+    ${!wide && ctx.newsImageUrl ? `<img class="newsimg" src="${ctx.newsImageUrl}" alt="speaker"/>` : ''}
+  </div>
+  <div class="cta">${ctaLabel(ctx)}</div>
+  ${footerBlock(ctx)}
+  ${creditsBlock(ctx)}`,
+    });
+  },
+};
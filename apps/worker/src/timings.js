@@ -0,0 +1,39 @@
+// Where one render spends its time, reported with the job (Job.timings, summarised by GET /metrics/render).
+// Stages: fetch_assets, browser (waiting for a pooled context; long on a cold start), page_load,
+// screenshot, store. A job with several sizes adds up the per-size stages.
+import { performance } from 'node:perf_hooks';
+
+export function createTimings() {
+  const started = performance.now();
+  const ms = {};
+  const flags = {};
+  const add = (stage, elapsed) => {
+    ms[stage] = (ms[stage] || 0) + elapsed;
+  };
+  return {
+    add,
+    // start timing `stage`; call the returned function when it is over
+    start(stage) {
+      const t = performance.now();
+      return () => add(stage, performance.now() - t);
+    },
+    // await fn() and add its duration to `stage`, also when it throws
+    async time(stage, fn) {
+      const t = performance.now();
+      try {
+        return await fn();
+      } finally {
+        add(stage, performance.now() - t);
+      }
+    },
+    // a non-timing fact about the render, e.g. coldStart
+    flag(name, value) {
+      flags[name] = value;
+    },
+    // { <stage>: ms, total: ms } in whole milliseconds, plus the flags
+    toJSON() {
+      const out = Object.fromEntries(Object.entries(ms).map(([stage, v]) => [stage, Math.round(v)]));
+      return { ...out, total: Math.round(performance.now() - started), ...flags };
+    },
+  };
+}
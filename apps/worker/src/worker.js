@@ -1,99 +1,112 @@
 import 'dotenv/config';
 import { Worker } from 'bullmq';
-import { chromium } from 'playwright';
 import fs from 'node:fs';
 import path from 'node:path';
-import crypto from 'node:crypto';
 import fetch from 'node-fetch';
 import { URL, fileURLToPath } from 'node:url';
+import { SafeFetchError, checkUrl, safeFetch } from 'photocard-shared/safeFetch.js';
+import { contentTypeOf, createStorage } from 'photocard-shared/storage.js';
+import { validateDefinition } from 'photocard-shared/templateSchema.js';
+import { DEFAULT_TEMPLATE, getTemplate, listTemplates, loadTemplatesFromDir } from './templates/index.js';
+import { fontFaceCss } from './templates/fonts.js';
+import { fitHeadlines } from './templates/fit.js';
+import { definitionTemplate } from './templates/definition.js';
+import { renderSlide } from './templates/carousel.js';
+import { RenderError, STAGES, createWarnings, toFailure } from './errors.js';
+import { createImageCache } from './imageCache.js';
+import { createBrowserPool } from './browserPool.js';
+import { createTimings } from './timings.js';
+import { AUTO_CROP, autoCrop } from './focus.js';
 
 const REDIS_URL = process.env.REDIS_URL;
-const OUTPUT_DIR = process.env.STATIC_OUTPUT_DIR || '/app/output';
 const API_BASE = process.env.API_INTERNAL_URL || 'http://api:4000';
+// service credential for the API (status callbacks, uploaded assets); only ever sent to API_BASE
+const WORKER_API_KEY = process.env.WORKER_API_KEY;
 const WIDTH = parseInt(process.env.RENDER_WIDTH || '1080', 10);
 const HEIGHT = parseInt(process.env.RENDER_HEIGHT || '1080', 10);
+const TEMPLATES_DIR = process.env.WORKER_TEMPLATES_DIR;
+const ASSET_FETCH_TIMEOUT_MS = parseInt(process.env.ASSET_FETCH_TIMEOUT_MS || '15000', 10);
+// When set, a news/background image that never loads fails the job instead of rendering without it
+const REQUIRE_IMAGES = process.env.WORKER_REQUIRE_IMAGES === '1';
+// jobs rendered at the same time by this process, each in its own context of the shared browser
+const CONCURRENCY = Math.max(1, parseInt(process.env.WORKER_CONCURRENCY || '1', 10) || 1);
+// POST /preview renders (preview queue) at the same time, next to the jobs
+const PREVIEW_CONCURRENCY = Math.max(1, parseInt(process.env.WORKER_PREVIEW_CONCURRENCY || '2', 10) || 1);
+// Previews have a few seconds in all (the API's PREVIEW_TIMEOUT_MS), so their waits are short
+const PREVIEW_WAIT_MS = 2500;
 
 // ESM: derive __dirname from import.meta.url
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+const storage = createStorage();
+const browserPool = createBrowserPool({ size: CONCURRENCY + PREVIEW_CONCURRENCY });
 
 const LOGO_FILENAME = process.env.WORKER_LOGO_FILENAME || 'logo.png';
 
-const templateHTML = ({ headline, backgroundUrl, newsImageUrl, logoPath, logoIsSvg, logoSize = 84, logoPad = 12 }) => `
-<!doctype html>
-<html>
-<head>
-<meta charset="utf-8"/>
-<style>
-  :root{ --logo-size: ${logoSize}px; --logo-pad: ${logoPad}px }
-  @font-face { font-family: sans; src: local("Arial"); }
-  body{
-    margin:0; width:${WIDTH}px; height:${HEIGHT}px; 
-    font-family:sans; color:#fff;
-    /* fallback background color while a background image loads */
-    background:#d1d5db; /* light gray */
-    position:relative; overflow:hidden; display:block;
+// File extension per output format (the API validates `format` before a job is queued)
+const FORMAT_EXT = { png: 'png', jpeg: 'jpg', webp: 'webp', pdf: 'pdf' };
+
+const API_ORIGIN = API_BASE.replace(/\/$/, '');
+const isApiUrl = (u) => String(u).startsWith(`${API_ORIGIN}/`);
+const apiHeaders = (extra = {}) => (WORKER_API_KEY ? { ...extra, Authorization: `Bearer ${WORKER_API_KEY}` } : extra);
+
+// Report job progress to the API (PUT /jobs/:id); a refused report (e.g. bad credentials) throws.
+// 410 means the job was deleted meanwhile; that error has `jobDeleted` set.
+async function reportJob(id, body) {
+  const r = await fetch(`${API_ORIGIN}/jobs/${id}`, {
+    method: 'PUT',
+    headers: apiHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify(body),
+  });
+  if (!r.ok) {
+    const err = new Error(`API refused job ${id} update (${body.status}): HTTP ${r.status}`);
+    err.jobDeleted = r.status === 410;
+    throw err;
   }
-  /* subtle vignette + texture */
-  .overlay{position:absolute; inset:0; background:linear-gradient(rgba(0,0,0,0.18), rgba(0,0,0,0.25)); mix-blend-mode:multiply}
-  /* glassy date badge */
-  .date{position:absolute; top:24px; right:24px; padding:8px 12px; border-radius:12px; font-weight:700; color:#fff; background: linear-gradient(180deg, rgba(255,255,255,0.06), rgba(255,255,255,0.02)); backdrop-filter: blur(6px); border:1px solid rgba(255,255,255,0.06); box-shadow: 0 6px 18px rgba(0,0,0,0.25)}
-  /* logo container: square with equal padding around the logo image */
-  .logo{position:absolute; top:24px; left:24px; display:flex; align-items:center; justify-content:center; border-radius:14px; gap:0; padding:var(--logo-pad); width:calc(var(--logo-size) + (var(--logo-pad) * 2)); height:calc(var(--logo-size) + (var(--logo-pad) * 2));}
-  /* raster logos get a white pill for contrast, SVG logos often contain their own color/white fill so give them a dark pill */
-  /* adjust pill color for raster vs svg */
-  .logo { background: rgba(255,255,255,0.96); }
-  .logo.logo-svg { background: rgba(0,0,0,0.6); }
-  .logo-img{width:var(--logo-size); height:var(--logo-size); object-fit:contain; display:block}
-  .logo .logo-img{background:transparent; border-radius:8px; border:1px solid rgba(0,0,0,0.06)}
-  .headline{
-    position:absolute; left:40px; right:40px; bottom:120px;
-    font-size:56px; line-height:1.2; text-shadow:0 6px 18px rgba(0,0,0,.7);
-    text-align:center;
-  }
-  /* card behind the news image to create depth (like the screenshot) */
-  .card{
-    position:absolute; left:50%; transform:translateX(-50%);
-    bottom:300px; width:620px; height:620px; display:flex; align-items:center; justify-content:center;
-    border-radius:36px; background: linear-gradient(180deg, rgba(255,255,255,0.02), rgba(255,255,255,0.01));
-    box-shadow: 0 30px 80px rgba(0,0,0,0.45); backdrop-filter: blur(12px); border:1px solid rgba(255,255,255,0.04);
-  }
-  .newsimg{
-    display:block; width:540px; height:540px; object-fit:cover; border-radius:24px; box-shadow:0 10px 30px rgba(0,0,0,.5)
+}
+
+// Fetch an input image (or logo) with a hard timeout so a stalled host can't hang the job
+const fetchAsset = (u, timeoutMs = ASSET_FETCH_TIMEOUT_MS) => fetch(u, {
+  headers: isApiUrl(u) ? apiHeaders() : {},
+  signal: AbortSignal.timeout(timeoutMs),
+});
+// Cached input images are addressed by this made-up origin; capturePage answers it from disk
+const CACHE_URL = 'http://image-cache.invalid/';
+const imageCache = createImageCache();
+
+const isTimeout = (e) => e?.name === 'TimeoutError' || e?.name === 'AbortError';
+
+// Render a card in each requested size, or each slide of a carousel (`kind` "carousel") in each size.
+// Outputs are saved to storage; with `save: false` (previews) they are returned as `body` Buffers
+// instead. `waitMs` bounds the waits for input images. `slide` (from 1) renders only that slide.
+async function renderCard({
+  id, kind, slides, slide: onlySlide, headline, backgroundUrl, newsImageUrl, backgroundAssetId, newsImageAssetId, brand, templateName, templateVersion, templateDefinition,
+  sizes, format = 'png', quality, subheadline, sourceCredit, photoCredit, ctaText, cardDate, locale, newsImageCrop, backgroundCrop,
+}, timings = createTimings(), { save = true, waitMs = 12000 } = {}) {
+  const fetchTimeoutMs = Math.min(ASSET_FETCH_TIMEOUT_MS, waitMs);
+  const warnings = createWarnings();
+  const assetsFetched = timings.start('fetch_assets');
+  const ext = FORMAT_EXT[format] || 'png';
+  if (!FORMAT_EXT[format]) format = 'png';
+
+  // Templates made in the portal's editor come with their definition (the job's template version);
+  // jobs queued before templates existed (or with a template this worker doesn't know) use the default layout
+  let template = null;
+  const carousel = kind === 'carousel' && Array.isArray(slides);
+  if (carousel) {
+    template = { name: 'carousel', render: renderSlide };
+  } else if (templateDefinition) {
+    const { definition, error } = validateDefinition(templateDefinition);
+    if (error) throw new RenderError('INVALID_TEMPLATE', `Template "${templateName}" v${templateVersion} is invalid: ${error}`, { stage: STAGES.PAGE_LOAD });
+    template = definitionTemplate({ name: templateName, version: templateVersion, definition });
+  } else {
+    template = getTemplate(templateName || DEFAULT_TEMPLATE);
   }
-  /* background image element (we use an <img> so Playwright can wait for it to load) */
-  .bgimg{position:absolute; inset:0; width:100%; height:100%; object-fit:cover; z-index:-3}
-  /* subtle vignette to integrate bg with glass card */
-  .bg-vignette{position:absolute; inset:0; background: radial-gradient(closest-side at 50% 40%, rgba(0,0,0,0.14), rgba(0,0,0,0.28)); z-index:-1}
-  /* glassy CTA */
-  .cta{
-    position:absolute; left:50%; transform:translateX(-50%); bottom:40px;
-    padding:12px 18px; border-radius:12px; font-weight:800; color:#fff;
-    background: linear-gradient(180deg, rgba(255,255,255,0.06), rgba(255,255,255,0.02));
-    backdrop-filter: blur(8px);
-    border: 1px solid rgba(255,255,255,0.06);
-    box-shadow: 0 8px 30px rgba(0,0,0,0.35);
+  if (!template) {
+    warnings.add('UNKNOWN_TEMPLATE', `Unknown template "${templateName}", rendered with "${DEFAULT_TEMPLATE}"`);
+    template = getTemplate(DEFAULT_TEMPLATE);
   }
-</style>
-</head>
-<body>
-  <div class="overlay"></div>
-  <div class="logo ${logoIsSvg ? 'logo-svg' : ''}">${logoPath ? `<img class="logo-img" src="${logoPath}" alt="Dhaka Heralds"/>` : '<span>Dhaka Heralds</span>'}</div>
-  ${backgroundUrl ? `<img class="bgimg" src="${backgroundUrl}" alt="background"/>` : ''}
-  <div class="bg-vignette"></div>
-  <div class="date">${new Date().toLocaleDateString('bn-BD',{weekday:'short', year:'numeric',month:'short',day:'numeric'})}</div>
-  ${newsImageUrl ? `<div class="card"><img class="newsimg" src="${newsImageUrl}"/></div>` : ''}
-  <div class="headline">${headline ?? ''}</div>
-  <div class="cta">Read More</div>
-</body>
-</html>
-`;
-
-async function renderToFile({ id, headline, backgroundUrl, newsImageUrl }) {
-  const fileName = `${id}.png`;
-  const outPath = path.join(OUTPUT_DIR, fileName);
 
   // Normalize common share links to direct image URLs so the browser can load the image
   function normalizeImageUrl(u) {
@@ -126,183 +139,160 @@ async function renderToFile({ id, headline, backgroundUrl, newsImageUrl }) {
   backgroundUrl = normalizeImageUrl(backgroundUrl);
   newsImageUrl = normalizeImageUrl(newsImageUrl);
 
-  // If a URL points to Google Drive, fetch it via the API proxy and save locally so Playwright can load raw bytes
-  async function fetchDriveViaApiIfNeeded(u, role = 'news') {
+  // Uploaded images win over URLs; they are served by the API
+  const assetFileUrl = (assetId) => `${API_BASE.replace(/\/$/, '')}/assets/${encodeURIComponent(assetId)}/file`;
+  if (backgroundAssetId) backgroundUrl = assetFileUrl(backgroundAssetId);
+  if (newsImageAssetId) newsImageUrl = assetFileUrl(newsImageAssetId);
+
+  // Warning codes for refused or failed input fetches (the SafeFetchError code goes in the message)
+  const FETCH_WARNING = {
+    TIMEOUT: 'ASSET_TIMEOUT',
+    TOO_LARGE: 'ASSET_TOO_LARGE',
+    UNSUPPORTED_TYPE: 'ASSET_NOT_IMAGE',
+    BLOCKED_ADDRESS: 'ASSET_BLOCKED',
+    HOST_DENIED: 'ASSET_BLOCKED',
+    HOST_NOT_ALLOWED: 'ASSET_BLOCKED',
+    INVALID_URL: 'ASSET_BLOCKED',
+    UNSUPPORTED_PROTOCOL: 'ASSET_BLOCKED',
+  };
+  const fetchProblem = (e, assetUrl) => {
+    const code = FETCH_WARNING[e?.code] || 'ASSET_FETCH_FAILED';
+    const message = e instanceof SafeFetchError ? `${e.code}: ${e.message}` : e?.message || String(e);
+    if (REQUIRE_IMAGES) {
+      const err = new RenderError(code, message, { stage: STAGES.FETCH_ASSETS, assetUrl, cause: e });
+      err.warnings = warnings.list;
+      throw err;
+    }
+    warnings.add(code, message, { stage: STAGES.FETCH_ASSETS, assetUrl });
+  };
+
+  // Google Drive files go through the API's /download proxy (Drive API with the service account) into
+  // the image cache. On failure the original URL is kept for prefetchRemoteImage to try directly.
+  async function fetchDriveViaApiIfNeeded(u) {
     if (!u) return u;
     try {
-      const parsed = new URL(u);
-      if (!parsed.hostname.includes('drive.google.com')) return u;
-
-      // derive a safe filename
-      const fileIdMatch = parsed.pathname.match(/\/d\/([a-zA-Z0-9_-]+)/);
-      const fileId = fileIdMatch ? fileIdMatch[1] : parsed.searchParams.get('id') || String(Date.now());
-      // try to keep extension if present
-      const extFromPath = path.extname(parsed.pathname) || '.jpg';
-      const localName = `${id}-${role}-${fileId}${extFromPath}`;
-      const localPath = path.join(OUTPUT_DIR, localName);
-
-  // If file already exists, reuse (expose via API output URL)
-  if (fs.existsSync(localPath)) return `${API_BASE.replace(/\/$/, '')}/output/${encodeURIComponent(path.basename(localPath))}`;
-
-      const proxyUrl = `${API_BASE.replace(/\/$/, '')}/download?drive=1&filename=${encodeURIComponent(localName)}&url=${encodeURIComponent(u)}`;
-      const r = await fetch(proxyUrl);
-      if (!r.ok) {
-        console.warn('Drive proxy failed for', u, 'status', r.status);
-        return u; // fall back to original URL (may be preview HTML)
-      }
-
-      // stream to local file
-      await new Promise((resolve, reject) => {
-        const dest = fs.createWriteStream(localPath);
-        r.body.pipe(dest);
-        r.body.on('error', (err) => {
-          dest.close();
-          reject(err);
-        });
-        dest.on('finish', resolve);
-        dest.on('error', (err) => {
-          reject(err);
-        });
-      });
-
-  // expose via API output URL so Playwright loads over HTTP (more reliable than file://)
-  return `${API_BASE.replace(/\/$/, '')}/output/${encodeURIComponent(path.basename(localPath))}`;
+      const proxyUrl = `${API_ORIGIN}/download?drive=1&url=${encodeURIComponent(u)}`;
+      const cached = await imageCache.get(u, (headers) => safeFetch(proxyUrl, {
+        headers: apiHeaders(headers), timeoutMs: fetchTimeoutMs, allowPrivate: true,
+      }));
+      return `${CACHE_URL}${cached.blob}`;
     } catch (e) {
-      console.error('fetchDriveViaApiIfNeeded error', e?.message || e);
+      warnings.add(e?.code === 'TIMEOUT' ? 'ASSET_TIMEOUT' : 'DRIVE_PROXY_FAILED', e?.message || String(e), { stage: STAGES.FETCH_ASSETS, assetUrl: u });
       return u;
     }
   }
 
-  // Prefetch any remote http(s) image into a local file and return file:// path.
-  // This helps with hosts that are slow or that send preview HTML; fetching server-side is more reliable.
-  async function prefetchRemoteImage(u, role = 'news') {
+  // Fetch any remote http(s) image into the shared image cache (imageCache.js).
+  // This helps with hosts that are slow or that send preview HTML, and it is where user-supplied URLs
+  // are checked (safeFetch.js): an image that is refused or fails is left out rather than handed to
+  // the browser, which would fetch it without those checks. Uploads are fetched from our API with the
+  // worker's key here too, so the page never needs the key (see capturePage).
+  async function prefetchRemoteImage(u) {
     if (!u) return u;
+    // already cached (Drive files)
+    if (u.startsWith(CACHE_URL)) return u;
     try {
-      // already a local file
-      if (u.startsWith('file://')) return u;
-      const parsed = new URL(u);
-      if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return u;
-
-      // create a stable filename based on URL hash
-      const hash = crypto.createHash('md5').update(u).digest('hex');
-      const extFromPath = path.extname(parsed.pathname).split('?')[0] || '';
-      // we'll try to keep a sane extension; if none, we'll infer from content-type after fetching
-      let ext = extFromPath || '';
-      const localName = `${id}-${role}-${hash}${ext}`;
-      const localPath = path.join(OUTPUT_DIR, localName);
-  if (fs.existsSync(localPath)) return `${API_BASE.replace(/\/$/, '')}/output/${encodeURIComponent(path.basename(localPath))}`;
-
-      const r = await fetch(u);
-      if (!r.ok) {
-        console.warn('prefetch failed for', u, 'status', r.status);
-        return u;
-      }
-
-      // if we didn't have an extension, try to derive from content-type
-      if (!ext) {
-        const ct = r.headers.get('content-type') || '';
-        if (ct.includes('image/jpeg')) ext = '.jpg';
-        else if (ct.includes('image/png')) ext = '.png';
-        else if (ct.includes('image/webp')) ext = '.webp';
-        else if (ct.includes('svg')) ext = '.svg';
-        else ext = '.jpg';
-      }
-
-      // if extFromPath was empty, rename localPath to include ext
-      const finalLocalName = `${id}-${role}-${hash}${ext}`;
-      const finalLocalPath = path.join(OUTPUT_DIR, finalLocalName);
-
-      await new Promise((resolve, reject) => {
-        const dest = fs.createWriteStream(finalLocalPath);
-        r.body.pipe(dest);
-        r.body.on('error', (err) => { dest.close(); reject(err); });
-        dest.on('finish', resolve);
-        dest.on('error', reject);
-      });
-
-      console.log('Prefetched', u, '->', finalLocalPath);
-      return `${API_BASE.replace(/\/$/, '')}/output/${encodeURIComponent(path.basename(finalLocalPath))}`;
+      const upload = isApiUrl(u);
+      if (!upload) checkUrl(u); // host rules apply to cached copies too
+      const cached = await imageCache.get(u, (headers) => safeFetch(u, upload
+        ? { headers: apiHeaders(headers), timeoutMs: fetchTimeoutMs, allowPrivate: true }
+        : { headers, timeoutMs: fetchTimeoutMs }));
+      console.log('Prefetched', u, `(${cached.cache})`, '->', cached.blob);
+      return `${CACHE_URL}${cached.blob}`;
     } catch (e) {
-      console.warn('prefetch error', e?.message || e);
-      return u;
+      fetchProblem(e, u);
+      return null;
     }
   }
 
-  // attempt to fetch Drive files via API proxy before rendering
-  try {
-    if (newsImageUrl && newsImageUrl.includes('drive.google.com')) {
-      newsImageUrl = await fetchDriveViaApiIfNeeded(newsImageUrl, 'news');
-    }
-    if (backgroundUrl && backgroundUrl.includes('drive.google.com')) {
-      backgroundUrl = await fetchDriveViaApiIfNeeded(backgroundUrl, 'bg');
+  // Drive files via the API proxy first, then every remaining remote image (Cloudinary and other hosts)
+  const fetchImage = async (u) => prefetchRemoteImage(u?.includes('drive.google.com') ? await fetchDriveViaApiIfNeeded(u) : u);
+  newsImageUrl = await fetchImage(newsImageUrl);
+  backgroundUrl = await fetchImage(backgroundUrl);
+
+  // A carousel's slides, each with its own image; cards render as a single slide-less page
+  const pages = [];
+  if (carousel) {
+    for (const [i, s] of slides.entries()) {
+      if (onlySlide && onlySlide !== i + 1) continue;
+      const imageUrl = await fetchImage(s.imageAssetId ? assetFileUrl(s.imageAssetId) : normalizeImageUrl(s.imageUrl));
+      pages.push({ ...s, number: i + 1, count: slides.length, imageUrl });
     }
+  } else {
+    pages.push(null);
+  }
 
-    // Prefetch remote images to local files (this helps with Cloudinary and other hosts)
-    try {
-      if (newsImageUrl) newsImageUrl = await prefetchRemoteImage(newsImageUrl, 'news');
-    } catch (e) {
-      console.warn('prefetch news failed', e?.message || e);
-    }
+  // A brand logo (uploaded through the API) replaces the logo bundled in assets/; inline it as a data URI
+  let logoPath = null;
+  let logoIsSvg = false;
+  if (brand?.logoAssetId) {
     try {
-      if (backgroundUrl) backgroundUrl = await prefetchRemoteImage(backgroundUrl, 'bg');
+      const r = await fetchAsset(assetFileUrl(brand.logoAssetId), fetchTimeoutMs);
+      if (r.ok) {
+        const mime = (r.headers.get('content-type') || brand.logoMimeType || 'image/png').split(';')[0];
+        const buf = Buffer.from(await r.arrayBuffer());
+        logoPath = `data:${mime};base64,${buf.toString('base64')}`;
+        logoIsSvg = mime === 'image/svg+xml';
+      } else {
+        warnings.add('LOGO_FETCH_FAILED', `Brand logo fetch answered ${r.status}`, { stage: STAGES.FETCH_ASSETS, assetUrl: assetFileUrl(brand.logoAssetId) });
+      }
     } catch (e) {
-      console.warn('prefetch bg failed', e?.message || e);
+      warnings.add(isTimeout(e) ? 'ASSET_TIMEOUT' : 'LOGO_FETCH_FAILED', e?.message || String(e), { stage: STAGES.FETCH_ASSETS, assetUrl: assetFileUrl(brand.logoAssetId) });
     }
-  } catch (e) {
-    console.warn('Drive proxy fetch failed, proceeding with original URLs', e?.message || e);
   }
 
   // resolve logo path (check assets directory inside container)
-  let logoPath = null;
-  try {
-    const assetsDirs = [
-      path.join(process.cwd(), 'assets'),
-      path.join('/', 'app', 'assets'),
-      path.join(__dirname, '..', 'assets'),
-    ];
-
-    // If a filename was provided via env, check it first
-    const envName = process.env.WORKER_LOGO_FILENAME || LOGO_FILENAME;
-    for (const d of assetsDirs) {
-      try {
-        const candidate = path.join(d, envName);
-        if (fs.existsSync(candidate)) {
-          logoPath = `file://${candidate}`;
-          break;
-        }
-      } catch { /* ignore */ }
-    }
-
-    // If not found, auto-detect the first image file in assets directories
-    if (!logoPath) {
-      const imageRe = /\.(png|jpe?g|svg|webp)$/i;
+  if (!logoPath) {
+    try {
+      const assetsDirs = [
+        path.join(process.cwd(), 'assets'),
+        path.join('/', 'app', 'assets'),
+        path.join(__dirname, '..', 'assets'),
+      ];
+
+      // If a filename was provided via env, check it first
+      const envName = process.env.WORKER_LOGO_FILENAME || LOGO_FILENAME;
       for (const d of assetsDirs) {
         try {
-          if (!fs.existsSync(d)) continue;
-          const files = fs.readdirSync(d);
-          const found = files.find((f) => imageRe.test(f));
-          if (found) {
-            logoPath = `file://${path.join(d, found)}`;
+          const candidate = path.join(d, envName);
+          if (fs.existsSync(candidate)) {
+            logoPath = `file://${candidate}`;
             break;
           }
-        } catch (e) {
-          // ignore and continue
+        } catch { /* ignore */ }
+      }
+
+      // If not found, auto-detect the first image file in assets directories
+      if (!logoPath) {
+        const imageRe = /\.(png|jpe?g|svg|webp)$/i;
+        for (const d of assetsDirs) {
+          try {
+            if (!fs.existsSync(d)) continue;
+            const files = fs.readdirSync(d);
+            const found = files.find((f) => imageRe.test(f));
+            if (found) {
+              logoPath = `file://${path.join(d, found)}`;
+              break;
+            }
+          } catch (e) {
+            // ignore and continue
+          }
         }
       }
+    } catch (e) {
+      console.warn('logo detect error', e?.message || e);
     }
-  } catch (e) {
-    console.warn('logo detect error', e?.message || e);
   }
 
   // debug: log the resolved logoPath so we can verify the worker found the file
   try {
-    console.log('Resolved logoPath:', logoPath);
+    console.log('Resolved logoPath:', logoPath?.startsWith('data:') ? `(brand logo of ${brand?.name})` : logoPath);
   } catch (e) {
     /* ignore */
   }
 
   // simple boolean for template styling (SVG logos may need different pill background)
-  const logoIsSvg = !!(logoPath && logoPath.toLowerCase().endsWith('.svg'));
+  if (logoPath && logoPath.toLowerCase().endsWith('.svg')) logoIsSvg = true;
 
   // If logoPath is a local file:// path or an absolute path, inline as data URI for reliability
   try {
@@ -320,46 +310,167 @@ async function renderToFile({ id, headline, backgroundUrl, newsImageUrl }) {
     console.warn('inline logo failed', e?.message || e);
   }
 
-  const browser = await chromium.launch();
-  const page = await browser.newPage({ viewport: { width: WIDTH, height: HEIGHT } });
+  assetsFetched();
+
+  // The file behind a fetched input image (all of them are in the image cache), for the automatic focal point
+  async function imageBytes(u) {
+    if (!u.startsWith(CACHE_URL)) return null;
+    return fs.promises.readFile(imageCache.use(u.slice(CACHE_URL.length)));
+  }
+
+  // Images the job sets no focal point for get one from their content (focus.js); a failure only
+  // leaves the image centred
+  async function withAutoCrop(context, crop, u, label) {
+    if (crop || !u || !AUTO_CROP) return crop || null;
+    try {
+      const bytes = await imageBytes(u);
+      return bytes ? await timings.time('page_load', () => autoCrop(context, bytes)) : null;
+    } catch (e) {
+      warnings.add('AUTO_CROP_FAILED', `Could not find a focal point for the ${label}: ${e?.message || e}`, { stage: STAGES.PAGE_LOAD, assetUrl: u });
+      return null;
+    }
+  }
+
+  // One output per requested size; jobs without sizes get the worker's default canvas
+  const targets = Array.isArray(sizes) && sizes.length ? sizes : [{ name: 'default', width: WIDTH, height: HEIGHT }];
+  const outputs = [];
+  const browserReady = timings.start('browser');
+  try {
+    await browserPool.withContext(async (context, { cold }) => {
+      browserReady();
+      timings.flag('coldStart', cold);
+      const crops = {
+        newsImageCrop: await withAutoCrop(context, newsImageCrop, newsImageUrl, 'news image'),
+        backgroundCrop: await withAutoCrop(context, backgroundCrop, backgroundUrl, 'background image'),
+      };
+      for (const slide of pages) {
+        // a slide's image takes the news image's place in the layout
+        const slideCtx = slide && {
+          slide,
+          newsImageUrl: slide.imageUrl,
+          newsImageCrop: await withAutoCrop(context, slide.imageCrop, slide.imageUrl, `slide ${slide.number} image`),
+        };
+        for (const size of targets) {
+          const suffix = [
+            slide && `s${String(slide.number).padStart(2, '0')}`,
+            targets.length > 1 && `${size.width}x${size.height}`,
+          ].filter(Boolean).join('-');
+          const key = suffix ? `${id}-${suffix}.${ext}` : `${id}.${ext}`;
+          const html = template.render({
+            headline, subheadline, sourceCredit, photoCredit, ctaText, cardDate, locale,
+            backgroundUrl, newsImageUrl, ...crops, ...slideCtx, logoPath, logoIsSvg, brand, width: size.width, height: size.height, fontCss: fontFaceCss(),
+          });
+          const body = await capturePage(context, { html, width: size.width, height: size.height, format, quality, warnings, timings, waitMs });
+          const output = { ...(slide && { slide: slide.number }), name: size.name, width: size.width, height: size.height, format, bytes: body.length };
+          if (!save) {
+            outputs.push({ ...output, body });
+            continue;
+          }
+          try {
+            await timings.time('store', () => storage.put(key, body, { contentType: contentTypeOf(key) }));
+          } catch (e) {
+            throw new RenderError('OUTPUT_STORE_FAILED', `Could not save ${key} to ${storage.driver} storage: ${e?.message || e}`, { stage: STAGES.STORE, cause: e });
+          }
+          outputs.push({ key, ...output });
+        }
+      }
+    });
+  } catch (e) {
+    e.warnings = warnings.list;
+    throw e;
+  }
+  return { outputs, warnings: warnings.list };
+}
+
+// Load the card HTML into a new page of a pooled context at the given viewport, wait for its images and
+// screenshot it. Resolves the encoded output.
+async function capturePage(context, { html, width, height, format = 'png', quality, warnings, timings, waitMs = 12000 }) {
+  const pageLoaded = timings.start('page_load');
+  const page = await context.newPage();
+  await page.setViewportSize({ width, height });
   // increase timeouts and avoid waiting for full network idle (some hosts keep connections open)
   page.setDefaultNavigationTimeout(60000);
   page.setDefaultTimeout(60000);
+  // Inputs (uploads included) were fetched and checked before the page loads, so the page only reads
+  // the image cache: every other request, to our API too, is refused and no request carries a credential.
+  await page.route('**/*', (route) => {
+    const url = route.request().url();
+    if (url.startsWith(CACHE_URL)) return route.fulfill({ path: imageCache.use(url.slice(CACHE_URL.length)) });
+    return route.abort('blockedbyclient');
+  });
   try {
-    await page.setContent(templateHTML({ headline, backgroundUrl, newsImageUrl, logoPath, logoIsSvg }), { waitUntil: 'domcontentloaded', timeout: 60000 });
-  } catch (e) {
-    console.warn('page.setContent warning, continuing rendering despite error:', e?.message || e);
-  }
-  // If there's a news image, wait for it to be visible and fully loaded to ensure it's captured
-  if (newsImageUrl) {
     try {
-      await page.waitForSelector('img.newsimg', { state: 'visible', timeout: 12000 });
-      // ensure the image has a non-zero naturalWidth (loaded)
-      await page.waitForFunction(() => {
-        const img = document.querySelector('img.newsimg');
-        return img && img.naturalWidth > 10;
-      }, { timeout: 12000 });
+      await page.setContent(html, { waitUntil: 'domcontentloaded', timeout: 60000 });
     } catch (e) {
-      // fall back, continue to screenshot even if image didn't fully load
-      console.warn('news image did not finish loading in time', e?.message || e);
+      warnings.add('PAGE_LOAD_INCOMPLETE', `Page did not finish loading, rendering anyway: ${e?.message || e}`, { stage: STAGES.PAGE_LOAD });
     }
-  }
-  // If there's a background image element, wait for it to load too
-  if (backgroundUrl) {
+    // Wait for the news / background images the template actually placed, so they are captured
+    for (const [selector, label] of [['img.newsimg', 'news image'], ['img.bgimg', 'background image']]) {
+      if (!(await page.locator(selector).count())) continue;
+      try {
+        await page.waitForSelector(selector, { state: 'visible', timeout: waitMs });
+        // ensure the image has a non-zero naturalWidth (loaded)
+        await page.waitForFunction((sel) => {
+          const img = document.querySelector(sel);
+          return img && img.naturalWidth > 10;
+        }, selector, { timeout: waitMs });
+      } catch (e) {
+        const assetUrl = await page.locator(selector).first().getAttribute('src').catch(() => null);
+        const message = `${label} did not finish loading in time`;
+        if (REQUIRE_IMAGES) throw new RenderError('ASSET_TIMEOUT', message, { stage: STAGES.PAGE_LOAD, assetUrl, cause: e });
+        // fall back, continue to screenshot even if image didn't fully load
+        warnings.add('ASSET_TIMEOUT', message, { stage: STAGES.PAGE_LOAD, assetUrl });
+      }
+    }
+    // Pages run without JavaScript (browserPool.js), so the card's own fit script doesn't; the worker
+    // runs it instead. It fits once the bundled fonts are ready and flags <body data-fitted>
     try {
-      await page.waitForSelector('img.bgimg', { state: 'visible', timeout: 12000 });
-      await page.waitForFunction(() => {
-        const img = document.querySelector('img.bgimg');
-        return img && img.naturalWidth > 10;
-      }, { timeout: 12000 });
+      await page.evaluate(fitHeadlines);
+      await page.waitForSelector('body[data-fitted]', { state: 'attached', timeout: Math.min(5000, waitMs) });
     } catch (e) {
-      console.warn('background image did not finish loading in time', e?.message || e);
+      warnings.add('HEADLINE_FIT_TIMEOUT', 'headline auto-fit did not finish in time', { stage: STAGES.PAGE_LOAD });
     }
+    await page.waitForTimeout(300); // small settle
+    pageLoaded();
+    try {
+      return await timings.time('screenshot', () => encodeOutput(page, { width, height, format, quality }));
+    } catch (e) {
+      throw new RenderError('SCREENSHOT_FAILED', `Could not write ${format} output: ${e?.message || e}`, { stage: STAGES.SCREENSHOT, cause: e });
+    }
+  } finally {
+    await page.close();
   }
-  await page.waitForTimeout(300); // small settle
-  await page.screenshot({ path: outPath, type: 'png' });
-  await browser.close();
-  return fileName;
+}
+
+// Capture the loaded page in the requested format, as a Buffer.
+// Playwright only screenshots png/jpeg, so webp is encoded by the page's own canvas from a png capture,
+// and pdf goes through Chromium's print pipeline sized exactly to the card.
+async function encodeOutput(page, { width, height, format, quality }) {
+  if (format === 'jpeg') return page.screenshot({ type: 'jpeg', quality: quality || 85 });
+  if (format === 'pdf') {
+    return page.pdf({
+      width: `${width}px`,
+      height: `${height}px`,
+      printBackground: true,
+      pageRanges: '1',
+      margin: { top: '0', right: '0', bottom: '0', left: '0' },
+    });
+  }
+  if (format === 'webp') {
+    const png = await page.screenshot({ type: 'png' });
+    const b64 = await page.evaluate(async ({ data, q }) => {
+      const img = new Image();
+      img.src = `data:image/png;base64,${data}`;
+      await img.decode();
+      const canvas = document.createElement('canvas');
+      canvas.width = img.naturalWidth;
+      canvas.height = img.naturalHeight;
+      canvas.getContext('2d').drawImage(img, 0, 0);
+      return canvas.toDataURL('image/webp', q).split(',')[1];
+    }, { data: png.toString('base64'), q: (quality || 85) / 100 });
+    return Buffer.from(b64, 'base64');
+  }
+  return page.screenshot({ type: 'png' });
 }
 
 // const worker = new Worker('render', async (job) => {
@@ -416,35 +527,33 @@ async function createWorkerWithRetry(retries = 6, delayMs = 2000) {
         async (job) => {
           console.log('🧾 Received job:', job.id);
           const data = job.data;
+          const timings = createTimings();
           try {
-            await fetch(`${API_BASE}/jobs/${data.id}`, {
-              method: 'PUT',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ status: 'PROCESSING' }),
-            });
-            const fileName = await renderToFile(data);
-            await fetch(`${API_BASE}/jobs/${data.id}`, {
-              method: 'PUT',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ status: 'DONE', outputFileName: fileName }),
-            });
-            console.log(`✅ Job ${job.id} done`);
+            await reportJob(data.id, { status: 'PROCESSING' });
+            const { outputs, warnings } = await renderCard(data, timings);
+            await reportJob(data.id, { status: 'DONE', outputKey: outputs[0].key, outputs, warnings, timings });
+            console.log(`✅ Job ${job.id} done`, JSON.stringify(timings));
           } catch (e) {
-            console.error('❌ Render error:', e);
+            // the API has already removed the files of a deleted job; nothing to report or retry
+            if (e.jobDeleted) {
+              console.log(`🗑️ Job ${data.id} was deleted, dropping it`);
+              return;
+            }
+            // BullMQ retries the job with backoff while attempts remain; until then it goes back to PENDING
+            const attempts = job.opts.attempts || 1;
+            const willRetry = job.attemptsMade + 1 < attempts;
+            console.error(`❌ Render error (attempt ${job.attemptsMade + 1}/${attempts}):`, e);
             try {
-              await fetch(`${API_BASE}/jobs/${data.id}`, {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ status: 'ERROR' }),
-              });
+              await reportJob(data.id, { status: willRetry ? 'PENDING' : 'ERROR', error: toFailure(e), warnings: e?.warnings || [], timings });
             } catch (e2) {
               console.error('Failed to report job error to API', e2);
             }
+            throw e;
           }
         },
         {
           connection: connectionOptions ? { ...connectionOptions } : undefined,
-          concurrency: 1,
+          concurrency: CONCURRENCY,
         }
       );
 
@@ -461,11 +570,51 @@ async function createWorkerWithRetry(retries = 6, delayMs = 2000) {
   throw new Error('Could not create worker after retries');
 }
 
+// POST /preview on the API: render one small JPEG and hand it back as the job's return value
+// (apps/api/src/preview.js). Nothing is saved and nothing is reported to PUT /jobs.
+function createPreviewWorker() {
+  const worker = new Worker(
+    'preview',
+    async (job) => {
+      const { deadline, ...data } = job.data;
+      if (Date.now() > deadline) throw new Error('PREVIEW_EXPIRED: the API stopped waiting for this preview');
+      const timings = createTimings();
+      let rendered;
+      try {
+        rendered = await renderCard(data, timings, { save: false, waitMs: PREVIEW_WAIT_MS });
+      } catch (e) {
+        throw new Error(`${toFailure(e).code}: ${e?.message || e}`); // the API only sees the message
+      }
+      const { outputs, warnings } = rendered;
+      return { image: outputs[0].body.toString('base64'), warnings, timings };
+    },
+    {
+      connection: connectionOptions ? { ...connectionOptions } : undefined,
+      concurrency: PREVIEW_CONCURRENCY,
+    }
+  );
+  worker.on('failed', (job, err) => console.error(`💥 Preview ${job?.id} failed: ${err?.message}`));
+  return worker;
+}
+
 (async () => {
   try {
     console.log('Worker REDIS_URL:', REDIS_URL, 'connectionOptions:', connectionOptions);
-    await createWorkerWithRetry();
-    console.log('Worker listening for jobs...');
+    const extra = await loadTemplatesFromDir(TEMPLATES_DIR);
+    if (extra.length) console.log('Loaded templates from', TEMPLATES_DIR, extra);
+    console.log('Available templates:', listTemplates().map((t) => t.name).join(', '));
+    const worker = await createWorkerWithRetry();
+    const previewWorker = createPreviewWorker();
+    console.log(`Worker listening for jobs (concurrency ${CONCURRENCY}, previews ${PREVIEW_CONCURRENCY})...`);
+    // let running renders finish, then close the shared browser
+    const shutdown = async (signal) => {
+      console.log(`${signal}: closing worker`);
+      await Promise.all([worker.close(), previewWorker.close()]);
+      await browserPool.close();
+      process.exit(0);
+    };
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+    process.once('SIGINT', () => shutdown('SIGINT'));
   } catch (e) {
     console.error('Worker failed to start:', e);
     process.exit(1);
@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createImageCache } from '../src/imageCache.js';
+
+const dirs = [];
+const tempDir = () => {
+  dirs.push(fs.mkdtempSync(path.join(os.tmpdir(), 'image-cache-')));
+  return dirs.at(-1);
+};
+test.after(() => dirs.forEach((dir) => fs.rmSync(dir, { recursive: true, force: true })));
+const image = (text, headers = {}) => async () => ({ status: 200, body: Buffer.from(text), ext: 'png', contentType: 'image/png', headers });
+const failing = (code) => async () => {
+  const e = new Error(`fetch failed: ${code}`);
+  e.code = code;
+  throw e;
+};
+// Pretend a blob was last used `ms` ago
+const age = (cache, blob, ms) => {
+  const then = new Date(Date.now() - ms);
+  fs.utimesSync(cache.use(blob), then, then);
+};
+
+test('a URL checked recently is served without a request', async () => {
+  const cache = createImageCache({ dir: tempDir() });
+  const first = await cache.get('https://example.com/a.png', image('aaaa'));
+  assert.equal(first.cache, 'miss');
+  const again = await cache.get('https://example.com/a.png', () => assert.fail('no request expected'));
+  assert.equal(again.cache, 'hit');
+  assert.equal(again.blob, first.blob);
+  assert.equal(fs.readFileSync(cache.use(again.blob), 'utf8'), 'aaaa');
+});
+
+test('revalidation sends the validators the host gave and keeps the copy on 304', async () => {
+  const cache = createImageCache({ dir: tempDir(), revalidateMs: 0 });
+  await cache.get('https://example.com/a.png', image('aaaa', { etag: '"v1"', 'last-modified': 'Sat, 05 Oct 2024 10:00:00 GMT' }));
+  let sent;
+  const r = await cache.get('https://example.com/a.png', async (headers) => {
+    sent = headers;
+    return { status: 304 };
+  });
+  assert.deepEqual(sent, { 'If-None-Match': '"v1"', 'If-Modified-Since': 'Sat, 05 Oct 2024 10:00:00 GMT' });
+  assert.equal(r.cache, 'revalidated');
+});
+
+test('a host that is down gets the cached copy, with or without validators', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const cache = createImageCache({ dir: tempDir(), revalidateMs: 0 });
+  await cache.get('https://example.com/etag.png', image('with', { etag: '"v1"' }));
+  await cache.get('https://example.com/plain.png', image('without'));
+  assert.equal((await cache.get('https://example.com/etag.png', failing('TIMEOUT'))).cache, 'stale');
+  const plain = await cache.get('https://example.com/plain.png', failing('CONNECT_FAILED'));
+  assert.equal(plain.cache, 'stale');
+  assert.equal(fs.readFileSync(cache.use(plain.blob), 'utf8'), 'without');
+  // refusals by policy are not papered over
+  await assert.rejects(cache.get('https://example.com/plain.png', failing('BLOCKED_ADDRESS')), /BLOCKED_ADDRESS/);
+});
+
+test('eviction removes the least recently used blobs but not the ones renders are using', async () => {
+  const cache = createImageCache({ dir: tempDir(), maxBytes: 10, inUseMs: 60 * 1000 });
+  const oldest = await cache.get('https://example.com/1.png', image('1111'));
+  const old = await cache.get('https://example.com/2.png', image('2222'));
+  const inUse = await cache.get('https://example.com/3.png', image('3333'));
+  age(cache, oldest.blob, 3 * 60 * 1000);
+  age(cache, old.blob, 2 * 60 * 1000);
+  age(cache, inUse.blob, 90 * 1000);
+  // a render is about to load this one
+  cache.use(inUse.blob);
+
+  await cache.get('https://example.com/4.png', image('4444'));
+  const exists = (r) => fs.existsSync(cache.use(r.blob));
+  assert.ok(!exists(oldest));
+  assert.ok(!exists(old));
+  assert.ok(exists(inUse));
+});
+
+test('the cache may stay over budget while every blob is in use', async () => {
+  const cache = createImageCache({ dir: tempDir(), maxBytes: 4 });
+  const a = await cache.get('https://example.com/a.png', image('aaaa'));
+  const b = await cache.get('https://example.com/b.png', image('bbbb'));
+  assert.ok(fs.existsSync(cache.use(a.blob)));
+  assert.ok(fs.existsSync(cache.use(b.blob)));
+});
@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_DEFINITION, TEMPLATE_ELEMENTS, validateDefinition } from 'photocard-shared/templateSchema.js';
+import { renderDefinition } from '../src/templates/definition.js';
+
+const withElement = (name, fields) => ({ elements: { [name]: fields } });
+
+test('an empty definition is the default one', () => {
+  assert.deepEqual(validateDefinition({}), { definition: DEFAULT_DEFINITION });
+});
+
+test('given fields override the defaults; unknown keys are dropped', () => {
+  const { definition } = validateDefinition({
+    background: { color: '#000', dim: '0.5' },
+    elements: { headline: { x: 10, w: 80, fontSize: 48.126, align: 'left', weight: '800', shadow: 'huge' } },
+    script: 'alert(1)',
+  });
+  assert.deepEqual(definition.background, { ...DEFAULT_DEFINITION.background, color: '#000', dim: 0.5 });
+  const { headline } = definition.elements;
+  assert.equal(headline.x, 10);
+  assert.equal(headline.fontSize, 48.13);
+  assert.equal(headline.align, 'left');
+  assert.equal(headline.weight, 800);
+  assert.ok(!('shadow' in headline));
+  assert.ok(!('script' in definition));
+  assert.deepEqual(Object.keys(definition.elements), TEMPLATE_ELEMENTS);
+});
+
+test('elements can be hidden', () => {
+  const { definition } = validateDefinition(withElement('cta', { visible: false }));
+  assert.equal(definition.elements.cta.visible, false);
+  assert.equal(definition.elements.logo.visible, true);
+});
+
+test('out of range numbers, unknown choices and odd colors are refused', () => {
+  const errors = [
+    [null, /must be an object/],
+    [[], /must be an object/],
+    [{ background: { dim: 2 } }, /background\.dim must be a number from 0 to 0\.9/],
+    [withElement('headline', { fontSize: 'big' }), /elements\.headline\.fontSize/],
+    [withElement('headline', { fontSize: null }), /elements\.headline\.fontSize/],
+    [withElement('headline', { align: 'justify' }), /must be one of left, center, right/],
+    [withElement('date', { color: 'red; background:url(https://example.com)' }), /must be a hex color/],
+    [withElement('cta', { background: 'url(x)' }), /must be a hex color/],
+  ];
+  for (const [input, error] of errors) assert.match(validateDefinition(input).error, error, JSON.stringify(input));
+  assert.equal(validateDefinition(withElement('date', { color: '$accent', background: '' })).error, undefined);
+});
+
+test('boxes stay inside the canvas and the headline font range is ordered', () => {
+  assert.match(validateDefinition(withElement('newsImage', { x: 60, w: 50 })).error, /must stay inside the canvas/);
+  assert.match(validateDefinition(withElement('headline', { fontSize: 30, minFontSize: 40 })).error, /minFontSize must not exceed fontSize/);
+});
+
+test('oversized definitions are refused', () => {
+  assert.match(validateDefinition({ padding: 'x'.repeat(20000) }).error, /too large/);
+});
+
+test('a validated definition renders every visible element', () => {
+  const { definition } = validateDefinition(withElement('cta', { visible: false }));
+  const html = renderDefinition(definition, { headline: 'Headline', width: 1080, height: 1350, brand: { ctaText: 'Read more' } });
+  assert.ok(html.includes('class="headline-box"'));
+  assert.ok(!html.includes('Read more'));
+});
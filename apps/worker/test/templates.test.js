@@ -0,0 +1,41 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { BUILT_IN_TEMPLATES } from '../src/templates/builtin.js';
+import { renderDefinition } from '../src/templates/definition.js';
+import { renderSlide } from '../src/templates/carousel.js';
+import { DEFAULT_DEFINITION } from 'photocard-shared/templateSchema.js';
+
+const ATTACK = '<img src=x onerror="fetch(\'/jobs\')">Flood & "rain"';
+const ctx = {
+  headline: ATTACK,
+  subheadline: '<b>kicker</b>',
+  sourceCredit: '<i>wire</i>',
+  ctaText: '<a href="#">Read</a>',
+  brand: { name: '<script>brand</script>', footerText: '<u>footer</u>' },
+  width: 1080,
+  height: 1080,
+  locale: 'en',
+};
+
+// The text parts a user typed must come out as text, never as markup
+function assertEscaped(html) {
+  assert.ok(!html.includes('<img src=x'), 'headline markup is escaped');
+  assert.ok(html.includes('&lt;img src=x onerror=&quot;fetch(&#39;/jobs&#39;)&quot;&gt;Flood &amp; &quot;rain&quot;'));
+  for (const tag of ['<b>kicker', '<i>wire', '<a href', '<script>brand', '<u>footer']) assert.ok(!html.includes(tag), tag);
+}
+
+for (const template of BUILT_IN_TEMPLATES) {
+  test(`the ${template.name} layout escapes the card text`, () => assertEscaped(template.render(ctx)));
+}
+
+test('editor-made templates escape the card text', () => assertEscaped(renderDefinition(DEFAULT_DEFINITION, ctx)));
+
+test('carousel slides escape their title, bullets and text', () => {
+  const html = renderSlide({
+    ...ctx,
+    slide: { type: 'bullets', title: ATTACK, subheadline: null, bullets: ['<b>one</b>'], text: '<i>more</i>', number: 2, count: 3 },
+  });
+  assertEscaped(html);
+  assert.ok(html.includes('<li>&lt;b&gt;one&lt;/b&gt;</li>'));
+  assert.ok(html.includes('&lt;i&gt;more&lt;/i&gt;'));
+});
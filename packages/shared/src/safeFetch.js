@@ -0,0 +1,228 @@
+// Fetching URLs that users give us (download proxy, worker image prefetch) and POSTing to them (webhook
+// deliveries) without letting them reach internal services or tie up the process.
+//
+// A request is refused with a SafeFetchError whose `code` says why:
+//   INVALID_URL, UNSUPPORTED_PROTOCOL  not an absolute http(s) URL
+//   HOST_DENIED, HOST_NOT_ALLOWED      FETCH_DENY_HOSTS / FETCH_ALLOW_HOSTS
+//   BLOCKED_ADDRESS                    the host is or resolves to a private, loopback, link-local… address
+//   DNS_FAILED, CONNECT_FAILED         the host can't be resolved or reached
+//   TOO_MANY_REDIRECTS, TIMEOUT, TOO_LARGE, UPSTREAM_STATUS, UNSUPPORTED_TYPE
+//
+// Addresses are checked when the socket connects (not just once up front), so a host that resolves
+// differently on the second lookup can't slip through, and every redirect hop is checked again.
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+
+// Host patterns: `example.com` matches exactly, `.example.com` / `*.example.com` match subdomains too
+export const hostList = (v) => String(v || '').split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+
+const ALLOW_HOSTS = hostList(process.env.FETCH_ALLOW_HOSTS);
+const DENY_HOSTS = hostList(process.env.FETCH_DENY_HOSTS);
+export const FETCH_MAX_BYTES = Number(process.env.FETCH_MAX_BYTES || 20 * 1024 * 1024);
+export const FETCH_TIMEOUT_MS = Number(process.env.FETCH_TIMEOUT_MS || 15000);
+export const FETCH_MAX_REDIRECTS = Number(process.env.FETCH_MAX_REDIRECTS ?? 5);
+
+export class SafeFetchError extends Error {
+  constructor(code, message, { status } = {}) {
+    super(message);
+    this.name = 'SafeFetchError';
+    this.code = code;
+    this.status = status || null;
+  }
+}
+
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([a, p]) => blocked.addSubnet(a, p, 'ipv4'));
+// ::/96 covers the unspecified and loopback addresses and the deprecated IPv4-compatible form (::7f00:1)
+[
+  ['::', 96], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([a, p]) => blocked.addSubnet(a, p, 'ipv6'));
+
+// True for addresses a user-supplied URL must never reach (IPv4-mapped IPv6 is checked as IPv4)
+export function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return blocked.check(mapped[1], 'ipv4');
+  const family = net.isIP(address);
+  if (!family) return true;
+  return blocked.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+const hostMatches = (host, pattern) => {
+  const p = pattern.replace(/^\*\./, '.');
+  return p.startsWith('.') ? host === p.slice(1) || host.endsWith(p) : host === p;
+};
+const hostOf = (u) => u.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+// Parse a URL and apply the protocol and host rules; returns the URL object or throws SafeFetchError.
+// `hostLists: false` skips FETCH_ALLOW_HOSTS / FETCH_DENY_HOSTS (they are about content we fetch);
+// hosts matching a `privateHosts` pattern may be private addresses.
+export function checkUrl(input, { hostLists = true, privateHosts = [] } = {}) {
+  let u;
+  try {
+    u = new URL(String(input));
+  } catch {
+    throw new SafeFetchError('INVALID_URL', 'not a valid URL');
+  }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') throw new SafeFetchError('UNSUPPORTED_PROTOCOL', `${u.protocol} URLs are not allowed`);
+  if (u.username || u.password) throw new SafeFetchError('INVALID_URL', 'URLs with credentials are not allowed');
+  const host = hostOf(u);
+  if (hostLists && DENY_HOSTS.some((p) => hostMatches(host, p))) throw new SafeFetchError('HOST_DENIED', `${host} is on the deny list`);
+  if (hostLists && ALLOW_HOSTS.length && !ALLOW_HOSTS.some((p) => hostMatches(host, p))) throw new SafeFetchError('HOST_NOT_ALLOWED', `${host} is not on the allow list`);
+  if (net.isIP(host) && isBlockedAddress(host) && !privateHosts.some((p) => hostMatches(host, p))) throw new SafeFetchError('BLOCKED_ADDRESS', `${host} is a private or reserved address`);
+  return u;
+}
+
+// dns.lookup replacement for http.request that refuses blocked addresses
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(new SafeFetchError('DNS_FAILED', `could not resolve ${hostname}`));
+    const bad = addresses.find((a) => isBlockedAddress(a.address));
+    if (bad) return callback(new SafeFetchError('BLOCKED_ADDRESS', `${hostname} resolves to a private or reserved address`));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', ext: 'jpg', test: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: 'image/png', ext: 'png', test: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/webp', ext: 'webp', test: (b) => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+  { mimeType: 'image/gif', ext: 'gif', test: (b) => b.toString('ascii', 0, 4) === 'GIF8' },
+  { mimeType: 'image/avif', ext: 'avif', test: (b) => b.toString('ascii', 4, 8) === 'ftyp' && /^avi[fs]$/.test(b.toString('ascii', 8, 12)) },
+  { mimeType: 'application/pdf', ext: 'pdf', test: (b) => b.toString('ascii', 0, 5) === '%PDF-' },
+];
+
+// The real type of a body from its leading bytes (the server's Content-Type is not trusted); null if unknown
+export function sniffContentType(buf) {
+  if (!buf || buf.length < 12) return null;
+  const sig = SIGNATURES.find((s) => s.test(buf));
+  if (sig) return { mimeType: sig.mimeType, ext: sig.ext };
+  if (/^\s*(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!doctype svg[^>]*>\s*)?<svg[\s>]/i.test(buf.toString('utf8', 0, 2048))) {
+    return { mimeType: 'image/svg+xml', ext: 'svg' };
+  }
+  return null;
+}
+
+// Any failure of a request as a SafeFetchError
+function refusal(e, signal, timeoutMs) {
+  if (e instanceof SafeFetchError) return e;
+  if (signal.aborted) return new SafeFetchError('TIMEOUT', `no complete response within ${timeoutMs}ms`);
+  if (e?.cause instanceof SafeFetchError) return e.cause;
+  return new SafeFetchError('CONNECT_FAILED', e?.code ? `${e.message} (${e.code})` : e?.message || String(e));
+}
+
+const FETCH_HEADERS = { 'User-Agent': 'PhotoCard-Fetch/1.0', Accept: 'image/*,application/pdf;q=0.9,*/*;q=0.5' };
+
+export const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif', 'image/svg+xml'];
+
+// One request, no redirects followed; resolves the response with the body still unread
+function request(u, { method = 'GET', headers, body, signal, allowPrivate }) {
+  return new Promise((resolve, reject) => {
+    const req = (u.protocol === 'https:' ? https : http).request(u, {
+      method,
+      headers,
+      lookup: allowPrivate ? undefined : guardedLookup,
+      signal,
+    }, resolve);
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// Read a response body into a Buffer, giving up as soon as it passes maxBytes (or, with `truncate`,
+// keeping the first maxBytes)
+function readBody(res, maxBytes, { truncate = false } = {}) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    res.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        res.destroy();
+        if (truncate) resolve(Buffer.concat([...chunks, chunk]).subarray(0, maxBytes));
+        else reject(new SafeFetchError('TOO_LARGE', `response is larger than ${maxBytes} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    res.on('end', () => resolve(Buffer.concat(chunks)));
+    res.on('error', reject);
+  });
+}
+
+// GET a user-supplied URL under the rules above and buffer the body.
+// `types` lists the sniffed MIME types to accept (default: images). `allowPrivate` is for URLs of our
+// own services (the API): it skips the host and address rules for them, but not for redirects
+// elsewhere; the limits and sniffing still apply.
+// Resolves { url, status, headers, body, contentType, ext } (status 304 with a null body when
+// conditional `headers` were sent and the server says nothing changed); throws SafeFetchError when refused.
+export async function safeFetch(input, {
+  headers = {}, maxBytes = FETCH_MAX_BYTES, timeoutMs = FETCH_TIMEOUT_MS, maxRedirects = FETCH_MAX_REDIRECTS,
+  types = IMAGE_TYPES, allowPrivate = false,
+} = {}) {
+  const signal = AbortSignal.timeout(timeoutMs);
+  let u = allowPrivate ? new URL(String(input)) : checkUrl(input);
+  const origin = u.origin;
+  try {
+    for (let hop = 0; ; hop++) {
+      const res = await request(u, { headers: { ...FETCH_HEADERS, ...headers }, signal, allowPrivate });
+      if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+        res.resume();
+        if (hop >= maxRedirects) throw new SafeFetchError('TOO_MANY_REDIRECTS', `more than ${maxRedirects} redirects`);
+        const next = new URL(res.headers.location, u);
+        u = allowPrivate && next.origin === u.origin ? next : checkUrl(next);
+        // credentials meant for the first host are not forwarded to another one
+        if (u.origin !== origin) headers = Object.fromEntries(Object.entries(headers).filter(([k]) => k.toLowerCase() !== 'authorization'));
+        continue;
+      }
+      // answer to a conditional request (If-None-Match / If-Modified-Since): the caller's copy is current
+      if (res.statusCode === 304) {
+        res.resume();
+        return { url: u.toString(), status: 304, headers: res.headers, body: null, contentType: null, ext: null };
+      }
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        res.resume();
+        throw new SafeFetchError('UPSTREAM_STATUS', `remote server answered HTTP ${res.statusCode}`, { status: res.statusCode });
+      }
+      const declared = Number(res.headers['content-length']);
+      if (declared > maxBytes) {
+        res.destroy();
+        throw new SafeFetchError('TOO_LARGE', `response is larger than ${maxBytes} bytes`);
+      }
+      const body = await readBody(res, maxBytes);
+      const sniffed = sniffContentType(body);
+      if (!sniffed || !types.includes(sniffed.mimeType)) {
+        throw new SafeFetchError('UNSUPPORTED_TYPE', `response is not ${types.length === IMAGE_TYPES.length ? 'an image' : `one of ${types.join(', ')}`}`);
+      }
+      return { url: u.toString(), status: res.statusCode, headers: res.headers, body, contentType: sniffed.mimeType, ext: sniffed.ext };
+    }
+  } catch (e) {
+    throw refusal(e, signal, timeoutMs);
+  }
+}
+
+// POST `body` to a URL under the protocol and address rules (webhook deliveries; FETCH_ALLOW_HOSTS /
+// FETCH_DENY_HOSTS don't apply). Redirects are not followed: a 3xx is returned like any other answer.
+// Hosts matching a `privateHosts` pattern may be private addresses (receivers the operator trusts).
+// Resolves { url, status, headers, body } with the first `maxBytes` of the answer; throws SafeFetchError
+// when refused or unreachable.
+export async function safePost(input, {
+  headers = {}, body, maxBytes = 64 * 1024, timeoutMs = FETCH_TIMEOUT_MS, privateHosts = [],
+} = {}) {
+  const signal = AbortSignal.timeout(timeoutMs);
+  const u = checkUrl(input, { hostLists: false, privateHosts });
+  try {
+    const res = await request(u, {
+      method: 'POST', headers, body, signal, allowPrivate: privateHosts.some((p) => hostMatches(hostOf(u), p)),
+    });
+    return { url: u.toString(), status: res.statusCode, headers: res.headers, body: await readBody(res, maxBytes, { truncate: true }) };
+  } catch (e) {
+    throw refusal(e, signal, timeoutMs);
+  }
+}
@@ -0,0 +1,180 @@
+// Where rendered cards and uploaded images are kept. The API and the worker both go through this module.
+// Jobs and assets store keys such as `<jobId>.png` or `uploads/<name>.jpg`, never URLs; a URL is made
+// when the record is sent out.
+//
+// STORAGE_DRIVER=local (default): files under STATIC_OUTPUT_DIR, served by the API at
+//   PUBLIC_OUTPUT_BASE_URL (GET /output). The worker and API must share that directory.
+// STORAGE_DRIVER=s3: Amazon S3 or a compatible server (MinIO, R2…):
+//   S3_BUCKET, S3_REGION (default us-east-1), S3_PREFIX (optional key prefix)
+//   S3_ENDPOINT            e.g. http://minio:9000; set S3_FORCE_PATH_STYLE=1 for MinIO
+//   S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY (otherwise the AWS SDK's usual credential chain)
+//   S3_PUBLIC_BASE_URL     the bucket (or a CDN in front of it) is public: URLs are <base>/<S3_PREFIX>/<key>.
+//                          Without it URLs are presigned GETs, valid for S3_URL_TTL_SECONDS (default 3600)
+//   S3_PRESIGN_ENDPOINT    endpoint browsers reach when it differs from S3_ENDPOINT (http://localhost:9000)
+import fs from 'node:fs';
+import path from 'node:path';
+import {
+  DeleteObjectsCommand, GetObjectCommand, ListObjectsV2Command, PutObjectCommand, S3Client,
+} from '@aws-sdk/client-s3';
+import { getSignedUrl } from '@aws-sdk/s3-request-presigner';
+
+const CONTENT_TYPES = {
+  png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', webp: 'image/webp', gif: 'image/gif',
+  avif: 'image/avif', svg: 'image/svg+xml', pdf: 'application/pdf', zip: 'application/zip',
+};
+export const contentTypeOf = (key) => CONTENT_TYPES[path.extname(key).slice(1).toLowerCase()] || 'application/octet-stream';
+
+const encodeKey = (key) => key.split('/').map(encodeURIComponent).join('/');
+const trimSlash = (v) => String(v || '').replace(/\/+$/, '');
+// encodeKey undone; null for a malformed escape (%E0%A4), which no url() output contains
+const decodeKey = (v) => {
+  try {
+    return decodeURIComponent(v);
+  } catch {
+    return null;
+  }
+};
+
+function localDriver(env) {
+  const root = path.resolve(env.STATIC_OUTPUT_DIR || '/app/output');
+  const publicBase = trimSlash(env.PUBLIC_OUTPUT_BASE_URL || `http://localhost:${env.API_PORT || 4000}/output`);
+  fs.mkdirSync(root, { recursive: true });
+
+  const fileOf = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`invalid storage key "${key}"`);
+    return file;
+  };
+
+  return {
+    driver: 'local',
+    root,
+    async put(key, body) {
+      const file = fileOf(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, body);
+    },
+    async get(key) {
+      let file;
+      try {
+        file = fileOf(key);
+      } catch {
+        return null; // nothing outside the root can exist as far as callers are concerned
+      }
+      const st = await fs.promises.stat(file).catch(() => null);
+      if (!st?.isFile()) return null;
+      return { body: fs.createReadStream(file), contentType: contentTypeOf(key), bytes: st.size };
+    },
+    async remove(keys) {
+      await Promise.all(keys.map((key) => fs.promises.rm(fileOf(key), { force: true })));
+    },
+    async list(prefix = '') {
+      const entries = await fs.promises.readdir(root, { recursive: true, withFileTypes: true });
+      const out = [];
+      for (const e of entries) {
+        if (!e.isFile()) continue;
+        const file = path.join(e.parentPath || e.path, e.name);
+        const key = path.relative(root, file).split(path.sep).join('/');
+        if (key.startsWith(prefix)) out.push({ key, bytes: (await fs.promises.stat(file)).size });
+      }
+      return out;
+    },
+    async url(key) {
+      return `${publicBase}/${encodeKey(key)}`;
+    },
+    keyFromUrl(url) {
+      const u = String(url);
+      if (!u.startsWith(`${publicBase}/`)) return null;
+      return decodeKey(u.slice(publicBase.length + 1).split(/[?#]/)[0]);
+    },
+  };
+}
+
+function s3Driver(env) {
+  const bucket = env.S3_BUCKET;
+  if (!bucket) throw new Error('STORAGE_DRIVER=s3 needs S3_BUCKET');
+  const prefix = env.S3_PREFIX ? `${trimSlash(env.S3_PREFIX)}/` : '';
+  const publicBase = trimSlash(env.S3_PUBLIC_BASE_URL);
+  const ttl = Number(env.S3_URL_TTL_SECONDS || 3600);
+  const options = (endpoint) => ({
+    region: env.S3_REGION || 'us-east-1',
+    endpoint: endpoint || undefined,
+    forcePathStyle: env.S3_FORCE_PATH_STYLE === '1',
+    credentials: env.S3_ACCESS_KEY_ID
+      ? { accessKeyId: env.S3_ACCESS_KEY_ID, secretAccessKey: env.S3_SECRET_ACCESS_KEY }
+      : undefined,
+  });
+  const client = new S3Client(options(env.S3_ENDPOINT));
+  // the signature covers the host, so URLs for browsers are signed against the endpoint they use
+  const presigner = env.S3_PRESIGN_ENDPOINT ? new S3Client(options(env.S3_PRESIGN_ENDPOINT)) : client;
+  const endpointUrl = new URL(env.S3_PRESIGN_ENDPOINT || env.S3_ENDPOINT || `https://s3.${options().region}.amazonaws.com`);
+
+  return {
+    driver: 's3',
+    bucket,
+    async put(key, body, { contentType } = {}) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket, Key: prefix + key, Body: body, ContentType: contentType || contentTypeOf(key),
+      }));
+    },
+    async get(key) {
+      try {
+        const r = await client.send(new GetObjectCommand({ Bucket: bucket, Key: prefix + key }));
+        return { body: r.Body, contentType: r.ContentType || contentTypeOf(key), bytes: r.ContentLength };
+      } catch (e) {
+        if (e?.name === 'NoSuchKey' || e?.$metadata?.httpStatusCode === 404) return null;
+        throw e;
+      }
+    },
+    async remove(keys) {
+      for (let i = 0; i < keys.length; i += 1000) {
+        await client.send(new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: keys.slice(i, i + 1000).map((key) => ({ Key: prefix + key })), Quiet: true },
+        }));
+      }
+    },
+    async list(listPrefix = '') {
+      const out = [];
+      let ContinuationToken;
+      do {
+        const r = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix + listPrefix, ContinuationToken }));
+        for (const o of r.Contents || []) out.push({ key: o.Key.slice(prefix.length), bytes: o.Size });
+        ContinuationToken = r.IsTruncated ? r.NextContinuationToken : undefined;
+      } while (ContinuationToken);
+      return out;
+    },
+    async url(key) {
+      if (publicBase) return `${publicBase}/${encodeKey(prefix + key)}`;
+      return getSignedUrl(presigner, new GetObjectCommand({ Bucket: bucket, Key: prefix + key }), { expiresIn: ttl });
+    },
+    // a URL made by url(), public or presigned (path-style or virtual-hosted), back to its key
+    keyFromUrl(url) {
+      let objectPath = null;
+      if (publicBase && String(url).startsWith(`${publicBase}/`)) {
+        objectPath = String(url).slice(publicBase.length + 1).split(/[?#]/)[0];
+      } else {
+        let u;
+        try {
+          u = new URL(String(url));
+        } catch {
+          return null;
+        }
+        if (u.host === endpointUrl.host && u.pathname.startsWith(`/${bucket}/`)) objectPath = u.pathname.slice(bucket.length + 2);
+        else if (u.host === `${bucket}.${endpointUrl.host}`) objectPath = u.pathname.slice(1);
+      }
+      if (objectPath == null) return null;
+      const key = decodeKey(objectPath);
+      return key != null && key.startsWith(prefix) ? key.slice(prefix.length) : null;
+    },
+  };
+}
+
+// The configured driver: { driver, put(key, body, { contentType }), get(key) → { body, contentType, bytes } | null,
+// remove(keys), list(prefix) → [{ key, bytes }], url(key) → Promise<string>, keyFromUrl(url) → key | null }
+export function createStorage(env = process.env) {
+  const driver = (env.STORAGE_DRIVER || 'local').toLowerCase();
+  if (driver === 's3') return s3Driver(env);
+  if (driver !== 'local') throw new Error(`unknown STORAGE_DRIVER "${driver}" (local or s3)`);
+  return localDriver(env);
+}
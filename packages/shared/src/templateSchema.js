@@ -0,0 +1,102 @@
+// Templates made in the portal's editor (Template / TemplateVersion in the API's database) are stored
+// as a definition: where each element of the card sits and how it looks. This module checks and fills
+// in definitions; the worker's templates/definition.js turns one into card HTML. The API, the worker
+// and the portal's editor all import this module. No Node APIs here, it runs in the browser too.
+//
+// Boxes (x, y, w, h) are percent of the canvas, so one definition fits every size. Font sizes, radii
+// and borders are design px on the 1080px square and scale with the canvas like the built-in layouts.
+// Colors are hex (#rgb, #rrggbb, #rrggbbaa), '' for none, or the brand's '$primary' / '$accent'.
+
+export const TEMPLATE_ELEMENTS = ['newsImage', 'headline', 'date', 'cta', 'logo'];
+
+export const ELEMENT_LABELS = {
+  logo: 'Logo',
+  date: 'Date badge',
+  newsImage: 'News image',
+  headline: 'Headline',
+  cta: 'CTA',
+};
+
+export const FONT_WEIGHTS = [400, 600, 700, 800, 900];
+export const ALIGNS = ['left', 'center', 'right'];
+
+export const DEFAULT_DEFINITION = {
+  background: { color: '#1f2937', dim: 0.25, blur: 0 },
+  elements: {
+    newsImage: { visible: true, x: 21, y: 13, w: 58, h: 46, radius: 24, borderWidth: 0, borderColor: '$accent' },
+    headline: {
+      visible: true, x: 5, y: 62, w: 90, h: 24, fontSize: 64, minFontSize: 30, lines: 4,
+      color: '#ffffff', background: '', radius: 0, align: 'center', weight: 700,
+    },
+    date: { visible: true, x: 72, y: 2.2, w: 25.8, h: 5.5, fontSize: 16, color: '#ffffff', background: '#00000066', radius: 12, align: 'center', weight: 700 },
+    cta: { visible: true, x: 38, y: 89, w: 24, h: 6.5, fontSize: 18, color: '#ffffff', background: '$primary', radius: 12, align: 'center', weight: 800 },
+    logo: { visible: true, x: 2.2, y: 2.2, w: 10, h: 10 },
+  },
+};
+
+// Style fields each element takes besides its box, with their allowed ranges
+const TEXT_FIELDS = {
+  fontSize: [8, 240], color: 'color', background: 'color', radius: [0, 300], align: { oneOf: ALIGNS }, weight: { oneOf: FONT_WEIGHTS },
+};
+const ELEMENT_FIELDS = {
+  logo: {},
+  date: TEXT_FIELDS,
+  cta: TEXT_FIELDS,
+  headline: { ...TEXT_FIELDS, minFontSize: [8, 240], lines: [1, 8] },
+  newsImage: { radius: [0, 540], borderWidth: [0, 40], borderColor: 'color' },
+};
+const BACKGROUND_FIELDS = { color: 'color', dim: [0, 0.9], blur: [0, 40] };
+
+const COLOR = /^(?:#(?:[0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})|\$primary|\$accent|)$/i;
+const MAX_DEFINITION_BYTES = 16 * 1024;
+
+// One field against its rule ('color', { oneOf } or [min, max]); returns [value] or [undefined, error]
+function checkField(value, rule, name) {
+  if (rule === 'color') {
+    // colors end up inside the card's CSS, so only the forms above are allowed
+    return COLOR.test(String(value)) ? [String(value)] : [undefined, `${name} must be a hex color, '$primary', '$accent' or ''`];
+  }
+  if (rule.oneOf) {
+    const choice = rule.oneOf.find((c) => String(c) === String(value));
+    return choice !== undefined ? [choice] : [undefined, `${name} must be one of ${rule.oneOf.join(', ')}`];
+  }
+  const [min, max] = rule;
+  const n = Number(value);
+  if (value === null || value === '' || !Number.isFinite(n) || n < min || n > max) return [undefined, `${name} must be a number from ${min} to ${max}`];
+  return [Math.round(n * 100) / 100];
+}
+
+function checkFields(input, fields, defaults, prefix) {
+  const out = { ...defaults };
+  for (const [key, rule] of Object.entries(fields)) {
+    if (input[key] === undefined) continue;
+    const [value, error] = checkField(input[key], rule, `${prefix}.${key}`);
+    if (error) return { error };
+    out[key] = value;
+  }
+  return { value: out };
+}
+
+const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+
+// Check a definition and fill in what it leaves out from DEFAULT_DEFINITION; unknown keys are dropped.
+// Returns { definition } or { error }.
+export function validateDefinition(input) {
+  if (!isObject(input)) return { error: 'definition must be an object' };
+  if (JSON.stringify(input).length > MAX_DEFINITION_BYTES) return { error: 'definition is too large' };
+  const background = checkFields(isObject(input.background) ? input.background : {}, BACKGROUND_FIELDS, DEFAULT_DEFINITION.background, 'background');
+  if (background.error) return { error: background.error };
+  const elements = {};
+  const given = isObject(input.elements) ? input.elements : {};
+  for (const name of TEMPLATE_ELEMENTS) {
+    const el = isObject(given[name]) ? given[name] : {};
+    const fields = { x: [0, 100], y: [0, 100], w: [1, 100], h: [1, 100], ...ELEMENT_FIELDS[name] };
+    const checked = checkFields(el, fields, DEFAULT_DEFINITION.elements[name], `elements.${name}`);
+    if (checked.error) return { error: checked.error };
+    const box = checked.value;
+    if (box.x + box.w > 100.01 || box.y + box.h > 100.01) return { error: `elements.${name} must stay inside the canvas` };
+    if (name === 'headline' && box.minFontSize > box.fontSize) return { error: 'elements.headline.minFontSize must not exceed fontSize' };
+    elements[name] = { ...box, visible: el.visible === undefined ? box.visible : Boolean(el.visible) };
+  }
+  return { definition: { background: background.value, elements } };
+}